@@ -6,19 +6,82 @@ import './App.css'
 import MemoryInput from './components/memory/MemoryInput'
 import MemoryVisualization from './components/memory/MemoryVisualization'
 import { runAllAlgorithms } from './components/memory/AllocationAlgorithms'
+import { orderProcesses, compareProcessOrders } from './components/memory/ProcessOrdering'
+import CustomPolicyEditor from './components/memory/CustomPolicyEditor'
+import { runCustomPolicy, DEFAULT_CUSTOM_POLICY, DEFAULT_POLICY_TIMEOUT } from './components/memory/CustomPolicy'
+import TimelineInput from './components/memory/TimelineInput'
+import TimelineVisualization from './components/memory/TimelineVisualization'
+import { runTimelineAllAlgorithms } from './components/memory/MemoryTimeline'
+import SlabInput from './components/memory/SlabInput'
+import SlabVisualization from './components/memory/SlabVisualization'
+import { runSlabAllocator } from './components/memory/SlabAllocator'
+import SegmentationInput from './components/memory/SegmentationInput'
+import SegmentationVisualization from './components/memory/SegmentationVisualization'
+import { placeSegments } from './components/memory/Segmentation'
+import BenchmarkInput from './components/memory/BenchmarkInput'
+import BenchmarkVisualization from './components/memory/BenchmarkVisualization'
+import { runBenchmark } from './components/memory/AllocationBenchmark'
+
+// Paging Components
+import PagingInput from './components/paging/PagingInput'
+import PagingVisualization from './components/paging/PagingVisualization'
+import { buildPageTables } from './components/paging/PagingAlgorithm'
+import PageTableInput from './components/paging/PageTableInput'
+import PageTableVisualization from './components/paging/PageTableVisualization'
+import { buildPageTableStructures } from './components/paging/PageTableStructures'
+
+// TLB Components
+import TLBInput from './components/tlb/TLBInput'
+import TLBVisualization from './components/tlb/TLBVisualization'
+import { runTLBSimulation } from './components/tlb/TLBSimulator'
+
+// Page Replacement Components
+import PageReplacementInput from './components/replacement/PageReplacementInput'
+import PageReplacementVisualization from './components/replacement/PageReplacementVisualization'
+import { runAllReplacementAlgorithms } from './components/replacement/PageReplacementAlgorithms'
+import BeladyInput from './components/replacement/BeladyInput'
+import BeladyVisualization from './components/replacement/BeladyVisualization'
+import { sweepFrameCounts, searchAnomalies } from './components/replacement/BeladyAnalysis'
+import WorkingSetInput from './components/replacement/WorkingSetInput'
+import WorkingSetVisualization from './components/replacement/WorkingSetVisualization'
+import { simulateMultiprogramming, sweepMultiprogramming } from './components/replacement/WorkingSetSimulation'
 
 // Banker's Algorithm Components
 import BankersInput from './components/deadlock/BankersInput'
 import BankersVisualization from './components/deadlock/BankersVisualization'
 import { runBankersAlgorithm } from './components/deadlock/BankersAlgorithm'
+import DetectionInput from './components/deadlock/DetectionInput'
+import DetectionVisualization from './components/deadlock/DetectionVisualization'
+import { runDeadlockDetection } from './components/deadlock/DeadlockDetection'
+import ResourceGraphEditor from './components/deadlock/ResourceGraphEditor'
 
 function App() {
   // State for tab selection
   const [currentTab, setCurrentTab] = useState(0)
+  const [memoryView, setMemoryView] = useState(0)
+  const [pagingView, setPagingView] = useState(0)
+  const [replacementView, setReplacementView] = useState(0)
+  const [deadlockView, setDeadlockView] = useState(0)
   
   // State for algorithm results
   const [memoryResults, setMemoryResults] = useState(null)
+  const [memoryOrderComparison, setMemoryOrderComparison] = useState(null)
+  const [customPolicy, setCustomPolicy] = useState({ source: DEFAULT_CUSTOM_POLICY, enabled: false, timeout: String(DEFAULT_POLICY_TIMEOUT) })
+  const [customPolicyError, setCustomPolicyError] = useState(null)
+  const [timelineResults, setTimelineResults] = useState(null)
+  const [slabResults, setSlabResults] = useState(null)
+  const [segmentationResults, setSegmentationResults] = useState(null)
+  const [benchmarkResults, setBenchmarkResults] = useState(null)
+  const [pagingResults, setPagingResults] = useState(null)
+  const [tlbResults, setTlbResults] = useState(null)
+  const [pageTableResults, setPageTableResults] = useState(null)
+  const [replacementResults, setReplacementResults] = useState(null)
+  const [beladyResults, setBeladyResults] = useState(null)
+  const [workingSetResults, setWorkingSetResults] = useState(null)
   const [bankersResults, setBankersResults] = useState(null)
+  const [detectionResults, setDetectionResults] = useState(null)
+  // Matrices sent from the graph editor, with a version that remounts the detection input
+  const [detectionDraft, setDetectionDraft] = useState({ data: null, version: 0 })
 
   // Handle tab change
   const handleTabChange = (event, newValue) => {
@@ -26,16 +89,100 @@ function App() {
   }
 
   // Handle memory allocation form submission
-  const handleMemorySubmit = (data) => {
-    const results = runAllAlgorithms(data.memoryBlocks, data.processes)
+  const handleMemorySubmit = async (data) => {
+    // Every algorithm serves the processes in the chosen arrival order
+    const processes = orderProcesses(data.processes, data.order, data.seed)
+    const results = runAllAlgorithms(data.memoryBlocks, processes, data.mode, data.algorithms)
+    
+    // Run the custom policy in its worker and show it next to the built-in algorithms
+    setCustomPolicyError(null)
+    if (customPolicy.enabled) {
+      try {
+        const timeout = parseInt(customPolicy.timeout) || DEFAULT_POLICY_TIMEOUT
+        results.customPolicy = await runCustomPolicy(customPolicy.source, data.memoryBlocks, processes, data.mode, timeout)
+      } catch (error) {
+        setCustomPolicyError(error.message)
+      }
+    }
     
     // Add the original data to each algorithm result for visualization
     Object.keys(results).forEach(key => {
       results[key].memoryBlocks = data.memoryBlocks
-      results[key].processes = data.processes
+      results[key].processes = processes
     })
     
     setMemoryResults(results)
+    setMemoryOrderComparison({
+      order: data.order,
+      comparison: compareProcessOrders(data.memoryBlocks, data.processes, data.mode, data.algorithms, data.seed)
+    })
+  }
+
+  // Handle event timeline form submission
+  const handleTimelineSubmit = (data) => {
+    const results = runTimelineAllAlgorithms(data.memorySize, data.events)
+    setTimelineResults(results)
+  }
+
+  // Handle slab allocator form submission
+  const handleSlabSubmit = (data) => {
+    const results = runSlabAllocator(data.slabSize, data.caches, data.operations)
+    setSlabResults(results)
+  }
+
+  // Handle segmentation form submission
+  const handleSegmentationSubmit = (data) => {
+    const results = placeSegments(data.memoryBlocks, data.processes, data.policy)
+    setSegmentationResults(results)
+  }
+
+  // Handle benchmark form submission
+  const handleBenchmarkSubmit = (data) => {
+    const results = runBenchmark(data)
+    setBenchmarkResults(results)
+  }
+
+  // Handle paging form submission
+  const handlePagingSubmit = (data) => {
+    const results = buildPageTables(data.pageSize, data.frameCount, data.processes)
+    setPagingResults(results)
+  }
+
+  // Handle page table structures form submission
+  const handlePageTableSubmit = (data) => {
+    const results = buildPageTableStructures(data.config, data.touchedPages)
+    setPageTableResults(results)
+  }
+
+  // Handle TLB form submission
+  const handleTLBSubmit = (data) => {
+    const results = runTLBSimulation(data.config, data.addresses)
+    setTlbResults(results)
+  }
+
+  // Handle page replacement form submission
+  const handleReplacementSubmit = (data) => {
+    const results = runAllReplacementAlgorithms(data.referenceString, data.frameCount)
+    setReplacementResults(results)
+  }
+
+  // Handle Belady's anomaly frame sweep
+  const handleBeladyAnalyse = (data) => {
+    const sweep = sweepFrameCounts(data.referenceString, data.maxFrames)
+    setBeladyResults(previous => ({ ...previous, sweep }))
+  }
+
+  // Handle Belady's anomaly random search
+  const handleBeladySearch = (data) => {
+    const search = { ...searchAnomalies(data), maxFrames: data.maxFrames }
+    setBeladyResults(previous => ({ ...previous, search }))
+  }
+
+  // Handle working-set simulation form submission
+  const handleWorkingSetSubmit = (data) => {
+    const run = simulateMultiprogramming(data.processes, data.config)
+    const sweep = sweepMultiprogramming(data.processes, data.config)
+    setWorkingSetResults({ run, sweep })
   }
 
   // Handle banker's algorithm form submission
@@ -44,6 +191,18 @@ function App() {
     setBankersResults(results)
   }
 
+  // Handle deadlock detection form submission
+  const handleDetectionSubmit = (data) => {
+    const results = runDeadlockDetection(data)
+    setDetectionResults(results)
+  }
+
+  // Load the graph editor's matrices into the detection input
+  const handleGraphExport = (matrices) => {
+    setDetectionDraft({ data: matrices, version: detectionDraft.version + 1 })
+    setDeadlockView(1)
+  }
+
   return (
     <Container maxWidth="lg" sx={{ py: 4 }}>
       <Typography variant="h3" component="h1" align="center" gutterBottom>
@@ -59,6 +218,8 @@ function App() {
           variant="fullWidth"
         >
           <Tab label="Memory Allocation" />
+          <Tab label="Paging" />
+          <Tab label="Page Replacement" />
           <Tab label="Deadlock Prevention" />
         </Tabs>
       </AppBar>
@@ -70,30 +231,247 @@ function App() {
             Memory Allocation Algorithms
           </Typography>
           <Typography variant="body1" paragraph>
-            This simulator demonstrates four memory allocation algorithms: First Fit, Next Fit, Best Fit, and Worst Fit.
-            Enter memory blocks and processes to see how each algorithm performs.
+            This simulator demonstrates memory allocation algorithms: First Fit, Next Fit, Best Fit, Worst Fit, the segregated-fit
+            allocators Quick Fit and TLSF, and the Buddy System.
+            Enter memory blocks and processes to see how each algorithm performs, using either fixed partitions
+            or variable partitions where the leftover space of a block stays available for later processes.
           </Typography>
           
-          <MemoryInput onSubmit={handleMemorySubmit} />
+          <Tabs value={memoryView} onChange={(event, newValue) => setMemoryView(newValue)} sx={{ mb: 3 }}>
+            <Tab label="Static Allocation" />
+            <Tab label="Event Timeline" />
+            <Tab label="Slab Allocator" />
+            <Tab label="Segmentation" />
+            <Tab label="Benchmark" />
+          </Tabs>
+          
+          {memoryView === 0 && (
+            <>
+              <MemoryInput onSubmit={handleMemorySubmit} />
+              
+              <CustomPolicyEditor policy={customPolicy} onChange={setCustomPolicy} error={customPolicyError} />
+              
+              {memoryResults && <MemoryVisualization results={memoryResults} orderComparison={memoryOrderComparison} />}
+            </>
+          )}
+          
+          {memoryView === 1 && (
+            <>
+              <Typography variant="body1" paragraph>
+                Replay a workload of timed arrivals and departures against one contiguous memory.
+                Freed regions merge with free neighbours, and every algorithm replays the same event stream.
+              </Typography>
+              
+              <TimelineInput onSubmit={handleTimelineSubmit} />
+              
+              {timelineResults && <TimelineVisualization results={timelineResults} />}
+            </>
+          )}
+          
+          {memoryView === 2 && (
+            <>
+              <Typography variant="body1" paragraph>
+                Simulate a kernel slab allocator. Define object caches and a slab size, then allocate and free objects
+                to see slabs move between the full, partial and empty lists.
+              </Typography>
+              
+              <SlabInput onSubmit={handleSlabSubmit} />
+              
+              {slabResults && <SlabVisualization results={slabResults} />}
+            </>
+          )}
           
-          {memoryResults && <MemoryVisualization results={memoryResults} />}
+          {memoryView === 3 && (
+            <>
+              <Typography variant="body1" paragraph>
+                Each process is made of named segments that are placed into memory with the selected fit policy.
+                Logical addresses (segment, offset) are translated through the segment table and trap when the offset exceeds the limit.
+              </Typography>
+              
+              <SegmentationInput onSubmit={handleSegmentationSubmit} />
+              
+              {segmentationResults && <SegmentationVisualization results={segmentationResults} />}
+            </>
+          )}
+          
+          {memoryView === 4 && (
+            <>
+              <Typography variant="body1" paragraph>
+                Generate many random workloads from a seed and run First Fit, Next Fit, Best Fit and Worst Fit on each one.
+                The same seed always reproduces the same workloads, so results can be shared and compared.
+              </Typography>
+              
+              <BenchmarkInput onSubmit={handleBenchmarkSubmit} />
+              
+              {benchmarkResults && <BenchmarkVisualization results={benchmarkResults} />}
+            </>
+          )}
         </Box>
       )}
       
-      {/* Banker's Algorithm Tab */}
+      {/* Paging Tab */}
       {currentTab === 1 && (
         <Box>
           <Typography variant="h4" gutterBottom>
-            Banker's Algorithm (Deadlock Prevention)
+            Paging
           </Typography>
           <Typography variant="body1" paragraph>
-            The Banker's Algorithm is used for deadlock avoidance. It determines whether allocating resources to a process will lead to a safe state.
-            Enter the available resources, maximum claims, current allocations, and resource requests to see if the system remains in a safe state.
+            Paging divides each process into fixed-size pages that are loaded into any free physical frames.
+            Enter a page size, the number of frames and the process sizes to build the page tables, then translate
+            logical addresses into physical addresses.
+          </Typography>
+          
+          <Tabs value={pagingView} onChange={(event, newValue) => setPagingView(newValue)} sx={{ mb: 3 }}>
+            <Tab label="Page Tables" />
+            <Tab label="TLB & Access Time" />
+            <Tab label="Table Structures" />
+          </Tabs>
+          
+          {pagingView === 0 && (
+            <>
+              <PagingInput onSubmit={handlePagingSubmit} />
+              
+              {pagingResults && <PagingVisualization results={pagingResults} />}
+            </>
+          )}
+          
+          {pagingView === 1 && (
+            <>
+              <Typography variant="body1" paragraph>
+                A translation lookaside buffer caches recent page-to-frame translations. Feed an address trace to see
+                which references hit in the TLB, which walk the page table, and the resulting effective access time.
+              </Typography>
+              
+              <TLBInput onSubmit={handleTLBSubmit} />
+              
+              {tlbResults && <TLBVisualization results={tlbResults} />}
+            </>
+          )}
+          
+          {pagingView === 2 && (
+            <>
+              <Typography variant="body1" paragraph>
+                Compare a single-level, an N-level and an inverted (hashed) page table for the same touched pages.
+                Each design trades memory spent on table structures against memory accesses per translation.
+              </Typography>
+              
+              <PageTableInput onSubmit={handlePageTableSubmit} />
+              
+              {pageTableResults && <PageTableVisualization results={pageTableResults} />}
+            </>
+          )}
+        </Box>
+      )}
+      
+      {/* Page Replacement Tab */}
+      {currentTab === 2 && (
+        <Box>
+          <Typography variant="h4" gutterBottom>
+            Page Replacement Algorithms
           </Typography>
+          <Typography variant="body1" paragraph>
+            This simulator compares FIFO, LRU, Optimal, Clock (Second Chance), LFU and MFU page replacement.
+            Enter a reference string and the number of frames to see the frame contents after every reference.
+          </Typography>
+          
+          <Tabs value={replacementView} onChange={(event, newValue) => setReplacementView(newValue)} sx={{ mb: 3 }}>
+            <Tab label="Algorithm Comparison" />
+            <Tab label="Belady's Anomaly" />
+            <Tab label="Working Set & Thrashing" />
+          </Tabs>
+          
+          {replacementView === 0 && (
+            <>
+              <PageReplacementInput onSubmit={handleReplacementSubmit} />
+              
+              {replacementResults && <PageReplacementVisualization results={replacementResults} />}
+            </>
+          )}
+          
+          {replacementView === 1 && (
+            <>
+              <Typography variant="body1" paragraph>
+                Sweep the number of frames from 1 to N and plot the page faults of FIFO and LRU.
+                Any reference string where FIFO faults increase as frames are added shows Belady's anomaly.
+              </Typography>
+              
+              <BeladyInput onAnalyse={handleBeladyAnalyse} onSearch={handleBeladySearch} />
+              
+              {beladyResults && (
+                <BeladyVisualization
+                  results={beladyResults}
+                  onAnalyse={(referenceString) => handleBeladyAnalyse({ referenceString, maxFrames: beladyResults.search.maxFrames })}
+                />
+              )}
+            </>
+          )}
+          
+          {replacementView === 2 && (
+            <>
+              <Typography variant="body1" paragraph>
+                Several processes share one pool of frames and one paging device. Raise the degree of multiprogramming
+                to watch CPU utilisation collapse when the processes thrash, and compare how working-set or
+                page-fault-frequency load control suspends processes to prevent it.
+              </Typography>
+              
+              <WorkingSetInput onSubmit={handleWorkingSetSubmit} />
+              
+              {workingSetResults && <WorkingSetVisualization results={workingSetResults} />}
+            </>
+          )}
+        </Box>
+      )}
+      
+      {/* Deadlock Tab */}
+      {currentTab === 3 && (
+        <Box>
+          <Typography variant="h4" gutterBottom>
+            Deadlock Handling
+          </Typography>
+          
+          <Tabs value={deadlockView} onChange={(event, newValue) => setDeadlockView(newValue)} sx={{ mb: 3 }}>
+            <Tab label="Banker's Algorithm" />
+            <Tab label="Deadlock Detection" />
+            <Tab label="Resource-Allocation Graph" />
+          </Tabs>
+          
+          {deadlockView === 0 && (
+            <>
+              <Typography variant="body1" paragraph>
+                The Banker's Algorithm is used for deadlock avoidance. It determines whether allocating resources to a process will lead to a safe state.
+                Enter the available resources, maximum claims, current allocations, and resource requests to see if the system remains in a safe state.
+              </Typography>
+              
+              <BankersInput onSubmit={handleBankersSubmit} />
+              
+              {bankersResults && <BankersVisualization results={bankersResults} />}
+            </>
+          )}
           
-          <BankersInput onSubmit={handleBankersSubmit} />
+          {deadlockView === 1 && (
+            <>
+              <Typography variant="body1" paragraph>
+                The detection algorithm needs no maximum claims. Enter the available resources, the current allocation and
+                the requests each process is waiting for to find out which processes are deadlocked right now.
+              </Typography>
+              
+              <DetectionInput key={detectionDraft.version} onSubmit={handleDetectionSubmit} initialData={detectionDraft.data} />
+              
+              {detectionResults && <DetectionVisualization results={detectionResults} />}
+            </>
+          )}
           
-          {bankersResults && <BankersVisualization results={bankersResults} />}
+          {deadlockView === 2 && (
+            <>
+              <Typography variant="body1" paragraph>
+                Draw processes, resources with their instances, request edges and assignment edges. With one instance per
+                resource the graph is reduced to a wait-for graph and any cycle is a deadlock; with several instances the
+                graph reduction decides. The graph converts to and from the Allocation and Request matrices of the detection input.
+              </Typography>
+              
+              <ResourceGraphEditor matrices={detectionResults} onExport={handleGraphExport} />
+            </>
+          )}
         </Box>
       )}
     </Container>
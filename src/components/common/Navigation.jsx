@@ -17,6 +17,8 @@ const Navigation = ({ currentTab, handleTabChange }) => {
           variant="fullWidth"
         >
           <Tab label="Memory Allocation" />
+          <Tab label="Paging" />
+          <Tab label="Page Replacement" />
           <Tab label="Deadlock Prevention" />
         </Tabs>
       </AppBar>
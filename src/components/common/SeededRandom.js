@@ -0,0 +1,41 @@
+/**
+ * Seeded Random Number Generator
+ *
+ * Simulations that generate random input use this generator so that every
+ * run can be reproduced from its seed.
+ */
+
+/**
+ * Creates a pseudo-random generator (mulberry32) from an integer seed
+ *
+ * @param {number} seed - Integer seed
+ * @returns {Function} Function returning a number in [0, 1) on every call
+ */
+export const createSeededRandom = (seed) => {
+  let state = seed >>> 0;
+
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Returns a random integer in [min, max] from a generator
+ */
+export const randomInt = (random, min, max) => {
+  return min + Math.floor(random() * (max - min + 1));
+};
+
+/**
+ * Returns a normally distributed number from a generator (Box-Muller transform)
+ */
+export const randomNormal = (random, mean, stdDev) => {
+  // Avoid log(0) by drawing from (0, 1]
+  const u = 1 - random();
+  const v = random();
+  return mean + stdDev * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
@@ -11,7 +11,8 @@
  * @param {Array} available - Available resources
  * @param {Array} max - Maximum demand of each process
  * @param {Array} allocation - Resources currently allocated to each process
- * @returns {Object} Result of the safety algorithm
+ * @returns {Object} Result of the safety algorithm, with the Need matrix and a
+ *   trace of every process examined (Need vs Work, Work after release, Finish)
  */
 export const isSafeState = (available, max, allocation) => {
   // Create deep copies to avoid modifying the original arrays
@@ -29,19 +30,24 @@ export const isSafeState = (available, max, allocation) => {
   const numResources = available.length;
   const finished = Array(numProcesses).fill(false);
   const safeSequence = [];
+  const trace = [];
   
   // Count of processes that have finished
   let count = 0;
+  let pass = 0;
   
   // While there are still processes to finish
   while (count < numProcesses) {
     // Find a process that can be executed
     let found = false;
+    pass++;
     
     for (let i = 0; i < numProcesses; i++) {
       // Skip if process is already finished
       if (finished[i]) continue;
       
+      const work = [...availableResources];
+      
       // Check if all resources needed by this process can be allocated
       let canAllocate = true;
       for (let j = 0; j < numResources; j++) {
@@ -64,6 +70,17 @@ export const isSafeState = (available, max, allocation) => {
         count++;
         found = true;
       }
+      
+      // Record the step so it can be compared with a hand-worked table
+      trace.push({
+        pass,
+        processId: i,
+        need: need[i],
+        work,
+        chosen: canAllocate,
+        workAfter: [...availableResources],
+        finish: [...finished]
+      });
     }
     
     // If no process could be found in this iteration, system is in unsafe state
@@ -71,7 +88,9 @@ export const isSafeState = (available, max, allocation) => {
       return {
         safe: false,
         safeSequence: [],
-        unfinishedProcesses: finished.map((status, index) => !status ? index : null).filter(p => p !== null)
+        unfinishedProcesses: finished.map((status, index) => !status ? index : null).filter(p => p !== null),
+        need,
+        trace
       };
     }
   }
@@ -80,10 +99,150 @@ export const isSafeState = (available, max, allocation) => {
   return {
     safe: true,
     safeSequence,
-    unfinishedProcesses: []
+    unfinishedProcesses: [],
+    need,
+    trace
+  };
+};
+
+// Stop listing safe sequences after this many; they are still counted
+export const MAX_SAFE_SEQUENCES = 1000;
+
+/**
+ * Finds every safe sequence by backtracking
+ * Only the first `limit` sequences are listed. The total is counted separately
+ * with memoisation on the set of finished processes, since Work depends only
+ * on which processes have finished, so large inputs stay fast.
+ * 
+ * @param {Array} available - Available resources
+ * @param {Array} max - Maximum demand of each process
+ * @param {Array} allocation - Resources currently allocated to each process
+ * @param {number} limit - Maximum number of sequences to list
+ * @returns {Object} { sequences, count, capped }
+ */
+export const findAllSafeSequences = (available, max, allocation, limit = MAX_SAFE_SEQUENCES) => {
+  const need = max.map((process, i) => process.map((resource, j) => resource - allocation[i][j]));
+  const numProcesses = max.length;
+  const numResources = available.length;
+  
+  const canRun = (i, work) => {
+    for (let j = 0; j < numResources; j++) {
+      if (need[i][j] > work[j]) return false;
+    }
+    return true;
+  };
+  const release = (i, work) => work.map((value, j) => value + allocation[i][j]);
+  
+  // Number of safe completions from a set of finished processes (bit i = process i)
+  const completions = new Map();
+  const countFrom = (finished, work) => {
+    if (finished.length === numProcesses) return 1;
+    const key = finished.reduce((flags, i) => flags + 2 ** i, 0);
+    if (completions.has(key)) return completions.get(key);
+    
+    let total = 0;
+    for (let i = 0; i < numProcesses; i++) {
+      if (!finished.includes(i) && canRun(i, work)) {
+        total += countFrom([...finished, i], release(i, work));
+      }
+    }
+    completions.set(key, total);
+    return total;
+  };
+  
+  // List sequences depth-first until the limit is reached, only entering
+  // branches the memoised count says lead to at least one safe sequence
+  const sequences = [];
+  const list = (sequence, work) => {
+    if (sequences.length >= limit) return;
+    if (sequence.length === numProcesses) {
+      sequences.push(sequence);
+      return;
+    }
+    for (let i = 0; i < numProcesses; i++) {
+      if (!sequence.includes(i) && canRun(i, work)) {
+        const nextWork = release(i, work);
+        if (countFrom([...sequence, i], nextWork) > 0) {
+          list([...sequence, i], nextWork);
+        }
+      }
+    }
+  };
+  
+  const count = countFrom([], [...available]);
+  list([], [...available]);
+  
+  return {
+    sequences,
+    count,
+    capped: count > sequences.length
   };
 };
 
+/**
+ * Parses a process sequence such as "P1, P3, P0" or "1 3 0" into process numbers
+ * Returns null if any entry is not a process number
+ */
+export const parseProcessSequence = (text) => {
+  const entries = text.replace(/[<>]/g, ' ').split(/[\s,→-]+/).filter(entry => entry !== '');
+  if (entries.length === 0 || entries.some(entry => !/^[Pp]?\d+$/.test(entry))) return null;
+  return entries.map(entry => parseInt(entry.replace(/^[Pp]/, '')));
+};
+
+/**
+ * Checks a user-supplied ordering against the safety algorithm
+ * Explains the first step at which the ordering fails.
+ * 
+ * @param {Array} available - Available resources
+ * @param {Array} max - Maximum demand of each process
+ * @param {Array} allocation - Resources currently allocated to each process
+ * @param {Array} sequence - Process numbers in the order to check
+ * @returns {Object} { safe, steps, failedAt, reason }
+ */
+export const checkSafeSequence = (available, max, allocation, sequence) => {
+  const numProcesses = max.length;
+  
+  // The ordering must name every process exactly once
+  const unknown = sequence.find(processId => processId < 0 || processId >= numProcesses);
+  if (unknown !== undefined) {
+    return { safe: false, steps: [], failedAt: null, reason: `There is no process P${unknown}` };
+  }
+  const repeated = sequence.find((processId, index) => sequence.indexOf(processId) !== index);
+  if (repeated !== undefined) {
+    return { safe: false, steps: [], failedAt: null, reason: `P${repeated} appears more than once` };
+  }
+  const missing = max.map((_, i) => i).filter(i => !sequence.includes(i));
+  if (missing.length > 0) {
+    return { safe: false, steps: [], failedAt: null, reason: `The sequence is missing ${missing.map(p => `P${p}`).join(', ')}` };
+  }
+  
+  const need = max.map((process, i) => process.map((resource, j) => resource - allocation[i][j]));
+  let work = [...available];
+  const steps = [];
+  
+  for (let step = 0; step < sequence.length; step++) {
+    const processId = sequence[step];
+    const shortResource = need[processId].findIndex((value, j) => value > work[j]);
+    
+    if (shortResource !== -1) {
+      steps.push({ processId, need: need[processId], work, ok: false, workAfter: work });
+      return {
+        safe: false,
+        steps,
+        failedAt: step,
+        reason: `Step ${step + 1}: P${processId} needs ${need[processId][shortResource]} of Resource ${shortResource} ` +
+          `but Work only has ${work[shortResource]} (Need (${need[processId].join(', ')}) > Work (${work.join(', ')}))`
+      };
+    }
+    
+    const workAfter = work.map((value, j) => value + allocation[processId][j]);
+    steps.push({ processId, need: need[processId], work, ok: true, workAfter });
+    work = workAfter;
+  }
+  
+  return { safe: true, steps, failedAt: null, reason: null };
+};
+
 /**
  * Resource Request Algorithm
  * Determines if a resource request can be granted immediately
@@ -93,7 +252,8 @@ export const isSafeState = (available, max, allocation) => {
  * @param {Array} allocation - Resources currently allocated to each process
  * @param {number} processId - ID of the process making the request
  * @param {Array} request - Resources requested by the process
- * @returns {Object} Result of the request algorithm
+ * @returns {Object} Result of the request algorithm, with the safety trace of the
+ *   trial state when the request passes the claim and availability checks
  */
 export const resourceRequest = (available, max, allocation, processId, request) => {
   // Create deep copies to avoid modifying the original arrays
@@ -143,31 +303,52 @@ export const resourceRequest = (available, max, allocation, processId, request)
   if (safetyResult.safe) {
     return {
       granted: true,
-      safeSequence: safetyResult.safeSequence
+      safeSequence: safetyResult.safeSequence,
+      trace: safetyResult.trace,
+      need: safetyResult.need
     };
   } else {
     return {
       granted: false,
       reason: 'Resulting state would be unsafe',
-      unsafeProcesses: safetyResult.unfinishedProcesses
+      unsafeProcesses: safetyResult.unfinishedProcesses,
+      trace: safetyResult.trace,
+      need: safetyResult.need
     };
   }
 };
 
+/**
+ * Snapshot of the system state with its Need matrix
+ */
+const snapshotState = (label, available, max, allocation) => ({
+  label,
+  available: [...available],
+  max: JSON.parse(JSON.stringify(max)),
+  allocation: JSON.parse(JSON.stringify(allocation)),
+  need: max.map((process, i) => process.map((resource, j) => resource - allocation[i][j]))
+});
+
 /**
  * Run Banker's Algorithm simulation
  * 
  * @param {Object} data - Input data for the simulation
- * @returns {Object} Results of the simulation
+ * @returns {Object} Results of the simulation, including the states: the
+ *   initial state followed by the state after each granted request
  */
 export const runBankersAlgorithm = (data) => {
   const { available, max, allocation, requests } = data;
   
   // Check if initial state is safe
   const initialSafetyCheck = isSafeState(available, max, allocation);
+  // An unsafe state has no safe sequences, so skip the enumeration
+  const allSafeSequences = initialSafetyCheck.safe
+    ? findAllSafeSequences(available, max, allocation)
+    : { sequences: [], count: 0, capped: false };
   
   // Process each request if initial state is safe
   const requestResults = [];
+  const states = [snapshotState('Initial State', available, max, allocation)];
   
   if (initialSafetyCheck.safe && requests && requests.length > 0) {
     // Create copies for simulation
@@ -198,6 +379,12 @@ export const runBankersAlgorithm = (data) => {
           currentAvailable[j] -= request[j];
           currentAllocation[processId][j] += request[j];
         }
+        states.push(snapshotState(
+          `After granting P${processId} (${request.join(', ')})`,
+          currentAvailable,
+          max,
+          currentAllocation
+        ));
       }
     }
   }
@@ -206,8 +393,16 @@ export const runBankersAlgorithm = (data) => {
     initialState: {
       safe: initialSafetyCheck.safe,
       safeSequence: initialSafetyCheck.safeSequence,
-      unfinishedProcesses: initialSafetyCheck.unfinishedProcesses
+      unfinishedProcesses: initialSafetyCheck.unfinishedProcesses,
+      need: initialSafetyCheck.need,
+      trace: initialSafetyCheck.trace,
+      allSafeSequences,
+      // Kept so user-supplied sequences can be checked against the same state
+      available,
+      max,
+      allocation
     },
-    requestResults
+    requestResults,
+    states
   };
 };
\ No newline at end of file
@@ -1,14 +1,38 @@
-import React from 'react';
-import { Paper, Typography, Box, Grid, Divider, Chip, Alert } from '@mui/material';
+import React, { useState } from 'react';
+import { Paper, Typography, Box, Grid, Divider, Chip, Alert, Pagination, TextField, Button, Tabs, Tab } from '@mui/material';
 import { Check as CheckIcon, Close as CloseIcon } from '@mui/icons-material';
+import { checkSafeSequence, parseProcessSequence } from './BankersAlgorithm';
+
+// Safe sequences listed per page
+const SEQUENCES_PER_PAGE = 20;
+
+// Format a resource vector as (a, b, c)
+const formatVector = (vector) => `(${vector.join(', ')})`;
+
+// Format a Finish vector as T/F flags
+const formatFinish = (finish) => `(${finish.map(status => (status ? 'T' : 'F')).join(', ')})`;
 
 const BankersVisualization = ({ results }) => {
+  const [page, setPage] = useState(1);
+  const [userSequence, setUserSequence] = useState('');
+  const [sequenceCheck, setSequenceCheck] = useState(null);
+  const [stateIndex, setStateIndex] = useState(0);
+  const [sourceResults, setSourceResults] = useState(results);
+  
+  // Start from the first page and clear the last check whenever new results arrive
+  if (sourceResults !== results) {
+    setSourceResults(results);
+    setPage(1);
+    setSequenceCheck(null);
+    setStateIndex(0);
+  }
+  
   if (!results) return null;
   
-  const { initialState, requestResults } = results;
+  const { initialState, requestResults, states } = results;
   
-  // Helper function to render a matrix
-  const renderMatrix = (matrix, title, rowLabel = 'Process', colLabel = 'Resource') => {
+  // Helper function to render a matrix, highlighting cells that differ from a previous matrix
+  const renderMatrix = (matrix, title, rowLabel = 'Process', colLabel = 'Resource', previous = null) => {
     if (!matrix || matrix.length === 0) return null;
     
     return (
@@ -32,18 +56,25 @@ const BankersVisualization = ({ results }) => {
                   <td style={{ padding: '8px', fontWeight: 'bold', textAlign: 'center' }}>
                     {rowLabel} {rowIndex}
                   </td>
-                  {row.map((value, colIndex) => (
-                    <td 
-                      key={`cell-${rowIndex}-${colIndex}`} 
-                      style={{ 
-                        padding: '8px', 
-                        textAlign: 'center',
-                        border: '1px solid #ddd'
-                      }}
-                    >
-                      {value}
-                    </td>
-                  ))}
+                  {row.map((value, colIndex) => {
+                    const changed = previous && previous[rowIndex][colIndex] !== value;
+                    return (
+                      <td 
+                        key={`cell-${rowIndex}-${colIndex}`} 
+                        style={{ 
+                          padding: '8px', 
+                          textAlign: 'center',
+                          border: '1px solid #ddd',
+                          backgroundColor: changed ? '#fff59d' : 'transparent',
+                          fontWeight: changed ? 'bold' : 'normal'
+                        }}
+                        title={changed ? `Was ${previous[rowIndex][colIndex]}` : undefined}
+                      >
+                        {value}
+                        {changed && ` (was ${previous[rowIndex][colIndex]})`}
+                      </td>
+                    );
+                  })}
                 </tr>
               ))}
             </tbody>
@@ -53,27 +84,68 @@ const BankersVisualization = ({ results }) => {
     );
   };
   
-  // Helper function to render a vector
-  const renderVector = (vector, title) => {
+  // Helper function to render a vector, highlighting entries that differ from a previous vector
+  const renderVector = (vector, title, previous = null) => {
     if (!vector || vector.length === 0) return null;
     
     return (
       <Box sx={{ mb: 3 }}>
         <Typography variant="subtitle1" gutterBottom>{title}</Typography>
         <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
-          {vector.map((value, index) => (
-            <Chip 
-              key={`vector-${index}`} 
-              label={`Resource ${index}: ${value}`} 
-              variant="outlined" 
-              color="primary"
-            />
-          ))}
+          {vector.map((value, index) => {
+            const changed = previous && previous[index] !== value;
+            return (
+              <Chip 
+                key={`vector-${index}`} 
+                label={`Resource ${index}: ${value}${changed ? ` (was ${previous[index]})` : ''}`} 
+                variant={changed ? 'filled' : 'outlined'} 
+                color={changed ? 'warning' : 'primary'}
+              />
+            );
+          })}
         </Box>
       </Box>
     );
   };
   
+  // Render one system state, highlighting what changed since the previous state
+  const renderSystemState = () => {
+    if (!states || states.length === 0) return null;
+    
+    const current = states[stateIndex];
+    const previous = stateIndex > 0 ? states[stateIndex - 1] : null;
+    
+    return (
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h6" gutterBottom>System State</Typography>
+        {states.length > 1 && (
+          <>
+            <Tabs
+              value={stateIndex}
+              onChange={(event, newValue) => setStateIndex(newValue)}
+              variant="scrollable"
+              scrollButtons="auto"
+              sx={{ mb: 2 }}
+            >
+              {states.map((state, index) => (
+                <Tab key={`state-${index}`} label={state.label} />
+              ))}
+            </Tabs>
+            {previous && (
+              <Typography variant="body2" color="text.secondary" gutterBottom>
+                Highlighted values changed since: {previous.label}.
+              </Typography>
+            )}
+          </>
+        )}
+        {renderVector(current.available, 'Available', previous && previous.available)}
+        {renderMatrix(current.max, 'Maximum Claim (Max)')}
+        {renderMatrix(current.allocation, 'Allocation', 'Process', 'Resource', previous && previous.allocation)}
+        {renderMatrix(current.need, 'Need (Max − Allocation)', 'Process', 'Resource', previous && previous.need)}
+      </Box>
+    );
+  };
+  
   // Render safe sequence
   const renderSafeSequence = (safeSequence, isSafe) => {
     return (
@@ -108,6 +180,139 @@ const BankersVisualization = ({ results }) => {
     );
   };
   
+  // Render the safety algorithm step by step, with the Need matrix and the starting Work vector
+  const renderSafetyTrace = (trace, need, title) => {
+    if (!trace || trace.length === 0) return null;
+    
+    return (
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="subtitle1" gutterBottom>{title}</Typography>
+        {renderMatrix(need, 'Need (Max − Allocation)')}
+        {renderVector(trace[0].work, 'Work (starts as Available)')}
+        <Box sx={{ overflowX: 'auto' }}>
+          <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+            <thead>
+              <tr>
+                <th style={{ padding: '8px', textAlign: 'center' }}>Pass</th>
+                <th style={{ padding: '8px', textAlign: 'center' }}>Process</th>
+                <th style={{ padding: '8px', textAlign: 'center' }}>Need</th>
+                <th style={{ padding: '8px', textAlign: 'center' }}>Work</th>
+                <th style={{ padding: '8px', textAlign: 'center' }}>Need ≤ Work?</th>
+                <th style={{ padding: '8px', textAlign: 'center' }}>Work After</th>
+                <th style={{ padding: '8px', textAlign: 'center' }}>Finish</th>
+              </tr>
+            </thead>
+            <tbody>
+              {trace.map((step, index) => (
+                <tr key={`trace-${index}`} style={{ backgroundColor: step.chosen ? '#e8f5e9' : 'transparent' }}>
+                  <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{step.pass}</td>
+                  <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>P{step.processId}</td>
+                  <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{formatVector(step.need)}</td>
+                  <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{formatVector(step.work)}</td>
+                  <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>
+                    {step.chosen ? 'Yes, chosen' : 'No, wait'}
+                  </td>
+                  <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{formatVector(step.workAfter)}</td>
+                  <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{formatFinish(step.finish)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Box>
+      </Box>
+    );
+  };
+  
+  // Check the user's ordering against the initial state
+  const handleCheckSequence = () => {
+    const sequence = parseProcessSequence(userSequence);
+    if (!sequence) {
+      setSequenceCheck({ safe: false, steps: [], reason: 'Enter the processes as numbers, e.g. "P1, P3, P0" or "1 3 0"' });
+      return;
+    }
+    setSequenceCheck(checkSafeSequence(initialState.available, initialState.max, initialState.allocation, sequence));
+  };
+  
+  // Render every safe sequence, a page at a time
+  const renderAllSafeSequences = ({ sequences, count, capped }) => {
+    const pageCount = Math.ceil(sequences.length / SEQUENCES_PER_PAGE);
+    const pageSequences = sequences.slice((page - 1) * SEQUENCES_PER_PAGE, page * SEQUENCES_PER_PAGE);
+    
+    return (
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="subtitle1" gutterBottom>All Safe Sequences</Typography>
+        <Typography variant="body2" gutterBottom>
+          {count} safe sequence{count !== 1 ? 's' : ''} in total
+          {capped && `, the first ${sequences.length} are listed`}.
+        </Typography>
+        {pageSequences.length > 0 && (
+          <Box sx={{ overflowX: 'auto' }}>
+            <table style={{ borderCollapse: 'collapse' }}>
+              <tbody>
+                {pageSequences.map((sequence, index) => (
+                  <tr key={`all-seq-${index}`}>
+                    <td style={{ padding: '8px', textAlign: 'right', border: '1px solid #ddd' }}>
+                      {(page - 1) * SEQUENCES_PER_PAGE + index + 1}
+                    </td>
+                    <td style={{ padding: '8px', border: '1px solid #ddd' }}>
+                      {sequence.map(processId => `P${processId}`).join(' → ')}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </Box>
+        )}
+        {pageCount > 1 && (
+          <Pagination count={pageCount} page={page} onChange={(event, value) => setPage(value)} sx={{ mt: 2 }} />
+        )}
+      </Box>
+    );
+  };
+  
+  // Render the "check my sequence" validator
+  const renderSequenceChecker = () => (
+    <Box sx={{ mb: 3 }}>
+      <Typography variant="subtitle1" gutterBottom>Check My Sequence</Typography>
+      <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+        <Grid item xs={12} sm={8}>
+          <TextField
+            fullWidth
+            label="Sequence"
+            placeholder="P1, P3, P4, P0, P2"
+            value={userSequence}
+            onChange={(e) => setUserSequence(e.target.value)}
+          />
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <Button variant="contained" onClick={handleCheckSequence} fullWidth>
+            Check
+          </Button>
+        </Grid>
+      </Grid>
+      
+      {sequenceCheck && (
+        <Alert severity={sequenceCheck.safe ? 'success' : 'error'} sx={{ mb: 2 }}>
+          {sequenceCheck.safe ? 'This sequence is safe: every process can finish in this order.' : sequenceCheck.reason}
+        </Alert>
+      )}
+      
+      {sequenceCheck && sequenceCheck.steps.length > 0 && (
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+          {sequenceCheck.steps.map((step, index) => (
+            <Chip
+              key={`check-${index}`}
+              label={`P${step.processId}: Need (${step.need.join(', ')}) ${step.ok ? '≤' : '>'} Work (${step.work.join(', ')})`}
+              color={step.ok ? 'success' : 'error'}
+              variant={step.ok ? 'outlined' : 'filled'}
+              size="small"
+            />
+          ))}
+        </Box>
+      )}
+    </Box>
+  );
+  
   // Render request results
   const renderRequestResults = (requests) => {
     if (!requests || requests.length === 0) return null;
@@ -161,6 +366,12 @@ const BankersVisualization = ({ results }) => {
                 </Grid>
               )}
               
+              {req.trace && (
+                <Grid item xs={12}>
+                  {renderSafetyTrace(req.trace, req.need, 'Safety Check of the Trial Allocation')}
+                </Grid>
+              )}
+              
               {req.granted && req.safeSequence && (
                 <Grid item xs={12}>
                   <Typography variant="body2">Resulting Safe Sequence:</Typography>
@@ -187,6 +398,10 @@ const BankersVisualization = ({ results }) => {
     <Paper elevation={3} sx={{ p: 3 }}>
       <Typography variant="h5" gutterBottom>Banker's Algorithm Results</Typography>
       
+      {renderSystemState()}
+      
+      <Divider sx={{ my: 3 }} />
+      
       <Box sx={{ mb: 4 }}>
         <Typography variant="h6" gutterBottom>Initial System State</Typography>
         
@@ -197,6 +412,12 @@ const BankersVisualization = ({ results }) => {
             Processes that could lead to deadlock: {initialState.unfinishedProcesses.map(p => `P${p}`).join(', ')}
           </Alert>
         )}
+        
+        {renderSafetyTrace(initialState.trace, initialState.need, 'Safety Algorithm Trace')}
+        
+        {initialState.safe && renderAllSafeSequences(initialState.allSafeSequences)}
+        
+        {renderSequenceChecker()}
       </Box>
       
       {requestResults && requestResults.length > 0 && (
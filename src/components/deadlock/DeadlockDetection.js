@@ -0,0 +1,100 @@
+/**
+ * Deadlock Detection for Multi-Instance Resources
+ *
+ * This file implements the detection algorithm. Unlike the Banker's
+ * Algorithm it needs no maximum claims: it takes the current Allocation and
+ * the outstanding Request matrix and checks whether the processes could
+ * still finish in some order if each got what it is waiting for now.
+ * Processes that can never finish are deadlocked.
+ */
+
+/**
+ * Runs the detection algorithm and records how Work and Finish evolve
+ *
+ * @param {Array} available - Available resources
+ * @param {Array} allocation - Resources currently allocated to each process
+ * @param {Array} request - Resources each process is currently waiting for
+ * @returns {Object} Deadlocked processes, the order the others finish in and every step
+ */
+export const detectDeadlock = (available, allocation, request) => {
+  const numProcesses = allocation.length;
+  const numResources = available.length;
+  const work = [...available];
+
+  // A process holding nothing cannot be part of a deadlock
+  const finish = allocation.map(row => row.every(value => value === 0));
+  const initialFinish = [...finish];
+  const finishOrder = [];
+  const steps = [];
+
+  // Scan the processes until a full pass finds none that can finish
+  let found = true;
+  let pass = 0;
+  while (found) {
+    found = false;
+    pass++;
+
+    for (let i = 0; i < numProcesses; i++) {
+      if (finish[i]) continue;
+
+      const workBefore = [...work];
+      let canFinish = true;
+      for (let j = 0; j < numResources; j++) {
+        if (request[i][j] > work[j]) {
+          canFinish = false;
+          break;
+        }
+      }
+
+      // Assume the process finishes and releases everything it holds
+      if (canFinish) {
+        for (let j = 0; j < numResources; j++) {
+          work[j] += allocation[i][j];
+        }
+        finish[i] = true;
+        finishOrder.push(i);
+        found = true;
+      }
+
+      steps.push({
+        pass,
+        processId: i,
+        request: request[i],
+        work: workBefore,
+        canFinish,
+        workAfter: [...work],
+        finish: [...finish]
+      });
+    }
+  }
+
+  const deadlockedProcesses = finish
+    .map((status, index) => (!status ? index : null))
+    .filter(p => p !== null);
+
+  return {
+    deadlocked: deadlockedProcesses.length > 0,
+    deadlockedProcesses,
+    finishOrder,
+    initialFinish,
+    steps,
+    finalWork: work
+  };
+};
+
+/**
+ * Run the deadlock detection simulation
+ *
+ * @param {Object} data - Available vector and Allocation and Request matrices
+ * @returns {Object} Input state together with the detection result
+ */
+export const runDeadlockDetection = (data) => {
+  const { available, allocation, request } = data;
+
+  return {
+    available,
+    allocation,
+    request,
+    ...detectDeadlock(available, allocation, request)
+  };
+};
@@ -0,0 +1,167 @@
+import React, { useState } from 'react';
+import { TextField, Button, Grid, Typography, Paper, Box } from '@mui/material';
+
+// Resize a matrix to the given number of rows and columns, keeping existing values
+const resizeMatrix = (matrix, rows, columns) => {
+  return Array(rows).fill().map((_, i) =>
+    Array(columns).fill().map((_, j) => (matrix[i] && matrix[i][j] !== undefined ? matrix[i][j] : ''))
+  );
+};
+
+// Convert numeric matrices, e.g. from the graph editor, into field values
+const toFields = (matrix) => matrix.map(row => row.map(String));
+
+const DetectionInput = ({ onSubmit, initialData }) => {
+  const [numProcesses, setNumProcesses] = useState(initialData ? initialData.allocation.length : 3);
+  const [numResources, setNumResources] = useState(initialData ? initialData.available.length : 3);
+  const [available, setAvailable] = useState(initialData ? initialData.available.map(String) : Array(3).fill(''));
+  const [allocation, setAllocation] = useState(initialData ? toFields(initialData.allocation) : Array(3).fill().map(() => Array(3).fill('')));
+  const [request, setRequest] = useState(initialData ? toFields(initialData.request) : Array(3).fill().map(() => Array(3).fill('')));
+
+  // Handle changes to the number of processes
+  const handleNumProcessesChange = (e) => {
+    const newNumProcesses = parseInt(e.target.value) || 0;
+    if (newNumProcesses < 1) return;
+
+    setNumProcesses(newNumProcesses);
+    setAllocation(resizeMatrix(allocation, newNumProcesses, numResources));
+    setRequest(resizeMatrix(request, newNumProcesses, numResources));
+  };
+
+  // Handle changes to the number of resources
+  const handleNumResourcesChange = (e) => {
+    const newNumResources = parseInt(e.target.value) || 0;
+    if (newNumResources < 1) return;
+
+    setNumResources(newNumResources);
+    setAvailable(resizeMatrix([available], 1, newNumResources)[0]);
+    setAllocation(resizeMatrix(allocation, numProcesses, newNumResources));
+    setRequest(resizeMatrix(request, numProcesses, newNumResources));
+  };
+
+  // Handle changes to available resources
+  const handleAvailableChange = (index, value) => {
+    const newAvailable = [...available];
+    newAvailable[index] = value;
+    setAvailable(newAvailable);
+  };
+
+  // Handle changes to one cell of a matrix
+  const handleMatrixChange = (matrix, setMatrix, processIndex, resourceIndex, value) => {
+    const newMatrix = matrix.map(row => [...row]);
+    newMatrix[processIndex][resourceIndex] = value;
+    setMatrix(newMatrix);
+  };
+
+  // Submit the form
+  const handleSubmit = () => {
+    // Validate and convert inputs to numbers
+    const validAvailable = available.map(val => parseInt(val) || 0);
+    const validAllocation = allocation.map(row => row.map(val => parseInt(val) || 0));
+    const validRequest = request.map(row => row.map(val => parseInt(val) || 0));
+
+    const negative = [validAvailable, ...validAllocation, ...validRequest].some(row => row.some(val => val < 0));
+    if (negative) {
+      alert('Error: Available, Allocation and Request values cannot be negative');
+      return;
+    }
+
+    onSubmit({
+      available: validAvailable,
+      allocation: validAllocation,
+      request: validRequest
+    });
+  };
+
+  // Helper function to render one matrix as a row of fields per process
+  const renderMatrixInput = (matrix, setMatrix, name) => (
+    matrix.map((row, processIndex) => (
+      <Box key={`${name}-row-${processIndex}`} sx={{ mb: 2 }}>
+        <Typography variant="subtitle1" gutterBottom>Process {processIndex}</Typography>
+        <Grid container spacing={2}>
+          {row.map((value, resourceIndex) => (
+            <Grid item xs={4} sm={3} md={2} key={`${name}-${processIndex}-${resourceIndex}`}>
+              <TextField
+                fullWidth
+                label={`Resource ${resourceIndex}`}
+                type="number"
+                value={value}
+                onChange={(e) => handleMatrixChange(matrix, setMatrix, processIndex, resourceIndex, e.target.value)}
+                InputProps={{ inputProps: { min: 0 } }}
+              />
+            </Grid>
+          ))}
+        </Grid>
+      </Box>
+    ))
+  );
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h5" gutterBottom>Deadlock Detection Input</Typography>
+
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        <Grid item xs={6}>
+          <TextField
+            fullWidth
+            label="Number of Processes"
+            type="number"
+            value={numProcesses}
+            onChange={handleNumProcessesChange}
+            InputProps={{ inputProps: { min: 1 } }}
+          />
+        </Grid>
+        <Grid item xs={6}>
+          <TextField
+            fullWidth
+            label="Number of Resources"
+            type="number"
+            value={numResources}
+            onChange={handleNumResourcesChange}
+            InputProps={{ inputProps: { min: 1 } }}
+          />
+        </Grid>
+      </Grid>
+
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Available Resources</Typography>
+        <Grid container spacing={2}>
+          {available.map((value, index) => (
+            <Grid item xs={4} sm={3} md={2} key={`available-${index}`}>
+              <TextField
+                fullWidth
+                label={`Resource ${index}`}
+                type="number"
+                value={value}
+                onChange={(e) => handleAvailableChange(index, e.target.value)}
+                InputProps={{ inputProps: { min: 0 } }}
+              />
+            </Grid>
+          ))}
+        </Grid>
+      </Box>
+
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Current Allocation</Typography>
+        {renderMatrixInput(allocation, setAllocation, 'allocation')}
+      </Box>
+
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Outstanding Requests (Request)</Typography>
+        {renderMatrixInput(request, setRequest, 'request')}
+      </Box>
+
+      <Button
+        variant="contained"
+        color="success"
+        onClick={handleSubmit}
+        fullWidth
+        sx={{ mt: 2 }}
+      >
+        Detect Deadlock
+      </Button>
+    </Paper>
+  );
+};
+
+export default DetectionInput;
@@ -0,0 +1,107 @@
+import React from 'react';
+import { Paper, Typography, Box, Divider, Chip, Alert } from '@mui/material';
+import { Check as CheckIcon, Close as CloseIcon } from '@mui/icons-material';
+
+// Format a resource vector as (a, b, c)
+const formatVector = (vector) => `(${vector.join(', ')})`;
+
+// Format a Finish vector as T/F flags
+const formatFinish = (finish) => `(${finish.map(status => (status ? 'T' : 'F')).join(', ')})`;
+
+const DetectionVisualization = ({ results }) => {
+  if (!results) return null;
+
+  const { available, allocation, request, deadlocked, deadlockedProcesses, finishOrder, initialFinish, steps, finalWork } = results;
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Typography variant="h5" gutterBottom>Deadlock Detection Results</Typography>
+
+      <Alert severity={deadlocked ? 'error' : 'success'} sx={{ mb: 2 }}>
+        {deadlocked
+          ? `Deadlock detected: ${deadlockedProcesses.map(p => `P${p}`).join(', ')} can never finish.`
+          : 'No deadlock: every process can finish with its outstanding requests.'}
+      </Alert>
+
+      {finishOrder.length > 0 && (
+        <Box sx={{ mb: 3 }}>
+          <Typography variant="body2" gutterBottom>Processes that can finish, in order:</Typography>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            {finishOrder.map((processId, index) => (
+              <Chip key={`finish-${index}`} label={`P${processId}`} color="success" sx={{ fontWeight: 'bold' }} />
+            ))}
+          </Box>
+        </Box>
+      )}
+
+      <Box sx={{ mb: 4, overflowX: 'auto' }}>
+        <Typography variant="h6" gutterBottom>System State</Typography>
+        <table style={{ borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Process</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Allocation</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Request</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Initial Finish</th>
+            </tr>
+          </thead>
+          <tbody>
+            {allocation.map((row, processId) => (
+              <tr key={`state-${processId}`}>
+                <td style={{ padding: '8px', border: '1px solid #ddd' }}>P{processId}</td>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{formatVector(row)}</td>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{formatVector(request[processId])}</td>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>
+                  {initialFinish[processId] ? 'true (holds nothing)' : 'false'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <Typography variant="body2" sx={{ mt: 1 }}>
+          Work starts as Available = {formatVector(available)} and ends as {formatVector(finalWork)}.
+        </Typography>
+      </Box>
+
+      <Divider sx={{ my: 3 }} />
+
+      <Box sx={{ overflowX: 'auto' }}>
+        <Typography variant="h6" gutterBottom>Work and Finish Evolution</Typography>
+        {steps.length === 0 ? (
+          <Typography>Every process holds nothing, so none can be deadlocked.</Typography>
+        ) : (
+          <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+            <thead>
+              <tr>
+                <th style={{ padding: '8px', textAlign: 'center' }}>Pass</th>
+                <th style={{ padding: '8px', textAlign: 'center' }}>Process</th>
+                <th style={{ padding: '8px', textAlign: 'center' }}>Request</th>
+                <th style={{ padding: '8px', textAlign: 'center' }}>Work</th>
+                <th style={{ padding: '8px', textAlign: 'center' }}>Request ≤ Work?</th>
+                <th style={{ padding: '8px', textAlign: 'center' }}>Work After</th>
+                <th style={{ padding: '8px', textAlign: 'center' }}>Finish</th>
+              </tr>
+            </thead>
+            <tbody>
+              {steps.map((step, index) => (
+                <tr key={`step-${index}`} style={{ backgroundColor: step.canFinish ? '#e8f5e9' : 'transparent' }}>
+                  <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{step.pass}</td>
+                  <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>P{step.processId}</td>
+                  <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{formatVector(step.request)}</td>
+                  <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{formatVector(step.work)}</td>
+                  <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>
+                    {step.canFinish ? <CheckIcon color="success" fontSize="small" /> : <CloseIcon color="error" fontSize="small" />}
+                  </td>
+                  <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{formatVector(step.workAfter)}</td>
+                  <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{formatFinish(step.finish)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </Box>
+    </Paper>
+  );
+};
+
+export default DetectionVisualization;
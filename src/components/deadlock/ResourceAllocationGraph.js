@@ -0,0 +1,177 @@
+/**
+ * Resource-Allocation Graph
+ *
+ * This file analyses a resource-allocation graph (RAG). Process nodes point
+ * to the resources they request, and resources point to the processes that
+ * hold their instances. Edges carry a count, so one edge can stand for
+ * several instances.
+ *
+ * - A cycle is necessary for a deadlock. With a single instance per resource
+ *   it is also sufficient, so the graph is reduced to a wait-for graph
+ *   (Pi → Pj when Pi waits for a resource Pj holds) and searched for a cycle.
+ * - With several instances per resource a cycle is not enough. The graph is
+ *   reduced instead: any process whose requests can be met is assumed to
+ *   finish and its edges are erased. This is the detection algorithm run on
+ *   the Allocation and Request matrices the graph stands for.
+ */
+
+import { detectDeadlock } from './DeadlockDetection';
+
+/**
+ * Finds one directed cycle with a depth-first search
+ *
+ * @param {Array} nodes - Node keys
+ * @param {Map} successors - Node key mapped to the keys it points to
+ * @returns {Array|null} Nodes of the cycle in order, or null if there is none
+ */
+export const findCycle = (nodes, successors) => {
+  // 0 = unvisited, 1 = on the current path, 2 = done
+  const state = new Map(nodes.map(node => [node, 0]));
+  const path = [];
+
+  const visit = (node) => {
+    state.set(node, 1);
+    path.push(node);
+
+    for (const next of successors.get(node) || []) {
+      if (state.get(next) === 1) {
+        return path.slice(path.indexOf(next));
+      }
+      if (state.get(next) === 0) {
+        const cycle = visit(next);
+        if (cycle) return cycle;
+      }
+    }
+
+    path.pop();
+    state.set(node, 2);
+    return null;
+  };
+
+  for (const node of nodes) {
+    if (state.get(node) === 0) {
+      const cycle = visit(node);
+      if (cycle) return cycle;
+    }
+  }
+
+  return null;
+};
+
+// Node keys used for cycle search, e.g. "P:3" for the process with id 3
+const processKey = (id) => `P:${id}`;
+const resourceKey = (id) => `R:${id}`;
+
+/**
+ * Converts a graph into the Available vector and Allocation and Request matrices
+ * Rows follow the order of graph.processes and columns the order of graph.resources.
+ *
+ * @param {Object} graph - { processes: [{ id }], resources: [{ id, instances }], edges: [{ type, process, resource, count }] }
+ * @returns {Object} { available, allocation, request }
+ */
+export const graphToMatrices = (graph) => {
+  const rowOf = new Map(graph.processes.map((process, index) => [process.id, index]));
+  const columnOf = new Map(graph.resources.map((resource, index) => [resource.id, index]));
+  const allocation = graph.processes.map(() => graph.resources.map(() => 0));
+  const request = graph.processes.map(() => graph.resources.map(() => 0));
+
+  graph.edges.forEach(edge => {
+    const matrix = edge.type === 'assignment' ? allocation : request;
+    matrix[rowOf.get(edge.process)][columnOf.get(edge.resource)] += edge.count;
+  });
+
+  const available = graph.resources.map((resource, j) =>
+    resource.instances - allocation.reduce((sum, row) => sum + row[j], 0)
+  );
+
+  return { available, allocation, request };
+};
+
+/**
+ * Builds a graph from the Available vector and Allocation and Request matrices
+ * Processes are laid out along the top and resources along the bottom.
+ *
+ * @param {Object} matrices - { available, allocation, request }
+ * @param {number} width - Width of the drawing area
+ * @param {number} height - Height of the drawing area
+ * @returns {Object} Graph with node positions
+ */
+export const matricesToGraph = ({ available, allocation, request }, width = 800, height = 450) => {
+  const spread = (count, index) => ((index + 1) * width) / (count + 1);
+
+  const processes = allocation.map((_, i) => ({ id: i, x: spread(allocation.length, i), y: height * 0.2 }));
+  const resources = available.map((free, j) => ({
+    id: j,
+    instances: free + allocation.reduce((sum, row) => sum + row[j], 0),
+    x: spread(available.length, j),
+    y: height * 0.8
+  }));
+
+  const edges = [];
+  allocation.forEach((row, i) => {
+    row.forEach((count, j) => {
+      if (count > 0) edges.push({ type: 'assignment', process: i, resource: j, count });
+      if (request[i][j] > 0) edges.push({ type: 'request', process: i, resource: j, count: request[i][j] });
+    });
+  });
+
+  return { processes, resources, edges };
+};
+
+/**
+ * Analyses a graph for deadlock
+ *
+ * @param {Object} graph - Resource-allocation graph
+ * @returns {Object} Cycle in the graph, the wait-for graph for single-instance
+ *   resources, and the graph reduction
+ */
+export const analyseGraph = (graph) => {
+  const nodes = [
+    ...graph.processes.map(process => processKey(process.id)),
+    ...graph.resources.map(resource => resourceKey(resource.id))
+  ];
+  const successors = new Map(nodes.map(node => [node, []]));
+  graph.edges.forEach(edge => {
+    if (edge.type === 'request') {
+      successors.get(processKey(edge.process)).push(resourceKey(edge.resource));
+    } else {
+      successors.get(resourceKey(edge.resource)).push(processKey(edge.process));
+    }
+  });
+
+  const singleInstance = graph.resources.every(resource => resource.instances === 1);
+
+  // Wait-for graph: Pi waits for Pj when Pi requests a resource Pj holds
+  let waitFor = null;
+  if (singleInstance) {
+    const edges = [];
+    graph.edges.filter(edge => edge.type === 'request').forEach(requestEdge => {
+      graph.edges
+        .filter(edge => edge.type === 'assignment' && edge.resource === requestEdge.resource && edge.process !== requestEdge.process)
+        .forEach(holder => edges.push({ from: requestEdge.process, to: holder.process, resource: requestEdge.resource }));
+    });
+
+    const processIds = graph.processes.map(process => process.id);
+    const waitSuccessors = new Map(processIds.map(id => [id, []]));
+    edges.forEach(edge => waitSuccessors.get(edge.from).push(edge.to));
+
+    waitFor = { edges, cycle: findCycle(processIds, waitSuccessors) };
+  }
+
+  // Graph reduction is the detection algorithm on the equivalent matrices
+  const matrices = graphToMatrices(graph);
+  const detection = detectDeadlock(matrices.available, matrices.allocation, matrices.request);
+
+  return {
+    cycle: findCycle(nodes, successors),
+    singleInstance,
+    waitFor,
+    reduction: {
+      ...detection,
+      // Report process ids rather than matrix rows
+      finishOrder: detection.finishOrder.map(row => graph.processes[row].id),
+      deadlockedProcesses: detection.deadlockedProcesses.map(row => graph.processes[row].id)
+    },
+    matrices
+  };
+};
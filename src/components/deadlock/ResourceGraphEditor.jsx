@@ -0,0 +1,556 @@
+import React, { useState, useRef } from 'react';
+import { Paper, Typography, Box, Grid, Button, TextField, RadioGroup, Radio, FormControlLabel, Alert, Divider } from '@mui/material';
+import { analyseGraph, matricesToGraph } from './ResourceAllocationGraph';
+
+// Size of the drawing area in SVG units
+const WIDTH = 800;
+const HEIGHT = 450;
+const PROCESS_RADIUS = 24;
+const RESOURCE_WIDTH = 76;
+const RESOURCE_HEIGHT = 44;
+// Instances drawn as dots before switching to a count
+const MAX_DOTS = 6;
+
+// Two processes each holding the resource the other one requests
+const EXAMPLE_GRAPH = matricesToGraph({
+  available: [0, 0],
+  allocation: [[1, 0], [0, 1]],
+  request: [[0, 1], [1, 0]]
+}, WIDTH, HEIGHT);
+
+// Editing tools
+const TOOLS = {
+  move: 'Move nodes',
+  request: 'Draw request edge (P → R)',
+  assignment: 'Draw assignment edge (R → P)',
+  delete: 'Delete node or edge'
+};
+
+// Format a resource vector as (a, b, c)
+const formatVector = (vector) => `(${vector.join(', ')})`;
+
+/**
+ * Shortens the segment from a to b so it starts and ends at the node borders,
+ * shifted sideways so request and assignment edges between the same pair do not overlap
+ */
+const edgeGeometry = (from, to, fromInset, toInset, shift) => {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const length = Math.max(1, Math.hypot(dx, dy));
+  const ux = dx / length;
+  const uy = dy / length;
+  const ox = -uy * shift;
+  const oy = ux * shift;
+
+  return {
+    x1: from.x + ux * fromInset + ox,
+    y1: from.y + uy * fromInset + oy,
+    x2: to.x - ux * toInset + ox,
+    y2: to.y - uy * toInset + oy
+  };
+};
+
+const ResourceGraphEditor = ({ matrices, onExport }) => {
+  const [graph, setGraph] = useState(EXAMPLE_GRAPH);
+  const [tool, setTool] = useState('move');
+  const [pending, setPending] = useState(null);
+  const [dragging, setDragging] = useState(null);
+  const [newInstances, setNewInstances] = useState('1');
+  const svgRef = useRef(null);
+
+  const analysis = analyseGraph(graph);
+  const processIndex = new Map(graph.processes.map((process, index) => [process.id, index]));
+  const resourceIndex = new Map(graph.resources.map((resource, index) => [resource.id, index]));
+  const processLabel = (id) => `P${processIndex.get(id)}`;
+  const resourceLabel = (id) => `R${resourceIndex.get(id)}`;
+  const keyLabel = (key) => (key.startsWith('P') ? processLabel(Number(key.slice(2))) : resourceLabel(Number(key.slice(2))));
+
+  // Convert a pointer position to SVG coordinates
+  const toSvgPoint = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) * WIDTH) / rect.width,
+      y: ((event.clientY - rect.top) * HEIGHT) / rect.height
+    };
+  };
+
+  const handleToolChange = (value) => {
+    setTool(value);
+    setPending(null);
+  };
+
+  const addProcess = () => {
+    const id = graph.processes.length > 0 ? Math.max(...graph.processes.map(process => process.id)) + 1 : 0;
+    const x = 60 + ((graph.processes.length * 110) % (WIDTH - 120));
+    setGraph({ ...graph, processes: [...graph.processes, { id, x, y: HEIGHT * 0.2 }] });
+  };
+
+  const addResource = () => {
+    const instances = parseInt(newInstances);
+    if (!instances || instances < 1) {
+      alert('Please enter at least one instance for the new resource');
+      return;
+    }
+    const id = graph.resources.length > 0 ? Math.max(...graph.resources.map(resource => resource.id)) + 1 : 0;
+    const x = 60 + ((graph.resources.length * 110) % (WIDTH - 120));
+    setGraph({ ...graph, resources: [...graph.resources, { id, instances, x, y: HEIGHT * 0.8 }] });
+  };
+
+  const updateInstances = (id, value) => {
+    const instances = parseInt(value);
+    const assigned = graph.edges
+      .filter(edge => edge.type === 'assignment' && edge.resource === id)
+      .reduce((sum, edge) => sum + edge.count, 0);
+
+    if (!instances || instances < Math.max(1, assigned)) {
+      alert(`${resourceLabel(id)} needs at least ${Math.max(1, assigned)} instance${assigned > 1 ? 's' : ''}`);
+      return;
+    }
+
+    setGraph({
+      ...graph,
+      resources: graph.resources.map(resource => (resource.id === id ? { ...resource, instances } : resource))
+    });
+  };
+
+  const addEdge = (type, processId, resourceId) => {
+    const resource = graph.resources.find(candidate => candidate.id === resourceId);
+    const total = (edgeType, filter) => graph.edges
+      .filter(edge => edge.type === edgeType && filter(edge))
+      .reduce((sum, edge) => sum + edge.count, 0);
+
+    if (type === 'assignment' && total('assignment', edge => edge.resource === resourceId) >= resource.instances) {
+      alert(`All instances of ${resourceLabel(resourceId)} are already assigned`);
+      return;
+    }
+
+    // A process can never hold and request more instances than exist
+    const claimed = total('assignment', edge => edge.resource === resourceId && edge.process === processId)
+      + total('request', edge => edge.resource === resourceId && edge.process === processId);
+    if (claimed >= resource.instances) {
+      alert(`${processLabel(processId)} already holds or requests every instance of ${resourceLabel(resourceId)}`);
+      return;
+    }
+
+    const existing = graph.edges.find(edge => edge.type === type && edge.process === processId && edge.resource === resourceId);
+    setGraph({
+      ...graph,
+      edges: existing
+        ? graph.edges.map(edge => (edge === existing ? { ...edge, count: edge.count + 1 } : edge))
+        : [...graph.edges, { type, process: processId, resource: resourceId, count: 1 }]
+    });
+  };
+
+  const removeEdge = (target) => {
+    setGraph({
+      ...graph,
+      edges: graph.edges
+        .map(edge => (edge === target ? { ...edge, count: edge.count - 1 } : edge))
+        .filter(edge => edge.count > 0)
+    });
+  };
+
+  const removeNode = (kind, id) => {
+    setGraph({
+      processes: kind === 'process' ? graph.processes.filter(process => process.id !== id) : graph.processes,
+      resources: kind === 'resource' ? graph.resources.filter(resource => resource.id !== id) : graph.resources,
+      edges: graph.edges.filter(edge => (kind === 'process' ? edge.process !== id : edge.resource !== id))
+    });
+  };
+
+  const handleNodePointerDown = (event, kind, id) => {
+    event.stopPropagation();
+
+    if (tool === 'move') {
+      const node = (kind === 'process' ? graph.processes : graph.resources).find(candidate => candidate.id === id);
+      const point = toSvgPoint(event);
+      setDragging({ kind, id, dx: point.x - node.x, dy: point.y - node.y });
+      return;
+    }
+
+    if (tool === 'delete') {
+      removeNode(kind, id);
+      return;
+    }
+
+    // Edge tools: pick one process and one resource in either order
+    if (!pending || pending.kind === kind) {
+      setPending({ kind, id });
+      return;
+    }
+
+    const processId = kind === 'process' ? id : pending.id;
+    const resourceId = kind === 'resource' ? id : pending.id;
+    addEdge(tool, processId, resourceId);
+    setPending(null);
+  };
+
+  const handlePointerMove = (event) => {
+    if (!dragging) return;
+    const point = toSvgPoint(event);
+    const x = Math.min(WIDTH - 40, Math.max(40, point.x - dragging.dx));
+    const y = Math.min(HEIGHT - 30, Math.max(30, point.y - dragging.dy));
+    const move = (node) => (node.id === dragging.id ? { ...node, x, y } : node);
+
+    setGraph({
+      ...graph,
+      processes: dragging.kind === 'process' ? graph.processes.map(move) : graph.processes,
+      resources: dragging.kind === 'resource' ? graph.resources.map(move) : graph.resources
+    });
+  };
+
+  const handleImport = () => {
+    setGraph(matricesToGraph(matrices, WIDTH, HEIGHT));
+    setPending(null);
+  };
+
+  // Edges and processes to highlight
+  const cycle = analysis.cycle;
+  const cyclePairs = new Set((cycle || []).map((key, index) => `${key}>${cycle[(index + 1) % cycle.length]}`));
+  const isCycleEdge = (edge) => (edge.type === 'request'
+    ? cyclePairs.has(`P:${edge.process}>R:${edge.resource}`)
+    : cyclePairs.has(`R:${edge.resource}>P:${edge.process}`));
+  const deadlocked = new Set(analysis.reduction.deadlockedProcesses);
+
+  const renderEdge = (edge, index) => {
+    const process = graph.processes.find(candidate => candidate.id === edge.process);
+    const resource = graph.resources.find(candidate => candidate.id === edge.resource);
+    const resourceInset = Math.min(RESOURCE_WIDTH, RESOURCE_HEIGHT) / 2 + 4;
+    const line = edge.type === 'request'
+      ? edgeGeometry(process, resource, PROCESS_RADIUS, resourceInset, 6)
+      : edgeGeometry(resource, process, resourceInset, PROCESS_RADIUS + 2, 6);
+    const color = isCycleEdge(edge) ? '#d32f2f' : edge.type === 'request' ? '#1976d2' : '#388e3c';
+
+    return (
+      <g
+        key={`edge-${index}`}
+        onClick={() => tool === 'delete' && removeEdge(edge)}
+        style={{ cursor: tool === 'delete' ? 'pointer' : 'default' }}
+      >
+        <line
+          {...line}
+          stroke={color}
+          strokeWidth={isCycleEdge(edge) ? 3 : 2}
+          strokeDasharray={edge.type === 'request' ? '6 4' : undefined}
+          markerEnd={`url(#arrow-${isCycleEdge(edge) ? 'cycle' : edge.type})`}
+        />
+        {/* Wider invisible line so edges are easy to click */}
+        <line {...line} stroke="transparent" strokeWidth={12} />
+        {edge.count > 1 && (
+          <text x={(line.x1 + line.x2) / 2 + 8} y={(line.y1 + line.y2) / 2} fontSize="14" fill={color}>
+            ×{edge.count}
+          </text>
+        )}
+      </g>
+    );
+  };
+
+  const renderResource = (resource) => {
+    const selected = pending && pending.kind === 'resource' && pending.id === resource.id;
+    const dotSpacing = RESOURCE_WIDTH / (Math.min(resource.instances, MAX_DOTS) + 1);
+
+    return (
+      <g
+        key={`resource-${resource.id}`}
+        onPointerDown={(event) => handleNodePointerDown(event, 'resource', resource.id)}
+        style={{ cursor: tool === 'move' ? 'grab' : 'pointer' }}
+      >
+        <rect
+          x={resource.x - RESOURCE_WIDTH / 2}
+          y={resource.y - RESOURCE_HEIGHT / 2}
+          width={RESOURCE_WIDTH}
+          height={RESOURCE_HEIGHT}
+          rx={4}
+          fill="#fff8e1"
+          stroke={selected ? '#ff9800' : '#795548'}
+          strokeWidth={selected ? 3 : 2}
+        />
+        <text x={resource.x} y={resource.y - RESOURCE_HEIGHT / 2 - 6} textAnchor="middle" fontSize="14" fontWeight="bold">
+          {resourceLabel(resource.id)}
+        </text>
+        {resource.instances <= MAX_DOTS ? (
+          Array(resource.instances).fill().map((_, dot) => (
+            <circle
+              key={`dot-${dot}`}
+              cx={resource.x - RESOURCE_WIDTH / 2 + dotSpacing * (dot + 1)}
+              cy={resource.y}
+              r={5}
+              fill="#795548"
+            />
+          ))
+        ) : (
+          <text x={resource.x} y={resource.y + 5} textAnchor="middle" fontSize="14">{resource.instances} instances</text>
+        )}
+      </g>
+    );
+  };
+
+  const renderProcess = (process) => {
+    const selected = pending && pending.kind === 'process' && pending.id === process.id;
+
+    return (
+      <g
+        key={`process-${process.id}`}
+        onPointerDown={(event) => handleNodePointerDown(event, 'process', process.id)}
+        style={{ cursor: tool === 'move' ? 'grab' : 'pointer' }}
+      >
+        <circle
+          cx={process.x}
+          cy={process.y}
+          r={PROCESS_RADIUS}
+          fill={deadlocked.has(process.id) ? '#ffcdd2' : '#e3f2fd'}
+          stroke={selected ? '#ff9800' : deadlocked.has(process.id) ? '#d32f2f' : '#1976d2'}
+          strokeWidth={selected ? 3 : 2}
+        />
+        <text x={process.x} y={process.y + 5} textAnchor="middle" fontSize="15" fontWeight="bold">
+          {processLabel(process.id)}
+        </text>
+      </g>
+    );
+  };
+
+  // Wait-for graph with the processes placed on a circle
+  const renderWaitForGraph = () => {
+    const size = 300;
+    const radius = graph.processes.length > 1 ? 110 : 0;
+    const position = new Map(graph.processes.map((process, index) => {
+      const angle = (2 * Math.PI * index) / graph.processes.length - Math.PI / 2;
+      return [process.id, { x: size / 2 + radius * Math.cos(angle), y: size / 2 + radius * Math.sin(angle) }];
+    }));
+    const waitCycle = analysis.waitFor.cycle || [];
+    const onCycle = (edge) => waitCycle.some((id, index) => id === edge.from && waitCycle[(index + 1) % waitCycle.length] === edge.to);
+
+    return (
+      <svg viewBox={`0 0 ${size} ${size}`} style={{ width: '100%', maxWidth: size, border: '1px solid #ddd' }}>
+        {analysis.waitFor.edges.map((edge, index) => (
+          <line
+            key={`wait-${index}`}
+            {...edgeGeometry(position.get(edge.from), position.get(edge.to), 18, 20, 0)}
+            stroke={onCycle(edge) ? '#d32f2f' : '#555'}
+            strokeWidth={onCycle(edge) ? 3 : 2}
+            markerEnd={`url(#arrow-${onCycle(edge) ? 'cycle' : 'wait'})`}
+          />
+        ))}
+        {graph.processes.map(process => (
+          <g key={`wait-node-${process.id}`}>
+            <circle
+              cx={position.get(process.id).x}
+              cy={position.get(process.id).y}
+              r={18}
+              fill={waitCycle.includes(process.id) ? '#ffcdd2' : '#e3f2fd'}
+              stroke={waitCycle.includes(process.id) ? '#d32f2f' : '#1976d2'}
+              strokeWidth={2}
+            />
+            <text x={position.get(process.id).x} y={position.get(process.id).y + 5} textAnchor="middle" fontSize="13" fontWeight="bold">
+              {processLabel(process.id)}
+            </text>
+          </g>
+        ))}
+      </svg>
+    );
+  };
+
+  const { reduction } = analysis;
+  const formatCycle = (keys) => [...keys, keys[0]].join(' → ');
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h5" gutterBottom>Resource-Allocation Graph Editor</Typography>
+
+      <Box sx={{ mb: 2 }}>
+        <RadioGroup row value={tool} onChange={(e) => handleToolChange(e.target.value)}>
+          {Object.entries(TOOLS).map(([key, label]) => (
+            <FormControlLabel key={key} value={key} control={<Radio />} label={label} />
+          ))}
+        </RadioGroup>
+        <Typography variant="body2" color="text.secondary">
+          {tool === 'move' && 'Drag nodes to rearrange the graph.'}
+          {(tool === 'request' || tool === 'assignment') && (pending
+            ? `Now click a ${pending.kind === 'process' ? 'resource' : 'process'} to finish the edge.`
+            : 'Click a process and a resource to add one instance to the edge.')}
+          {tool === 'delete' && 'Click a node to delete it with its edges, or an edge to remove one instance.'}
+        </Typography>
+      </Box>
+
+      <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+        <Grid item>
+          <Button variant="contained" color="primary" onClick={addProcess}>Add Process</Button>
+        </Grid>
+        <Grid item>
+          <TextField
+            size="small"
+            label="Instances"
+            type="number"
+            value={newInstances}
+            onChange={(e) => setNewInstances(e.target.value)}
+            InputProps={{ inputProps: { min: 1 } }}
+            sx={{ width: 110 }}
+          />
+        </Grid>
+        <Grid item>
+          <Button variant="contained" color="primary" onClick={addResource}>Add Resource</Button>
+        </Grid>
+        <Grid item>
+          <Button variant="outlined" color="error" onClick={() => setGraph({ processes: [], resources: [], edges: [] })}>
+            Clear
+          </Button>
+        </Grid>
+      </Grid>
+
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+        style={{ width: '100%', border: '1px solid #ddd', borderRadius: 4, touchAction: 'none', userSelect: 'none' }}
+        onPointerMove={handlePointerMove}
+        onPointerUp={() => setDragging(null)}
+        onPointerLeave={() => setDragging(null)}
+        onPointerDown={() => setPending(null)}
+      >
+        <defs>
+          {[['request', '#1976d2'], ['assignment', '#388e3c'], ['cycle', '#d32f2f'], ['wait', '#555']].map(([name, color]) => (
+            <marker key={name} id={`arrow-${name}`} viewBox="0 0 10 10" refX="9" refY="5" markerWidth="7" markerHeight="7" orient="auto-start-reverse">
+              <path d="M 0 0 L 10 5 L 0 10 z" fill={color} />
+            </marker>
+          ))}
+        </defs>
+        {graph.edges.map(renderEdge)}
+        {graph.resources.map(renderResource)}
+        {graph.processes.map(renderProcess)}
+      </svg>
+
+      {graph.resources.length > 0 && (
+        <Grid container spacing={2} sx={{ mt: 1 }}>
+          {graph.resources.map(resource => (
+            <Grid item xs={4} sm={3} md={2} key={`instances-${resource.id}-${resource.instances}`}>
+              <TextField
+                fullWidth
+                size="small"
+                label={`${resourceLabel(resource.id)} Instances`}
+                type="number"
+                defaultValue={resource.instances}
+                onBlur={(e) => updateInstances(resource.id, e.target.value)}
+                InputProps={{ inputProps: { min: 1 } }}
+              />
+            </Grid>
+          ))}
+        </Grid>
+      )}
+
+      <Divider sx={{ my: 3 }} />
+
+      <Typography variant="h6" gutterBottom>Analysis</Typography>
+
+      {!analysis.cycle && (
+        <Alert severity="success" sx={{ mb: 2 }}>The graph has no cycle, so there is no deadlock.</Alert>
+      )}
+
+      {analysis.cycle && analysis.singleInstance && (
+        <Alert severity="error" sx={{ mb: 2 }}>
+          Deadlock: every resource has one instance, so the cycle {formatCycle(analysis.cycle.map(keyLabel))} is a deadlock.
+        </Alert>
+      )}
+
+      {analysis.cycle && !analysis.singleInstance && (
+        <Alert severity="warning" sx={{ mb: 2 }}>
+          The graph has the cycle {formatCycle(analysis.cycle.map(keyLabel))}. Some resources have several instances,
+          so a cycle alone does not mean deadlock: see the graph reduction below.
+        </Alert>
+      )}
+
+      <Grid container spacing={3}>
+        {analysis.singleInstance && (
+          <Grid item xs={12} md={5}>
+            <Typography variant="subtitle1" gutterBottom>Wait-For Graph</Typography>
+            {renderWaitForGraph()}
+            <Typography variant="body2" sx={{ mt: 1 }}>
+              {analysis.waitFor.cycle
+                ? `Cycle: ${formatCycle(analysis.waitFor.cycle.map(processLabel))}`
+                : 'No cycle in the wait-for graph.'}
+            </Typography>
+          </Grid>
+        )}
+
+        <Grid item xs={12} md={analysis.singleInstance ? 7 : 12}>
+          <Typography variant="subtitle1" gutterBottom>Graph Reduction</Typography>
+          <Box sx={{ overflowX: 'auto', mb: 2 }}>
+            <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+              <thead>
+                <tr>
+                  <th style={{ padding: '8px', textAlign: 'center' }}>Step</th>
+                  <th style={{ padding: '8px', textAlign: 'center' }}>Erased Process</th>
+                  <th style={{ padding: '8px', textAlign: 'center' }}>Free Instances Before</th>
+                  <th style={{ padding: '8px', textAlign: 'center' }}>Free Instances After</th>
+                </tr>
+              </thead>
+              <tbody>
+                {reduction.steps.filter(step => step.canFinish).map((step, index) => (
+                  <tr key={`reduction-${index}`}>
+                    <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{index + 1}</td>
+                    <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>
+                      {processLabel(reduction.finishOrder[index])}
+                    </td>
+                    <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{formatVector(step.work)}</td>
+                    <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{formatVector(step.workAfter)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </Box>
+          <Alert severity={reduction.deadlocked ? 'error' : 'success'}>
+            {reduction.deadlocked
+              ? `The graph cannot be fully reduced: ${reduction.deadlockedProcesses.map(processLabel).join(', ')} are deadlocked.`
+              : 'The graph reduces completely (processes holding nothing are skipped), so there is no deadlock.'}
+          </Alert>
+        </Grid>
+      </Grid>
+
+      <Divider sx={{ my: 3 }} />
+
+      <Typography variant="h6" gutterBottom>Matrices</Typography>
+      <Box sx={{ overflowX: 'auto', mb: 2 }}>
+        <table style={{ borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Process</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Allocation</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Request</th>
+            </tr>
+          </thead>
+          <tbody>
+            {analysis.matrices.allocation.map((row, index) => (
+              <tr key={`matrix-${index}`}>
+                <td style={{ padding: '8px', border: '1px solid #ddd' }}>P{index}</td>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{formatVector(row)}</td>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>
+                  {formatVector(analysis.matrices.request[index])}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <Typography variant="body2" sx={{ mt: 1 }}>Available: {formatVector(analysis.matrices.available)}</Typography>
+      </Box>
+
+      <Grid container spacing={2}>
+        <Grid item xs={12} sm={6}>
+          <Button
+            variant="contained"
+            color="success"
+            fullWidth
+            onClick={() => onExport(analysis.matrices)}
+            disabled={graph.processes.length === 0 || graph.resources.length === 0}
+          >
+            Send Matrices to Deadlock Detection
+          </Button>
+        </Grid>
+        <Grid item xs={12} sm={6}>
+          <Button variant="outlined" fullWidth onClick={handleImport} disabled={!matrices}>
+            Build Graph from Last Detection Input
+          </Button>
+        </Grid>
+      </Grid>
+    </Paper>
+  );
+};
+
+export default ResourceGraphEditor;
@@ -6,13 +6,193 @@
  * - Next Fit
  * - Best Fit
  * - Worst Fit
+ * - Quick Fit (segregated free lists per size class)
+ * - TLSF (two-level segregated fit with bitmaps)
+ * - Buddy System
+ *
+ * Every fit algorithm can run in one of two partitioning modes:
+ * - Fixed: a block holds at most one process and its leftover space is
+ *   internal fragmentation
+ * - Variable: a placement splits the hole and the leftover space stays
+ *   free for later processes (dynamic partitioning)
+ *
+ * The built-in allocators are registered in an allocator registry, and further
+ * allocators can be added with registerAllocator.
  */
 
+import { FRAGMENTATION_DEFINITIONS, measureAllFragmentation } from './FragmentationMetrics';
+
+/**
+ * Supported partitioning modes
+ */
+export const PARTITION_MODES = {
+  FIXED: 'fixed',
+  VARIABLE: 'variable'
+};
+
+/**
+ * Places a process into a block according to the partitioning mode
+ * Mutates the working copy of the blocks and the internal fragmentation array
+ */
+const placeProcess = (blocks, blockIndex, process, internalFragmentation, mode) => {
+  if (mode === PARTITION_MODES.VARIABLE) {
+    // Split the hole, the remainder stays available for later processes
+    blocks[blockIndex].size -= process.size;
+  } else {
+    // Leftover space inside a fixed partition is internal fragmentation
+    internalFragmentation[blockIndex] = blocks[blockIndex].size - process.size;
+    blocks[blockIndex].size = 0; // Mark as fully allocated
+  }
+};
+
+/**
+ * Most steps recorded in one search trace
+ * Large inputs take many steps; past the cap the steps are still counted
+ * but no longer recorded, so the trace stays quick to build and replay.
+ */
+export const MAX_TRACE_STEPS = 2000;
+
+// Per trace: blocks examined per process id, and the steps left out past the cap
+const traceCounts = new WeakMap();
+
+/**
+ * Records one decision of an allocation search in the trace
+ * The trace lets the visualization replay how each algorithm searched
+ */
+const traceStep = (trace, process, blockIndex, outcome, message, extra = {}) => {
+  if (!traceCounts.has(trace)) {
+    traceCounts.set(trace, { examined: new Map(), omitted: 0 });
+  }
+  const counts = traceCounts.get(trace);
+  if (blockIndex !== null && !extra.summary) {
+    counts.examined.set(process.id, (counts.examined.get(process.id) || 0) + 1);
+  }
+
+  if (trace.length >= MAX_TRACE_STEPS) {
+    counts.omitted++;
+    return;
+  }
+  trace.push({ processId: process.id, blockIndex, outcome, message, ...extra });
+};
+
+/**
+ * Number of steps left out of a trace past MAX_TRACE_STEPS
+ */
+const omittedSteps = (trace) => (traceCounts.has(trace) ? traceCounts.get(trace).omitted : 0);
+
+/**
+ * Counts the blocks each process examined before it was placed or rejected
+ * This is the search cost of the request. Summary entries that only announce
+ * the block chosen after a full scan are not examinations of their own.
+ */
+const countExamined = (trace, procs) => {
+  // Traces recorded here keep counting past the cap, so use their counts
+  if (traceCounts.has(trace)) {
+    const { examined } = traceCounts.get(trace);
+    return procs.map(process => examined.get(process.id) || 0);
+  }
+  return procs.map(process =>
+    trace.filter(entry => entry.processId === process.id && entry.blockIndex !== null && !entry.summary).length
+  );
+};
+
+/**
+ * Metrics reported by every allocation result
+ */
+export const ALLOCATION_METRICS = {
+  averageSearchCost: { label: 'Average Blocks Examined per Request', unit: 'blocks' },
+  totalSearchCost: { label: 'Total Blocks Examined', unit: 'blocks' },
+  utilisation: { label: 'Memory Utilisation', unit: '%' },
+  successRatio: { label: 'Allocation Success Ratio', unit: '%' },
+  largestHole: { label: 'Largest Free Hole', unit: 'units' },
+  holeCount: { label: 'Free Holes', unit: 'holes' }
+};
+
+/**
+ * Computes the metrics of an allocation result
+ *
+ * @param {Array} memoryBlocks - Original memory blocks
+ * @param {Array} procs - Processes in allocation order
+ * @param {Array} allocation - Block index per process, or null
+ * @param {Array} holeSizes - Sizes of the free regions left after allocation (zero sizes are ignored)
+ * @param {Array} trace - Search trace of the allocation
+ * @returns {Object} Values keyed like ALLOCATION_METRICS
+ */
+const buildMetrics = (memoryBlocks, procs, allocation, holeSizes, trace) => {
+  const examined = countExamined(trace, procs);
+  const totalSearchCost = examined.reduce((sum, count) => sum + count, 0);
+  const totalMemory = memoryBlocks.reduce((sum, block) => sum + block.size, 0);
+  const allocatedMemory = procs
+    .filter((_, index) => allocation[index] !== null)
+    .reduce((sum, process) => sum + process.size, 0);
+  const allocatedCount = allocation.filter(blockIndex => blockIndex !== null).length;
+  const holes = holeSizes.filter(size => size > 0);
+
+  return {
+    averageSearchCost: procs.length > 0 ? totalSearchCost / procs.length : 0,
+    totalSearchCost,
+    utilisation: totalMemory > 0 ? (allocatedMemory / totalMemory) * 100 : 0,
+    successRatio: procs.length > 0 ? (allocatedCount / procs.length) * 100 : 0,
+    largestHole: Math.max(0, ...holes),
+    holeCount: holes.length
+  };
+};
+
+/**
+ * Builds the result of an allocator that places processes into (split) blocks
+ * The remaining block sizes are the free holes left after allocation.
+ *
+ * @param {string} name - Display name of the allocator
+ * @param {Array} memoryBlocks - Original memory blocks
+ * @param {Array} blocks - Blocks after allocation, holding their remaining size
+ * @param {Array} procs - Processes in allocation order
+ * @param {Array} allocation - Block index per process, or null
+ * @param {Array} internalFragmentation - Internal fragmentation per block
+ * @param {string} mode - Partitioning mode
+ * @param {Array} trace - Search trace of the allocation
+ * @returns {Object} Allocation result
+ */
+const buildAllocationResult = (name, memoryBlocks, blocks, procs, allocation, internalFragmentation, mode, trace) => {
+  const remainingSpace = blocks.map(block => block.size);
+
+  // Calculate external fragmentation under every definition (externalFragmentation keeps the current one)
+  const fragmentation = measureAllFragmentation({
+    holeSizes: remainingSpace,
+    allocatedSizes: procs.filter((_, index) => allocation[index] !== null).map(p => p.size),
+    unallocatedSizes: procs.filter((_, index) => allocation[index] === null).map(p => p.size)
+  });
+  const externalFragmentation = fragmentation.current;
+
+  return {
+    algorithm: name,
+    allocation,
+    internalFragmentation,
+    externalFragmentation,
+    fragmentation,
+    totalFragmentation: internalFragmentation.reduce((sum, frag) => sum + frag, 0) + externalFragmentation,
+    remainingSpace,
+    mode,
+    trace,
+    traceOmitted: omittedSteps(trace),
+    blocksExamined: countExamined(trace, procs),
+    metrics: buildMetrics(memoryBlocks, procs, allocation, remainingSpace, trace),
+    unallocatedProcesses: procs.filter((_, index) => allocation[index] === null).map(p => p.id)
+  };
+};
+
+/**
+ * Describes a block check, e.g. "P2 checks block 0 (100 < 212, skip)"
+ */
+const describeCheck = (process, blockIndex, blockSize, verdict) => {
+  const comparison = blockSize >= process.size ? '>=' : '<';
+  return `P${process.id} checks block ${blockIndex} (${blockSize} ${comparison} ${process.size}, ${verdict})`;
+};
+
 /**
  * First Fit Algorithm
  * Allocates the first memory block that is large enough to accommodate the process
  */
-export const firstFit = (memoryBlocks, processes) => {
+export const firstFit = (memoryBlocks, processes, mode = PARTITION_MODES.FIXED) => {
   // Create deep copies to avoid modifying the original arrays
   const blocks = JSON.parse(JSON.stringify(memoryBlocks));
   const procs = JSON.parse(JSON.stringify(processes));
@@ -20,51 +200,34 @@ export const firstFit = (memoryBlocks, processes) => {
   // Initialize allocation and fragmentation data
   const allocation = procs.map(() => null);
   const internalFragmentation = blocks.map(() => 0);
+  const trace = [];
   
   // For each process, find the first block that can accommodate it
   for (let i = 0; i < procs.length; i++) {
     for (let j = 0; j < blocks.length; j++) {
       if (blocks[j].size >= procs[i].size) {
+        traceStep(trace, procs[i], j, 'chosen', describeCheck(procs[i], j, blocks[j].size, 'chosen'));
         // Allocate process to this block
         allocation[i] = j;
-        // Calculate internal fragmentation
-        internalFragmentation[j] = blocks[j].size - procs[i].size;
-        // Reduce available block size
-        blocks[j].size = 0; // Mark as fully allocated
+        placeProcess(blocks, j, procs[i], internalFragmentation, mode);
         break;
       }
+      traceStep(trace, procs[i], j, 'skip', describeCheck(procs[i], j, blocks[j].size, 'skip'));
     }
-  }
-  
-  // Calculate external fragmentation (sum of all free blocks that can't accommodate the largest unallocated process)
-  let externalFragmentation = 0;
-  let unallocatedProcesses = procs.filter((_, index) => allocation[index] === null);
-  
-  if (unallocatedProcesses.length > 0) {
-    // Find the largest unallocated process
-    const largestUnallocatedSize = Math.max(...unallocatedProcesses.map(p => p.size));
     
-    // Sum up all free blocks that are too small for the largest unallocated process
-    externalFragmentation = blocks
-      .filter(block => block.size > 0 && block.size < largestUnallocatedSize)
-      .reduce((sum, block) => sum + block.size, 0);
+    if (allocation[i] === null) {
+      traceStep(trace, procs[i], null, 'unallocated', `P${procs[i].id} does not fit in any block`);
+    }
   }
   
-  return {
-    algorithm: 'First Fit',
-    allocation,
-    internalFragmentation,
-    externalFragmentation,
-    totalFragmentation: internalFragmentation.reduce((sum, frag) => sum + frag, 0) + externalFragmentation,
-    unallocatedProcesses: procs.filter((_, index) => allocation[index] === null).map(p => p.id)
-  };
+  return buildAllocationResult('First Fit', memoryBlocks, blocks, procs, allocation, internalFragmentation, mode, trace);
 };
 
 /**
  * Next Fit Algorithm
  * Similar to First Fit, but starts searching from where the previous allocation ended
  */
-export const nextFit = (memoryBlocks, processes) => {
+export const nextFit = (memoryBlocks, processes, mode = PARTITION_MODES.FIXED) => {
   // Create deep copies to avoid modifying the original arrays
   const blocks = JSON.parse(JSON.stringify(memoryBlocks));
   const procs = JSON.parse(JSON.stringify(processes));
@@ -72,6 +235,7 @@ export const nextFit = (memoryBlocks, processes) => {
   // Initialize allocation and fragmentation data
   const allocation = procs.map(() => null);
   const internalFragmentation = blocks.map(() => 0);
+  const trace = [];
   
   let lastAllocatedIndex = 0; // Start from the first block
   
@@ -83,52 +247,39 @@ export const nextFit = (memoryBlocks, processes) => {
     // Search until we've checked all blocks
     while (blocksChecked < blocks.length) {
       if (blocks[j].size >= procs[i].size) {
+        traceStep(trace, procs[i], j, 'chosen',
+          `Pointer at block ${lastAllocatedIndex}: ${describeCheck(procs[i], j, blocks[j].size, 'chosen')}`,
+          { pointer: lastAllocatedIndex });
         // Allocate process to this block
         allocation[i] = j;
-        // Calculate internal fragmentation
-        internalFragmentation[j] = blocks[j].size - procs[i].size;
-        // Reduce available block size
-        blocks[j].size = 0; // Mark as fully allocated
-        // Update last allocated index
-        lastAllocatedIndex = (j + 1) % blocks.length;
+        placeProcess(blocks, j, procs[i], internalFragmentation, mode);
+        // Update last allocated index (a split hole may still serve the next process)
+        lastAllocatedIndex = mode === PARTITION_MODES.VARIABLE ? j : (j + 1) % blocks.length;
         break;
       }
+      traceStep(trace, procs[i], j, 'skip',
+        `Pointer at block ${lastAllocatedIndex}: ${describeCheck(procs[i], j, blocks[j].size, 'skip')}`,
+        { pointer: lastAllocatedIndex });
       
       // Move to next block (circular)
       j = (j + 1) % blocks.length;
       blocksChecked++;
     }
-  }
-  
-  // Calculate external fragmentation (sum of all free blocks that can't accommodate the largest unallocated process)
-  let externalFragmentation = 0;
-  let unallocatedProcesses = procs.filter((_, index) => allocation[index] === null);
-  
-  if (unallocatedProcesses.length > 0) {
-    // Find the largest unallocated process
-    const largestUnallocatedSize = Math.max(...unallocatedProcesses.map(p => p.size));
     
-    // Sum up all free blocks that are too small for the largest unallocated process
-    externalFragmentation = blocks
-      .filter(block => block.size > 0 && block.size < largestUnallocatedSize)
-      .reduce((sum, block) => sum + block.size, 0);
+    if (allocation[i] === null) {
+      traceStep(trace, procs[i], null, 'unallocated', `P${procs[i].id} does not fit in any block, pointer stays at block ${lastAllocatedIndex}`,
+        { pointer: lastAllocatedIndex });
+    }
   }
   
-  return {
-    algorithm: 'Next Fit',
-    allocation,
-    internalFragmentation,
-    externalFragmentation,
-    totalFragmentation: internalFragmentation.reduce((sum, frag) => sum + frag, 0) + externalFragmentation,
-    unallocatedProcesses: procs.filter((_, index) => allocation[index] === null).map(p => p.id)
-  };
+  return buildAllocationResult('Next Fit', memoryBlocks, blocks, procs, allocation, internalFragmentation, mode, trace);
 };
 
 /**
  * Best Fit Algorithm
  * Allocates the smallest memory block that is large enough to accommodate the process
  */
-export const bestFit = (memoryBlocks, processes) => {
+export const bestFit = (memoryBlocks, processes, mode = PARTITION_MODES.FIXED) => {
   // Create deep copies to avoid modifying the original arrays
   const blocks = JSON.parse(JSON.stringify(memoryBlocks));
   const procs = JSON.parse(JSON.stringify(processes));
@@ -136,6 +287,7 @@ export const bestFit = (memoryBlocks, processes) => {
   // Initialize allocation and fragmentation data
   const allocation = procs.map(() => null);
   const internalFragmentation = blocks.map(() => 0);
+  const trace = [];
   
   // For each process, find the best fitting block
   for (let i = 0; i < procs.length; i++) {
@@ -145,48 +297,35 @@ export const bestFit = (memoryBlocks, processes) => {
     // Find the smallest block that can accommodate the process
     for (let j = 0; j < blocks.length; j++) {
       if (blocks[j].size >= procs[i].size && blocks[j].size < bestBlockSize) {
+        traceStep(trace, procs[i], j, 'candidate', describeCheck(procs[i], j, blocks[j].size, 'new best'));
         bestBlockIndex = j;
         bestBlockSize = blocks[j].size;
+      } else if (blocks[j].size >= procs[i].size) {
+        traceStep(trace, procs[i], j, 'skip',
+          describeCheck(procs[i], j, blocks[j].size, `not smaller than block ${bestBlockIndex}`));
+      } else {
+        traceStep(trace, procs[i], j, 'skip', describeCheck(procs[i], j, blocks[j].size, 'skip'));
       }
     }
     
     // If a suitable block was found, allocate the process to it
     if (bestBlockIndex !== -1) {
+      traceStep(trace, procs[i], bestBlockIndex, 'chosen', `P${procs[i].id} is placed in block ${bestBlockIndex} (smallest fit)`, { summary: true });
       allocation[i] = bestBlockIndex;
-      internalFragmentation[bestBlockIndex] = blocks[bestBlockIndex].size - procs[i].size;
-      blocks[bestBlockIndex].size = 0; // Mark as fully allocated
+      placeProcess(blocks, bestBlockIndex, procs[i], internalFragmentation, mode);
+    } else {
+      traceStep(trace, procs[i], null, 'unallocated', `P${procs[i].id} does not fit in any block`);
     }
   }
   
-  // Calculate external fragmentation
-  let externalFragmentation = 0;
-  let unallocatedProcesses = procs.filter((_, index) => allocation[index] === null);
-  
-  if (unallocatedProcesses.length > 0) {
-    // Find the largest unallocated process
-    const largestUnallocatedSize = Math.max(...unallocatedProcesses.map(p => p.size));
-    
-    // Sum up all free blocks that are too small for the largest unallocated process
-    externalFragmentation = blocks
-      .filter(block => block.size > 0 && block.size < largestUnallocatedSize)
-      .reduce((sum, block) => sum + block.size, 0);
-  }
-  
-  return {
-    algorithm: 'Best Fit',
-    allocation,
-    internalFragmentation,
-    externalFragmentation,
-    totalFragmentation: internalFragmentation.reduce((sum, frag) => sum + frag, 0) + externalFragmentation,
-    unallocatedProcesses: procs.filter((_, index) => allocation[index] === null).map(p => p.id)
-  };
+  return buildAllocationResult('Best Fit', memoryBlocks, blocks, procs, allocation, internalFragmentation, mode, trace);
 };
 
 /**
  * Worst Fit Algorithm
  * Allocates the largest memory block that is large enough to accommodate the process
  */
-export const worstFit = (memoryBlocks, processes) => {
+export const worstFit = (memoryBlocks, processes, mode = PARTITION_MODES.FIXED) => {
   // Create deep copies to avoid modifying the original arrays
   const blocks = JSON.parse(JSON.stringify(memoryBlocks));
   const procs = JSON.parse(JSON.stringify(processes));
@@ -194,6 +333,7 @@ export const worstFit = (memoryBlocks, processes) => {
   // Initialize allocation and fragmentation data
   const allocation = procs.map(() => null);
   const internalFragmentation = blocks.map(() => 0);
+  const trace = [];
   
   // For each process, find the worst fitting block
   for (let i = 0; i < procs.length; i++) {
@@ -203,51 +343,577 @@ export const worstFit = (memoryBlocks, processes) => {
     // Find the largest block that can accommodate the process
     for (let j = 0; j < blocks.length; j++) {
       if (blocks[j].size >= procs[i].size && blocks[j].size > worstBlockSize) {
+        traceStep(trace, procs[i], j, 'candidate', describeCheck(procs[i], j, blocks[j].size, 'new worst'));
         worstBlockIndex = j;
         worstBlockSize = blocks[j].size;
+      } else if (blocks[j].size >= procs[i].size) {
+        traceStep(trace, procs[i], j, 'skip',
+          describeCheck(procs[i], j, blocks[j].size, `not larger than block ${worstBlockIndex}`));
+      } else {
+        traceStep(trace, procs[i], j, 'skip', describeCheck(procs[i], j, blocks[j].size, 'skip'));
       }
     }
     
     // If a suitable block was found, allocate the process to it
     if (worstBlockIndex !== -1) {
+      traceStep(trace, procs[i], worstBlockIndex, 'chosen', `P${procs[i].id} is placed in block ${worstBlockIndex} (largest fit)`, { summary: true });
       allocation[i] = worstBlockIndex;
-      internalFragmentation[worstBlockIndex] = blocks[worstBlockIndex].size - procs[i].size;
-      blocks[worstBlockIndex].size = 0; // Mark as fully allocated
+      placeProcess(blocks, worstBlockIndex, procs[i], internalFragmentation, mode);
+    } else {
+      traceStep(trace, procs[i], null, 'unallocated', `P${procs[i].id} does not fit in any block`);
     }
   }
   
-  // Calculate external fragmentation
-  let externalFragmentation = 0;
-  let unallocatedProcesses = procs.filter((_, index) => allocation[index] === null);
+  return buildAllocationResult('Worst Fit', memoryBlocks, blocks, procs, allocation, internalFragmentation, mode, trace);
+};
+
+/**
+ * Size class granularity of quick fit, and the number of exact classes
+ * Blocks of QUICK_FIT_QUANTUM * QUICK_FIT_CLASSES units or more go to the misc list
+ */
+const QUICK_FIT_QUANTUM = 32;
+const QUICK_FIT_CLASSES = 16;
+
+/**
+ * Returns the quick-fit class of a free block, or null for the misc list
+ * Class c holds blocks of c * quantum up to (c + 1) * quantum - 1 units
+ */
+const quickFitClass = (size) => {
+  const sizeClass = Math.floor(size / QUICK_FIT_QUANTUM);
+  return sizeClass < QUICK_FIT_CLASSES ? sizeClass : null;
+};
+
+/**
+ * Quick Fit Algorithm
+ * Keeps a free list per size class plus a misc list for large blocks. A
+ * request goes straight to the smallest class whose blocks are all large
+ * enough and takes the head of that list. Only when that list is empty does
+ * it scan the class the request size falls in (first fit, as only some of
+ * its blocks are large enough), then the misc list and then the larger classes.
+ */
+export const quickFit = (memoryBlocks, processes, mode = PARTITION_MODES.FIXED) => {
+  // Create deep copies to avoid modifying the original arrays
+  const blocks = JSON.parse(JSON.stringify(memoryBlocks));
+  const procs = JSON.parse(JSON.stringify(processes));
+  
+  // Initialize allocation and fragmentation data
+  const allocation = procs.map(() => null);
+  const internalFragmentation = blocks.map(() => 0);
+  const trace = [];
   
-  if (unallocatedProcesses.length > 0) {
-    // Find the largest unallocated process
-    const largestUnallocatedSize = Math.max(...unallocatedProcesses.map(p => p.size));
+  // Free lists hold block indices, in block order
+  const classLists = Array(QUICK_FIT_CLASSES).fill().map(() => []);
+  const miscList = [];
+  const insert = (j) => {
+    if (blocks[j].size === 0) return;
+    const sizeClass = quickFitClass(blocks[j].size);
+    (sizeClass === null ? miscList : classLists[sizeClass]).push(j);
+  };
+  const remove = (j) => {
+    [miscList, ...classLists].forEach(list => {
+      const position = list.indexOf(j);
+      if (position !== -1) list.splice(position, 1);
+    });
+  };
+  blocks.forEach((_, j) => insert(j));
+  
+  for (let i = 0; i < procs.length; i++) {
+    const firstClass = Math.ceil(procs[i].size / QUICK_FIT_QUANTUM);
+    const partialClass = Math.floor(procs[i].size / QUICK_FIT_QUANTUM);
+    let chosen = null;
+    
+    // Fast path: the head of the exact class list always fits
+    if (firstClass < QUICK_FIT_CLASSES && classLists[firstClass].length > 0) {
+      chosen = classLists[firstClass][0];
+    } else if (firstClass < QUICK_FIT_CLASSES) {
+      traceStep(trace, procs[i], null, 'skip', `P${procs[i].id} finds class ${firstClass} empty`);
+    }
+    
+    // Slow path: first fit through the class the request falls in, whose blocks may be just large enough
+    if (chosen === null && partialClass !== firstClass && partialClass < QUICK_FIT_CLASSES) {
+      for (const j of classLists[partialClass]) {
+        if (blocks[j].size >= procs[i].size) {
+          chosen = j;
+          break;
+        }
+        traceStep(trace, procs[i], j, 'skip', `${describeCheck(procs[i], j, blocks[j].size, 'skip')} in class ${partialClass}`);
+      }
+    }
+    
+    // Then first fit through the misc list
+    if (chosen === null) {
+      for (const j of miscList) {
+        if (blocks[j].size >= procs[i].size) {
+          chosen = j;
+          break;
+        }
+        traceStep(trace, procs[i], j, 'skip', `${describeCheck(procs[i], j, blocks[j].size, 'skip')} in the misc list`);
+      }
+    }
     
-    // Sum up all free blocks that are too small for the largest unallocated process
-    externalFragmentation = blocks
-      .filter(block => block.size > 0 && block.size < largestUnallocatedSize)
-      .reduce((sum, block) => sum + block.size, 0);
+    // Last resort: the heads of the larger classes
+    for (let c = firstClass + 1; chosen === null && c < QUICK_FIT_CLASSES; c++) {
+      if (classLists[c].length > 0) chosen = classLists[c][0];
+    }
+    
+    if (chosen === null) {
+      traceStep(trace, procs[i], null, 'unallocated', `P${procs[i].id} does not fit in any free list`);
+      continue;
+    }
+    
+    const listName = quickFitClass(blocks[chosen].size) === null ? 'the misc list' : `class ${quickFitClass(blocks[chosen].size)}`;
+    traceStep(trace, procs[i], chosen, 'chosen', `${describeCheck(procs[i], chosen, blocks[chosen].size, 'chosen')} from ${listName}`);
+    allocation[i] = chosen;
+    remove(chosen);
+    placeProcess(blocks, chosen, procs[i], internalFragmentation, mode);
+    // The remainder of a split block moves to the list of its new size
+    insert(chosen);
   }
   
+  return buildAllocationResult('Quick Fit', memoryBlocks, blocks, procs, allocation, internalFragmentation, mode, trace);
+};
+
+/**
+ * Number of second-level bits in TLSF: each power-of-two range is split into 2^TLSF_SLI lists
+ */
+const TLSF_SLI = 2;
+
+/**
+ * Maps a size to its TLSF first-level (power of two) and second-level (subdivision) index
+ */
+const tlsfMapping = (size) => {
+  const fl = 31 - Math.clz32(size);
+  const sl = Math.floor(((size - 2 ** fl) * 2 ** TLSF_SLI) / 2 ** fl);
+  return { fl, sl };
+};
+
+/**
+ * TLSF (Two-Level Segregated Fit) Algorithm
+ * Free blocks sit in lists indexed by a power-of-two range and a subdivision
+ * of that range. Two bitmaps record which lists are non-empty, so a search is
+ * a constant number of bit operations followed by taking one list head. The
+ * request is rounded up to the next list boundary so every block in the found
+ * list is large enough (a "good fit" rather than a best fit).
+ */
+export const tlsf = (memoryBlocks, processes, mode = PARTITION_MODES.FIXED) => {
+  // Create deep copies to avoid modifying the original arrays
+  const blocks = JSON.parse(JSON.stringify(memoryBlocks));
+  const procs = JSON.parse(JSON.stringify(processes));
+  
+  // Initialize allocation and fragmentation data
+  const allocation = procs.map(() => null);
+  const internalFragmentation = blocks.map(() => 0);
+  const trace = [];
+  
+  // lists[fl][sl] hold block indices; flBitmap and slBitmaps mark the non-empty lists
+  const lists = {};
+  let flBitmap = 0;
+  const slBitmaps = {};
+  
+  const insert = (j) => {
+    if (blocks[j].size === 0) return;
+    const { fl, sl } = tlsfMapping(blocks[j].size);
+    lists[fl] = lists[fl] || Array(2 ** TLSF_SLI).fill().map(() => []);
+    lists[fl][sl].push(j);
+    flBitmap |= 1 << fl;
+    slBitmaps[fl] = (slBitmaps[fl] || 0) | (1 << sl);
+  };
+  const remove = (j) => {
+    const { fl, sl } = tlsfMapping(blocks[j].size);
+    lists[fl][sl].splice(lists[fl][sl].indexOf(j), 1);
+    if (lists[fl][sl].length === 0) {
+      slBitmaps[fl] &= ~(1 << sl);
+      if (slBitmaps[fl] === 0) flBitmap &= ~(1 << fl);
+    }
+  };
+  blocks.forEach((_, j) => insert(j));
+  
+  // Index of the lowest set bit at or above a position, or -1
+  const lowestSetBit = (bitmap, from) => {
+    const masked = from >= 32 ? 0 : bitmap & (~0 << from);
+    return masked === 0 ? -1 : 31 - Math.clz32(masked & -masked);
+  };
+  
+  for (let i = 0; i < procs.length; i++) {
+    // Round the request up to the next list boundary
+    const { fl: requestFl } = tlsfMapping(procs[i].size);
+    const step = Math.max(1, 2 ** (requestFl - TLSF_SLI));
+    const { fl, sl } = tlsfMapping(Math.ceil(procs[i].size / step) * step);
+    
+    // Search the second-level bitmap of this range, then the first-level bitmap
+    let foundFl = fl;
+    let foundSl = lowestSetBit(slBitmaps[fl] || 0, sl);
+    if (foundSl === -1) {
+      foundFl = lowestSetBit(flBitmap, fl + 1);
+      foundSl = foundFl === -1 ? -1 : lowestSetBit(slBitmaps[foundFl], 0);
+    }
+    
+    if (foundFl === -1 || foundSl === -1) {
+      traceStep(trace, procs[i], null, 'unallocated', `P${procs[i].id} finds no list at or above (${fl}, ${sl}) in the bitmaps`);
+      continue;
+    }
+    
+    const chosen = lists[foundFl][foundSl][0];
+    traceStep(trace, procs[i], chosen, 'chosen',
+      `${describeCheck(procs[i], chosen, blocks[chosen].size, 'chosen')} from list (${foundFl}, ${foundSl}) found via the bitmaps`);
+    allocation[i] = chosen;
+    remove(chosen);
+    placeProcess(blocks, chosen, procs[i], internalFragmentation, mode);
+    // The remainder of a split block goes back into the list of its new size
+    insert(chosen);
+  }
+  
+  return buildAllocationResult('TLSF', memoryBlocks, blocks, procs, allocation, internalFragmentation, mode, trace);
+};
+
+/**
+ * Replays a list of block choices, one per process
+ * Used for policies that run elsewhere (e.g. user code in a Web Worker) and
+ * only report which block they picked. A choice of null leaves the process
+ * unallocated. Throws if a choice is not a free block large enough for the process.
+ */
+export const allocateWithChoices = (memoryBlocks, processes, choices, mode = PARTITION_MODES.FIXED, name = 'Custom Policy') => {
+  const blocks = JSON.parse(JSON.stringify(memoryBlocks));
+  const procs = JSON.parse(JSON.stringify(processes));
+  
+  const allocation = procs.map(() => null);
+  const internalFragmentation = blocks.map(() => 0);
+  const trace = [];
+  
+  for (let i = 0; i < procs.length; i++) {
+    const j = choices[i];
+    
+    if (j === null || j === undefined) {
+      traceStep(trace, procs[i], null, 'unallocated', `P${procs[i].id} was left unallocated by the policy`);
+      continue;
+    }
+    
+    if (!Number.isInteger(j) || j < 0 || j >= blocks.length) {
+      throw new Error(`P${procs[i].id}: block ${j} does not exist`);
+    }
+    if (blocks[j].size < procs[i].size) {
+      throw new Error(`P${procs[i].id}: block ${j} has ${blocks[j].size} units free, which is less than ${procs[i].size}`);
+    }
+    
+    traceStep(trace, procs[i], j, 'chosen', describeCheck(procs[i], j, blocks[j].size, 'chosen'));
+    allocation[i] = j;
+    placeProcess(blocks, j, procs[i], internalFragmentation, mode);
+  }
+  
+  return buildAllocationResult(name, memoryBlocks, blocks, procs, allocation, internalFragmentation, mode, trace);
+};
+
+/**
+ * Rounds a size up to the next power of two
+ */
+const nextPowerOfTwo = (size) => {
+  let power = 1;
+  while (power < size) power *= 2;
+  return power;
+};
+
+/**
+ * Rounds a size down to the largest power of two that fits in it, or 0 below 1 unit
+ */
+const largestPowerOfTwo = (size) => {
+  if (!(size >= 1)) return 0;
+  let power = 1;
+  while (power * 2 <= size) power *= 2;
+  return power;
+};
+
+/**
+ * Creates a buddy tree node
+ * A node is either free, allocated to a process, or split into two buddies
+ */
+const createBuddyNode = (offset, size) => ({
+  offset,
+  size,
+  state: 'free',
+  processId: null,
+  requested: 0,
+  children: null
+});
+
+/**
+ * Collects the leaves of a buddy tree in address order
+ */
+export const getBuddyLeaves = (node) => {
+  if (!node.children) return [node];
+  return [...getBuddyLeaves(node.children[0]), ...getBuddyLeaves(node.children[1])];
+};
+
+/**
+ * Allocates a power-of-two sized node in a buddy tree
+ * Picks the smallest free node that is large enough and splits it in half
+ * until it matches the rounded request. Mutates the tree.
+ *
+ * @returns {boolean} Whether the allocation succeeded
+ */
+const allocateBuddy = (root, process, roundedSize) => {
+  let node = getBuddyLeaves(root)
+    .filter(leaf => leaf.state === 'free' && leaf.size >= roundedSize)
+    .reduce((best, leaf) => (best === null || leaf.size < best.size ? leaf : best), null);
+
+  if (node === null) return false;
+
+  // Split the node into buddies until it matches the rounded request
+  while (node.size > roundedSize) {
+    const half = node.size / 2;
+    node.state = 'split';
+    node.children = [
+      createBuddyNode(node.offset, half),
+      createBuddyNode(node.offset + half, half)
+    ];
+    node = node.children[0];
+  }
+
+  node.state = 'allocated';
+  node.processId = process.id;
+  node.requested = process.size;
+  return true;
+};
+
+/**
+ * Frees the node allocated to a process and merges free buddies back together
+ *
+ * @param {Object} root - Root of the buddy tree
+ * @param {number} processId - ID of the process to release
+ * @returns {Object} A new tree with the process released
+ */
+export const freeBuddy = (root, processId) => {
+  const tree = JSON.parse(JSON.stringify(root));
+
+  const release = (node) => {
+    if (node.children) {
+      release(node.children[0]);
+      release(node.children[1]);
+
+      // Two free buddies merge back into their parent
+      if (node.children.every(child => child.state === 'free')) {
+        node.state = 'free';
+        node.children = null;
+      }
+    } else if (node.state === 'allocated' && node.processId === processId) {
+      node.state = 'free';
+      node.processId = null;
+      node.requested = 0;
+    }
+  };
+
+  release(tree);
+  return tree;
+};
+
+/**
+ * Buddy System Algorithm
+ * Manages each memory block as a binary buddy arena. Requests are rounded up
+ * to a power of two and placed in the first arena that has a free node large
+ * enough, splitting nodes into buddies as needed. Space beyond the largest
+ * power of two in a block cannot be managed by the arena.
+ */
+export const buddySystem = (memoryBlocks, processes) => {
+  // Create deep copies to avoid modifying the original arrays
+  const blocks = JSON.parse(JSON.stringify(memoryBlocks));
+  const procs = JSON.parse(JSON.stringify(processes));
+  
+  // Initialize allocation and fragmentation data
+  const allocation = procs.map(() => null);
+  const allocatedSizes = procs.map(() => null);
+  const internalFragmentation = blocks.map(() => 0);
+  const buddyTrees = blocks.map(block => createBuddyNode(0, largestPowerOfTwo(block.size)));
+  const trace = [];
+  
+  // For each process, find the first arena that can hold the rounded request
+  for (let i = 0; i < procs.length; i++) {
+    const roundedSize = nextPowerOfTwo(procs[i].size);
+    
+    for (let j = 0; j < blocks.length; j++) {
+      // A block below 1 unit has no arena to search
+      if (buddyTrees[j].size === 0) continue;
+      if (allocateBuddy(buddyTrees[j], procs[i], roundedSize)) {
+        traceStep(trace, procs[i], j, 'chosen',
+          `P${procs[i].id} (rounded to ${roundedSize}) gets a node in arena ${j}, chosen`);
+        allocation[i] = j;
+        allocatedSizes[i] = roundedSize;
+        // Rounding up to a power of two is internal fragmentation
+        internalFragmentation[j] += roundedSize - procs[i].size;
+        break;
+      }
+      traceStep(trace, procs[i], j, 'skip',
+        `P${procs[i].id} (rounded to ${roundedSize}) finds no free node large enough in arena ${j}, skip`);
+    }
+    
+    if (allocation[i] === null) {
+      traceStep(trace, procs[i], null, 'unallocated', `P${procs[i].id} does not fit in any arena`);
+    }
+  }
+  
+  // Free buddy nodes are the holes left in each arena
+  const freeNodes = buddyTrees.map(tree => getBuddyLeaves(tree).filter(leaf => leaf.state === 'free'));
+  
+  // Calculate external fragmentation under every definition (externalFragmentation keeps the current one)
+  const fragmentation = measureAllFragmentation({
+    holeSizes: freeNodes.flat().map(node => node.size),
+    allocatedSizes: allocatedSizes.filter(size => size !== null),
+    unallocatedSizes: procs.filter((_, index) => allocation[index] === null).map(p => p.size)
+  });
+  const externalFragmentation = fragmentation.current;
+  
   return {
-    algorithm: 'Worst Fit',
+    algorithm: 'Buddy System',
     allocation,
+    allocatedSizes,
     internalFragmentation,
     externalFragmentation,
+    fragmentation,
     totalFragmentation: internalFragmentation.reduce((sum, frag) => sum + frag, 0) + externalFragmentation,
+    remainingSpace: freeNodes.map(nodes => nodes.reduce((sum, node) => sum + node.size, 0)),
+    unmanagedSpace: blocks.map((block, j) => Math.max(0, block.size - buddyTrees[j].size)),
+    buddyTrees,
+    trace,
+    traceOmitted: omittedSteps(trace),
+    blocksExamined: countExamined(trace, procs),
+    metrics: buildMetrics(memoryBlocks, procs, allocation, freeNodes.flat().map(node => node.size), trace),
     unallocatedProcesses: procs.filter((_, index) => allocation[index] === null).map(p => p.id)
   };
 };
 
 /**
- * Run all memory allocation algorithms and return their results
+ * Allocator Registry
+ * Every allocator registers a key, a display name, a description and a
+ * function (memoryBlocks, processes, mode) that returns the standard result
+ * shape. The input form, chart and result panels render whatever is registered.
  */
-export const runAllAlgorithms = (memoryBlocks, processes) => {
-  return {
-    firstFit: firstFit(memoryBlocks, processes),
-    nextFit: nextFit(memoryBlocks, processes),
-    bestFit: bestFit(memoryBlocks, processes),
-    worstFit: worstFit(memoryBlocks, processes)
-  };
-};
\ No newline at end of file
+const allocatorRegistry = new Map();
+
+/**
+ * Register an allocator so it can be selected and visualised
+ *
+ * @param {string} key - Unique key used in results
+ * @param {Object} allocator - Allocator definition
+ * @param {string} allocator.name - Name shown in the form and chart
+ * @param {string} allocator.description - Short description shown with the results
+ * @param {Function} allocator.allocate - (memoryBlocks, processes, mode) => result
+ */
+export const registerAllocator = (key, { name, description, allocate }) => {
+  if (typeof allocate !== 'function') {
+    throw new Error(`Allocator "${key}" must provide an allocate function`);
+  }
+  allocatorRegistry.set(key, { key, name, description, allocate });
+};
+
+/**
+ * Remove a registered allocator
+ */
+export const unregisterAllocator = (key) => {
+  allocatorRegistry.delete(key);
+};
+
+/**
+ * Returns the registered allocators in registration order
+ */
+export const getAllocators = () => [...allocatorRegistry.values()];
+
+/**
+ * Returns a single registered allocator, or undefined
+ */
+export const getAllocator = (key) => allocatorRegistry.get(key);
+
+// Built-in allocators
+registerAllocator('firstFit', {
+  name: 'First Fit',
+  description: 'Places each process in the first block that is large enough',
+  allocate: firstFit
+});
+
+registerAllocator('nextFit', {
+  name: 'Next Fit',
+  description: 'Like First Fit, but resumes the search from where the last allocation happened',
+  allocate: nextFit
+});
+
+registerAllocator('bestFit', {
+  name: 'Best Fit',
+  description: 'Places each process in the smallest block that is large enough',
+  allocate: bestFit
+});
+
+registerAllocator('worstFit', {
+  name: 'Worst Fit',
+  description: 'Places each process in the largest block',
+  allocate: worstFit
+});
+
+registerAllocator('quickFit', {
+  name: 'Quick Fit',
+  description: 'Keeps a free list per size class and takes the head of the first class that always fits',
+  allocate: quickFit
+});
+
+registerAllocator('tlsf', {
+  name: 'TLSF',
+  description: 'Two-level segregated fit: bitmaps locate a suitable free list in constant time',
+  allocate: tlsf
+});
+
+// The buddy system always splits blocks, so the partitioning mode does not apply to it
+registerAllocator('buddySystem', {
+  name: 'Buddy System',
+  description: 'Splits blocks into power-of-two buddies and merges them again when freed',
+  allocate: (memoryBlocks, processes) => buddySystem(memoryBlocks, processes)
+});
+
+/**
+ * Fills in the values a result is missing or does not report as numbers
+ * Reported values are kept key by key, so a partial object is completed
+ * rather than replaced. The defaults are only computed when needed.
+ *
+ * @param {Object} reported - Values reported by the allocator, if any
+ * @param {Object} definitions - Object whose keys are the expected values
+ * @param {Function} compute - Computes every value
+ * @returns {Object} Values with every expected key set to a number
+ */
+const completeNumbers = (reported, definitions, compute) => {
+  const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+  const keys = Object.keys(definitions);
+  if (reported && keys.every(key => isNumber(reported[key]))) return reported;
+
+  const computed = compute();
+  return keys.reduce((values, key) => {
+    if (!isNumber(values[key])) values[key] = computed[key];
+    return values;
+  }, { ...reported });
+};
+
+/**
+ * Run the selected registered allocators and return their results keyed by allocator
+ *
+ * @param {Array} memoryBlocks - Array of memory blocks with their sizes
+ * @param {Array} processes - Array of processes with their sizes
+ * @param {string} mode - Partitioning mode passed to every allocator
+ * @param {Array} keys - Allocators to run, defaults to every registered allocator
+ * @returns {Object} Results keyed by allocator key
+ */
+export const runAllAlgorithms = (memoryBlocks, processes, mode = PARTITION_MODES.FIXED, keys = [...allocatorRegistry.keys()]) => {
+  return keys.reduce((results, key) => {
+    const allocator = allocatorRegistry.get(key);
+    if (allocator) {
+      // Fall back to the registered name if the result does not carry one
+      const result = { algorithm: allocator.name, ...allocator.allocate(memoryBlocks, processes, mode) };
+      // Allocators registered from outside this file may not report a trace, metrics or fragmentation
+      if (!Array.isArray(result.trace)) {
+        result.trace = [];
+      }
+      result.metrics = completeNumbers(result.metrics, ALLOCATION_METRICS, () =>
+        buildMetrics(memoryBlocks, processes, result.allocation, result.remainingSpace || [], result.trace));
+      result.fragmentation = completeNumbers(result.fragmentation, FRAGMENTATION_DEFINITIONS, () => measureAllFragmentation({
+        holeSizes: result.remainingSpace || [],
+        allocatedSizes: processes.filter((_, index) => result.allocation[index] !== null).map(p => p.size),
+        unallocatedSizes: processes.filter((_, index) => result.allocation[index] === null).map(p => p.size)
+      }));
+      results[key] = result;
+    }
+    return results;
+  }, {});
+};
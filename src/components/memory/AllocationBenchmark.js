@@ -0,0 +1,145 @@
+/**
+ * Allocation Benchmark
+ *
+ * This file generates random allocation scenarios from configurable
+ * distributions and runs the four fit algorithms on every scenario.
+ * The same seed always produces the same scenarios and results.
+ */
+
+import { firstFit, nextFit, bestFit, worstFit } from './AllocationAlgorithms';
+import { createSeededRandom, randomInt, randomNormal } from '../common/SeededRandom';
+
+/**
+ * Supported process size distributions
+ */
+export const SIZE_DISTRIBUTIONS = {
+  uniform: 'Uniform',
+  normal: 'Normal',
+  bimodal: 'Bimodal'
+};
+
+const BENCHMARK_ALGORITHMS = {
+  firstFit,
+  nextFit,
+  bestFit,
+  worstFit
+};
+
+/**
+ * Draws a process size between min and max from the chosen distribution
+ * Normal sizes are centred in the range, bimodal sizes cluster around the
+ * first and third quarters of the range. Both are clamped to the range.
+ */
+const drawSize = (random, distribution, min, max) => {
+  const range = max - min;
+  let size;
+
+  if (distribution === 'normal') {
+    size = randomNormal(random, min + range / 2, range / 6);
+  } else if (distribution === 'bimodal') {
+    const mode = random() < 0.5 ? min + range / 4 : min + (3 * range) / 4;
+    size = randomNormal(random, mode, range / 12);
+  } else {
+    return randomInt(random, min, max);
+  }
+
+  return Math.min(max, Math.max(min, Math.round(size)));
+};
+
+/**
+ * Generates one random scenario of memory blocks and processes
+ */
+export const generateScenario = (random, config) => {
+  const blockCount = randomInt(random, config.blockCountMin, config.blockCountMax);
+  const memoryBlocks = Array(blockCount).fill().map((_, index) => ({
+    id: index + 1,
+    size: randomInt(random, config.blockSizeMin, config.blockSizeMax)
+  }));
+
+  const processes = Array(config.processCount).fill().map((_, index) => ({
+    id: index + 1,
+    size: drawSize(random, config.distribution, config.processSizeMin, config.processSizeMax)
+  }));
+
+  return { memoryBlocks, processes };
+};
+
+/**
+ * Returns the p-th percentile (0-100) of a list of numbers using linear interpolation
+ */
+export const percentile = (values, p) => {
+  if (values.length === 0) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  const position = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+/**
+ * Summarises a list of numbers
+ */
+const summarise = (values) => ({
+  mean: values.reduce((sum, value) => sum + value, 0) / values.length,
+  min: Math.min(...values),
+  p25: percentile(values, 25),
+  median: percentile(values, 50),
+  p75: percentile(values, 75),
+  p90: percentile(values, 90),
+  max: Math.max(...values)
+});
+
+/**
+ * Runs the four fit algorithms on a number of random scenarios
+ *
+ * @param {Object} config - Benchmark configuration
+ * @param {number} config.trials - Number of scenarios to generate
+ * @param {number} config.seed - Seed for reproducible scenarios
+ * @param {string} config.mode - Partitioning mode passed to the fit algorithms
+ * @param {string} config.distribution - One of uniform, normal, bimodal
+ * @returns {Object} Per-algorithm statistics and win counts
+ */
+export const runBenchmark = (config) => {
+  const random = createSeededRandom(config.seed);
+  const keys = Object.keys(BENCHMARK_ALGORITHMS);
+  const fragmentation = Object.fromEntries(keys.map(key => [key, []]));
+  const successRates = Object.fromEntries(keys.map(key => [key, []]));
+  const wins = Object.fromEntries(keys.map(key => [key, 0]));
+  const names = {};
+
+  for (let trial = 0; trial < config.trials; trial++) {
+    const { memoryBlocks, processes } = generateScenario(random, config);
+
+    const trialResults = keys.map(key => {
+      const result = BENCHMARK_ALGORITHMS[key](memoryBlocks, processes, config.mode);
+      names[key] = result.algorithm;
+      const allocated = processes.length - result.unallocatedProcesses.length;
+
+      fragmentation[key].push(result.totalFragmentation);
+      successRates[key].push(allocated / processes.length);
+
+      return { key, totalFragmentation: result.totalFragmentation, allocated };
+    });
+
+    // The winner allocates the most processes, then has the least fragmentation; ties share the win
+    const bestAllocated = Math.max(...trialResults.map(r => r.allocated));
+    const contenders = trialResults.filter(r => r.allocated === bestAllocated);
+    const leastFragmentation = Math.min(...contenders.map(r => r.totalFragmentation));
+    contenders
+      .filter(r => r.totalFragmentation === leastFragmentation)
+      .forEach(r => { wins[r.key]++; });
+  }
+
+  const algorithms = keys.map(key => ({
+    key,
+    algorithm: names[key],
+    fragmentation: summarise(fragmentation[key]),
+    successRate: successRates[key].reduce((sum, rate) => sum + rate, 0) / config.trials,
+    wins: wins[key]
+  }));
+
+  return {
+    config,
+    algorithms
+  };
+};
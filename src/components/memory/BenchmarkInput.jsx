@@ -0,0 +1,168 @@
+import React, { useState } from 'react';
+import { TextField, Button, Grid, Typography, Paper, Box, MenuItem, RadioGroup, Radio, FormControlLabel } from '@mui/material';
+import { PARTITION_MODES } from './AllocationAlgorithms';
+import { SIZE_DISTRIBUTIONS } from './AllocationBenchmark';
+
+const BenchmarkInput = ({ onSubmit }) => {
+  const [config, setConfig] = useState({
+    trials: '200',
+    seed: '1',
+    blockCountMin: '4',
+    blockCountMax: '8',
+    blockSizeMin: '100',
+    blockSizeMax: '600',
+    processCount: '6',
+    processSizeMin: '50',
+    processSizeMax: '500'
+  });
+  const [distribution, setDistribution] = useState('uniform');
+  const [mode, setMode] = useState(PARTITION_MODES.FIXED);
+
+  const updateConfig = (field, value) => {
+    setConfig({ ...config, [field]: value });
+  };
+
+  const handleSubmit = () => {
+    // Validate inputs
+    const values = Object.fromEntries(
+      Object.entries(config).map(([field, value]) => [field, parseInt(value)])
+    );
+    const seed = values.seed || 0;
+    const positive = Object.entries(values)
+      .filter(([field]) => field !== 'seed')
+      .every(([, value]) => value >= 1);
+
+    if (!positive) {
+      alert('Please enter positive numbers for the trial count, block and process settings');
+      return;
+    }
+
+    if (values.blockCountMin > values.blockCountMax ||
+        values.blockSizeMin > values.blockSizeMax ||
+        values.processSizeMin > values.processSizeMax) {
+      alert('Each minimum must not be larger than its maximum');
+      return;
+    }
+
+    onSubmit({
+      ...values,
+      seed,
+      distribution,
+      mode
+    });
+  };
+
+  // Helper function to render a pair of min/max fields
+  const renderRange = (label, minField, maxField) => (
+    <Grid container spacing={2} sx={{ mb: 2 }}>
+      <Grid item xs={6}>
+        <TextField
+          fullWidth
+          label={`${label} (min)`}
+          type="number"
+          value={config[minField]}
+          onChange={(e) => updateConfig(minField, e.target.value)}
+          InputProps={{ inputProps: { min: 1 } }}
+        />
+      </Grid>
+      <Grid item xs={6}>
+        <TextField
+          fullWidth
+          label={`${label} (max)`}
+          type="number"
+          value={config[maxField]}
+          onChange={(e) => updateConfig(maxField, e.target.value)}
+          InputProps={{ inputProps: { min: 1 } }}
+        />
+      </Grid>
+    </Grid>
+  );
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h5" gutterBottom>Benchmark Input</Typography>
+
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Partitioning Mode</Typography>
+        <RadioGroup row value={mode} onChange={(e) => setMode(e.target.value)}>
+          <FormControlLabel value={PARTITION_MODES.FIXED} control={<Radio />} label="Fixed partitions" />
+          <FormControlLabel value={PARTITION_MODES.VARIABLE} control={<Radio />} label="Variable partitions" />
+        </RadioGroup>
+      </Box>
+
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Trials</Typography>
+        <Grid container spacing={2}>
+          <Grid item xs={6}>
+            <TextField
+              fullWidth
+              label="Number of Trials"
+              type="number"
+              value={config.trials}
+              onChange={(e) => updateConfig('trials', e.target.value)}
+              InputProps={{ inputProps: { min: 1 } }}
+            />
+          </Grid>
+          <Grid item xs={6}>
+            <TextField
+              fullWidth
+              label="Seed"
+              type="number"
+              helperText="The same seed always generates the same workloads"
+              value={config.seed}
+              onChange={(e) => updateConfig('seed', e.target.value)}
+            />
+          </Grid>
+        </Grid>
+      </Box>
+
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Memory Blocks</Typography>
+        {renderRange('Block Count', 'blockCountMin', 'blockCountMax')}
+        {renderRange('Block Size', 'blockSizeMin', 'blockSizeMax')}
+      </Box>
+
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Processes</Typography>
+        <Grid container spacing={2} sx={{ mb: 2 }}>
+          <Grid item xs={6}>
+            <TextField
+              fullWidth
+              label="Processes per Trial"
+              type="number"
+              value={config.processCount}
+              onChange={(e) => updateConfig('processCount', e.target.value)}
+              InputProps={{ inputProps: { min: 1 } }}
+            />
+          </Grid>
+          <Grid item xs={6}>
+            <TextField
+              select
+              fullWidth
+              label="Size Distribution"
+              value={distribution}
+              onChange={(e) => setDistribution(e.target.value)}
+            >
+              {Object.entries(SIZE_DISTRIBUTIONS).map(([key, name]) => (
+                <MenuItem key={key} value={key}>{name}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+        </Grid>
+        {renderRange('Process Size', 'processSizeMin', 'processSizeMax')}
+      </Box>
+
+      <Button
+        variant="contained"
+        color="success"
+        onClick={handleSubmit}
+        fullWidth
+        sx={{ mt: 2 }}
+      >
+        Run Benchmark
+      </Button>
+    </Paper>
+  );
+};
+
+export default BenchmarkInput;
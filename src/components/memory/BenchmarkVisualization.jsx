@@ -0,0 +1,191 @@
+import React from 'react';
+import { Paper, Typography, Box, Grid } from '@mui/material';
+import { Bar } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { SIZE_DISTRIBUTIONS } from './AllocationBenchmark';
+
+// Register ChartJS components
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+const BenchmarkVisualization = ({ results }) => {
+  if (!results) return null;
+
+  const { config, algorithms } = results;
+  const labels = algorithms.map(entry => entry.algorithm);
+
+  // Fragmentation percentiles side by side for every algorithm
+  const fragmentationChartData = {
+    labels,
+    datasets: [
+      {
+        label: '25th Percentile',
+        data: algorithms.map(entry => entry.fragmentation.p25),
+        backgroundColor: 'rgba(54, 162, 235, 0.6)',
+      },
+      {
+        label: 'Median',
+        data: algorithms.map(entry => entry.fragmentation.median),
+        backgroundColor: 'rgba(75, 192, 192, 0.6)',
+      },
+      {
+        label: 'Mean',
+        data: algorithms.map(entry => entry.fragmentation.mean),
+        backgroundColor: 'rgba(255, 206, 86, 0.6)',
+      },
+      {
+        label: '90th Percentile',
+        data: algorithms.map(entry => entry.fragmentation.p90),
+        backgroundColor: 'rgba(255, 99, 132, 0.6)',
+      },
+    ],
+  };
+
+  const fragmentationChartOptions = {
+    responsive: true,
+    plugins: {
+      legend: {
+        position: 'top',
+      },
+      title: {
+        display: true,
+        text: `Total Fragmentation over ${config.trials} Trials`,
+      },
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        title: {
+          display: true,
+          text: 'Memory Units',
+        },
+      },
+    },
+  };
+
+  const outcomeChartData = {
+    labels,
+    datasets: [
+      {
+        label: 'Wins',
+        data: algorithms.map(entry => entry.wins),
+        backgroundColor: 'rgba(153, 102, 255, 0.6)',
+        yAxisID: 'y',
+      },
+      {
+        label: 'Success Rate (%)',
+        data: algorithms.map(entry => Math.round(entry.successRate * 1000) / 10),
+        backgroundColor: 'rgba(75, 192, 192, 0.6)',
+        yAxisID: 'percent',
+      },
+    ],
+  };
+
+  const outcomeChartOptions = {
+    responsive: true,
+    plugins: {
+      legend: {
+        position: 'top',
+      },
+      title: {
+        display: true,
+        text: 'Wins and Allocation Success Rate',
+      },
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        ticks: {
+          precision: 0,
+        },
+        title: {
+          display: true,
+          text: 'Wins',
+        },
+      },
+      percent: {
+        position: 'right',
+        beginAtZero: true,
+        max: 100,
+        grid: {
+          drawOnChartArea: false,
+        },
+        title: {
+          display: true,
+          text: 'Success Rate (%)',
+        },
+      },
+    },
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Typography variant="h5" gutterBottom>Benchmark Results</Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        {config.trials} trials, seed {config.seed}, {SIZE_DISTRIBUTIONS[config.distribution].toLowerCase()} process
+        sizes, {config.mode} partitions. A trial is won by the algorithm that allocates the most processes with the
+        least total fragmentation; tied algorithms all get the win.
+      </Typography>
+
+      <Box sx={{ mb: 4, overflowX: 'auto' }}>
+        <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+          <thead>
+            <tr>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Algorithm</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Mean</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Min</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>P25</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Median</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>P75</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>P90</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Max</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Success Rate</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Wins</th>
+            </tr>
+          </thead>
+          <tbody>
+            {algorithms.map(entry => (
+              <tr key={`benchmark-${entry.key}`}>
+                <td style={{ padding: '8px', border: '1px solid #ddd' }}>{entry.algorithm}</td>
+                {['mean', 'min', 'p25', 'median', 'p75', 'p90', 'max'].map(stat => (
+                  <td key={stat} style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>
+                    {Number(entry.fragmentation[stat].toFixed(1))}
+                  </td>
+                ))}
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>
+                  {(entry.successRate * 100).toFixed(1)}%
+                </td>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{entry.wins}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </Box>
+
+      <Grid container spacing={3}>
+        <Grid item xs={12} md={6}>
+          <Bar data={fragmentationChartData} options={fragmentationChartOptions} />
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <Bar data={outcomeChartData} options={outcomeChartOptions} />
+        </Grid>
+      </Grid>
+    </Paper>
+  );
+};
+
+export default BenchmarkVisualization;
@@ -0,0 +1,98 @@
+import React, { useState } from 'react';
+import { Typography, Box, Button } from '@mui/material';
+import { freeBuddy } from './AllocationAlgorithms';
+
+// Colours used for the three node states
+const NODE_COLORS = {
+  split: 'info.light',
+  allocated: 'success.main',
+  free: 'grey.300'
+};
+
+const BuddyTreeVisualization = ({ trees, memoryBlocks }) => {
+  // Trees are kept locally so nodes can be freed to show buddies merging
+  const [currentTrees, setCurrentTrees] = useState(trees);
+  const [sourceTrees, setSourceTrees] = useState(trees);
+
+  // Reset the local trees whenever new results arrive
+  if (sourceTrees !== trees) {
+    setSourceTrees(trees);
+    setCurrentTrees(trees);
+  }
+
+  const handleFree = (blockIndex, processId) => {
+    setCurrentTrees(currentTrees.map((tree, index) =>
+      index === blockIndex ? freeBuddy(tree, processId) : tree
+    ));
+  };
+
+  // Helper function to render a node and, if it is split, its two buddies below it
+  const renderNode = (node, blockIndex) => {
+    const label = node.state === 'allocated'
+      ? `P${node.processId} (${node.requested}/${node.size})`
+      : `${node.state === 'split' ? 'Split' : 'Free'} (${node.size})`;
+
+    return (
+      <Box key={`node-${node.offset}-${node.size}`} sx={{ flex: 1, minWidth: 0 }}>
+        <Box
+          title={`Offset ${node.offset}, size ${node.size}`}
+          sx={{
+            height: 36,
+            m: 0.25,
+            bgcolor: NODE_COLORS[node.state],
+            color: node.state === 'allocated' ? 'white' : 'inherit',
+            border: '1px solid #ccc',
+            borderRadius: 1,
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            gap: 0.5,
+            overflow: 'hidden',
+            whiteSpace: 'nowrap',
+            fontSize: '0.75rem',
+          }}
+        >
+          {label}
+          {node.state === 'allocated' && (
+            <Button
+              size="small"
+              variant="text"
+              sx={{ color: 'white', minWidth: 0, p: 0, fontSize: '0.7rem' }}
+              onClick={() => handleFree(blockIndex, node.processId)}
+            >
+              Free
+            </Button>
+          )}
+        </Box>
+        {node.children && (
+          <Box sx={{ display: 'flex' }}>
+            {node.children.map(child => renderNode(child, blockIndex))}
+          </Box>
+        )}
+      </Box>
+    );
+  };
+
+  return (
+    <Box sx={{ mt: 2 }}>
+      <Typography variant="subtitle1" gutterBottom>Buddy Trees</Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Each block is managed as a power-of-two arena. Split nodes are shown in blue, allocated nodes in green
+        (requested/rounded size) and free nodes in grey. Free an allocated node to see free buddies merge.
+      </Typography>
+      {currentTrees.map((tree, blockIndex) => (
+        <Box key={`buddy-tree-${blockIndex}`} sx={{ mb: 2 }}>
+          <Typography variant="body2" gutterBottom>
+            Block {blockIndex} ({memoryBlocks[blockIndex].size}) - arena of {tree.size} units
+            {memoryBlocks[blockIndex].size > tree.size && `, ${memoryBlocks[blockIndex].size - tree.size} units unmanaged`}
+          </Typography>
+          <Box sx={{ display: 'flex' }}>
+            {renderNode(tree, blockIndex)}
+          </Box>
+        </Box>
+      ))}
+    </Box>
+  );
+};
+
+export default BuddyTreeVisualization;
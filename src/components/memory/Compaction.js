@@ -0,0 +1,171 @@
+/**
+ * Memory Compaction Simulation
+ *
+ * This file slides allocated regions together so that scattered holes become
+ * one contiguous hole, reports how many memory units were moved (relocation
+ * cost) and then retries the processes that could not be allocated.
+ *
+ * Memory blocks are laid out back to back in address order and processes
+ * sit at the start of their block in allocation order. Once memory is
+ * compacted the block boundaries no longer apply.
+ *
+ * Supported strategies:
+ * - Low End: move every region towards address 0
+ * - High End: move every region towards the end of memory
+ * - Minimal Movement: pack regions at both ends and leave the hole where
+ *   the fewest units have to move
+ */
+
+/**
+ * Supported compaction strategies
+ */
+export const COMPACTION_STRATEGIES = {
+  lowEnd: 'Low End',
+  highEnd: 'High End',
+  minimalMovement: 'Minimal Movement'
+};
+
+/**
+ * Builds the address-space layout of an allocation result
+ *
+ * @param {Object} result - Result of a fit algorithm with memoryBlocks and processes attached
+ * @returns {Object} Memory size and the allocated regions in address order
+ */
+export const buildMemoryLayout = (result) => {
+  const { memoryBlocks, processes, allocation } = result;
+  const memorySize = memoryBlocks.reduce((sum, block) => sum + block.size, 0);
+
+  // Blocks are laid out back to back, so each block starts after the previous ones
+  const nextFree = memoryBlocks.map((_, j) =>
+    memoryBlocks.slice(0, j).reduce((sum, block) => sum + block.size, 0)
+  );
+
+  const regions = [];
+  processes.forEach((process, i) => {
+    const blockIndex = allocation[i];
+    if (blockIndex === null) return;
+
+    regions.push({ processId: process.id, start: nextFree[blockIndex], size: process.size });
+    nextFree[blockIndex] += process.size;
+  });
+
+  regions.sort((a, b) => a.start - b.start);
+
+  return { memorySize, regions };
+};
+
+/**
+ * Packs the first `split` regions at address 0 and the rest against the end of memory
+ * Every region that changes address counts towards the relocation cost
+ */
+const packAround = (layout, split) => {
+  const { memorySize, regions } = layout;
+  const moves = [];
+  const packed = [];
+
+  let address = 0;
+  regions.slice(0, split).forEach(region => {
+    packed.push({ ...region, start: address });
+    address += region.size;
+  });
+  const holeStart = address;
+
+  address = memorySize;
+  const upper = [];
+  regions.slice(split).reverse().forEach(region => {
+    address -= region.size;
+    upper.unshift({ ...region, start: address });
+  });
+  packed.push(...upper);
+
+  packed.forEach((region, index) => {
+    if (region.start !== regions[index].start) {
+      moves.push({ processId: region.processId, from: regions[index].start, to: region.start, size: region.size });
+    }
+  });
+
+  return {
+    regions: packed,
+    moves,
+    relocationCost: moves.reduce((sum, move) => sum + move.size, 0),
+    hole: { start: holeStart, size: address - holeStart }
+  };
+};
+
+/**
+ * Compacts memory with a single strategy
+ *
+ * @param {Object} layout - Layout from buildMemoryLayout
+ * @param {string} strategy - One of lowEnd, highEnd, minimalMovement
+ * @returns {Object} Compacted regions, moves, relocation cost and the resulting hole
+ */
+export const compactMemory = (layout, strategy) => {
+  const count = layout.regions.length;
+
+  if (strategy === 'lowEnd') return packAround(layout, count);
+  if (strategy === 'highEnd') return packAround(layout, 0);
+
+  // Minimal movement: try every position for the hole and keep the cheapest
+  let best = null;
+  for (let split = 0; split <= count; split++) {
+    const candidate = packAround(layout, split);
+    if (best === null || candidate.relocationCost < best.relocationCost) {
+      best = candidate;
+    }
+  }
+  return best;
+};
+
+/**
+ * Compacts memory and retries the pending processes in the new hole
+ *
+ * @param {Object} result - Result of a fit algorithm with memoryBlocks and processes attached
+ * @param {string} strategy - One of lowEnd, highEnd, minimalMovement
+ * @returns {Object} Layout before and after, relocation cost and retry outcome
+ */
+export const runCompaction = (result, strategy) => {
+  const before = buildMemoryLayout(result);
+  const compacted = compactMemory(before, strategy);
+
+  // Retry the pending processes in order inside the single hole
+  const pending = result.processes.filter((_, i) => result.allocation[i] === null);
+  const regions = [...compacted.regions];
+  const placedProcesses = [];
+  const stillUnallocated = [];
+  let holeStart = compacted.hole.start;
+  let holeSize = compacted.hole.size;
+
+  for (const process of pending) {
+    if (process.size <= holeSize) {
+      regions.push({ processId: process.id, start: holeStart, size: process.size, retried: true });
+      placedProcesses.push(process.id);
+      holeStart += process.size;
+      holeSize -= process.size;
+    } else {
+      stillUnallocated.push(process.id);
+    }
+  }
+
+  regions.sort((a, b) => a.start - b.start);
+
+  return {
+    strategy,
+    before,
+    after: { memorySize: before.memorySize, regions },
+    moves: compacted.moves,
+    relocationCost: compacted.relocationCost,
+    hole: { start: holeStart, size: holeSize },
+    placedProcesses,
+    stillUnallocated
+  };
+};
+
+/**
+ * Compacts memory with every strategy so their relocation costs can be compared
+ */
+export const compareCompactionStrategies = (result) => {
+  return Object.keys(COMPACTION_STRATEGIES).reduce((comparison, strategy) => {
+    comparison[strategy] = runCompaction(result, strategy);
+    return comparison;
+  }, {});
+};
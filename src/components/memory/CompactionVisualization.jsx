@@ -0,0 +1,136 @@
+import React, { useState } from 'react';
+import { Typography, Box, Button, ToggleButton, ToggleButtonGroup } from '@mui/material';
+import { COMPACTION_STRATEGIES, compareCompactionStrategies } from './Compaction';
+
+const CompactionVisualization = ({ result }) => {
+  const [compacted, setCompacted] = useState(false);
+  const [strategy, setStrategy] = useState('minimalMovement');
+
+  const comparison = compareCompactionStrategies(result);
+  const selected = comparison[strategy];
+
+  // Helper function to render memory as a single address-space bar
+  const renderLayout = (layout, title, movedIds = []) => {
+    // Fill the gaps between regions with free space
+    const segments = [];
+    let address = 0;
+    layout.regions.forEach(region => {
+      if (region.start > address) {
+        segments.push({ start: address, size: region.start - address, free: true });
+      }
+      segments.push({ ...region, free: false });
+      address = region.start + region.size;
+    });
+    if (address < layout.memorySize) {
+      segments.push({ start: address, size: layout.memorySize - address, free: true });
+    }
+
+    return (
+      <Box sx={{ mb: 2 }}>
+        <Typography variant="body2" gutterBottom>{title}</Typography>
+        <Box
+          sx={{
+            height: 50,
+            display: 'flex',
+            border: '1px solid #ccc',
+            borderRadius: 1,
+            overflow: 'hidden',
+          }}
+        >
+          {segments.map(segment => (
+            <Box
+              key={`segment-${segment.start}`}
+              title={`Address ${segment.start}-${segment.start + segment.size - 1}`}
+              sx={{
+                width: `${(segment.size / layout.memorySize) * 100}%`,
+                // Moved regions are orange and retried processes blue
+                bgcolor: segment.free
+                  ? 'grey.300'
+                  : segment.retried ? 'info.main' : movedIds.includes(segment.processId) ? 'warning.main' : 'success.main',
+                color: segment.free ? 'inherit' : 'white',
+                borderRight: '1px solid white',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                overflow: 'hidden',
+                whiteSpace: 'nowrap',
+              }}
+            >
+              {segment.free ? `Free (${segment.size})` : `P${segment.processId}`}
+            </Box>
+          ))}
+        </Box>
+      </Box>
+    );
+  };
+
+  if (!compacted) {
+    return (
+      <Box sx={{ mt: 2 }}>
+        <Button variant="outlined" color="warning" onClick={() => setCompacted(true)}>
+          Compact Memory
+        </Button>
+      </Box>
+    );
+  }
+
+  return (
+    <Box sx={{ mt: 2, p: 2, border: '1px solid #e0e0e0', borderRadius: 1 }}>
+      <Typography variant="subtitle1" gutterBottom>Compaction</Typography>
+
+      <ToggleButtonGroup
+        exclusive
+        size="small"
+        value={strategy}
+        onChange={(event, value) => value && setStrategy(value)}
+        sx={{ mb: 2 }}
+      >
+        {Object.entries(COMPACTION_STRATEGIES).map(([key, name]) => (
+          <ToggleButton key={key} value={key}>{name}</ToggleButton>
+        ))}
+      </ToggleButtonGroup>
+
+      {renderLayout(selected.before, 'Before compaction')}
+      {renderLayout(selected.after, 'After compaction and retry', selected.moves.map(move => move.processId))}
+
+      <Typography>Relocation Cost: {selected.relocationCost} units moved</Typography>
+      {selected.moves.length > 0 && (
+        <Typography variant="body2">
+          Moves: {selected.moves.map(move => `P${move.processId} ${move.from} → ${move.to}`).join(', ')}
+        </Typography>
+      )}
+      <Typography>
+        Allocated After Retry: {selected.placedProcesses.length > 0 ? selected.placedProcesses.join(', ') : 'None'}
+      </Typography>
+      {selected.stillUnallocated.length > 0 && (
+        <Typography>Still Unallocated: {selected.stillUnallocated.join(', ')}</Typography>
+      )}
+
+      <Box sx={{ mt: 2, overflowX: 'auto' }}>
+        <Typography variant="body2" gutterBottom>Strategy Comparison</Typography>
+        <table style={{ borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Strategy</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Units Moved</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Regions Moved</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Still Unallocated</th>
+            </tr>
+          </thead>
+          <tbody>
+            {Object.entries(comparison).map(([key, outcome]) => (
+              <tr key={`strategy-${key}`} style={{ fontWeight: key === strategy ? 'bold' : 'normal' }}>
+                <td style={{ padding: '8px', border: '1px solid #ddd' }}>{COMPACTION_STRATEGIES[key]}</td>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{outcome.relocationCost}</td>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{outcome.moves.length}</td>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{outcome.stillUnallocated.length}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </Box>
+    </Box>
+  );
+};
+
+export default CompactionVisualization;
@@ -0,0 +1,223 @@
+/**
+ * Custom Placement Policies
+ *
+ * This file runs a user-written placement policy in a sandboxed Web Worker
+ * with a timeout and turns its choices into a standard allocation result.
+ * The worker is created inside an iframe with an opaque origin and a
+ * Content-Security-Policy that allows no network requests, so the policy
+ * cannot reach the page, its storage or the network. Its raw choices and the
+ * replayed result are both checked before the result is shown next to the
+ * built-in algorithms.
+ */
+
+import { PARTITION_MODES, allocateWithChoices } from './AllocationAlgorithms';
+import workerSource from './CustomPolicyWorker.js?raw';
+
+/**
+ * Default policy shown in the editor
+ */
+export const DEFAULT_CUSTOM_POLICY = `// freeBlocks: [{ index, size }] in block order, process: { id, size }
+// Return the index of a free block, or null to leave the process unallocated.
+
+// First fit from the top: search from the last block towards the first
+function choose(freeBlocks, process) {
+  for (let i = freeBlocks.length - 1; i >= 0; i--) {
+    if (freeBlocks[i].size >= process.size) {
+      return freeBlocks[i].index;
+    }
+  }
+  return null;
+}`;
+
+export const DEFAULT_POLICY_TIMEOUT = 1000;
+
+/**
+ * Checks a result against the allocation contract shared by every allocator
+ *
+ * @param {Object} result - Allocation result
+ * @param {Array} memoryBlocks - Memory blocks the result was computed for
+ * @param {Array} processes - Processes the result was computed for
+ * @returns {Array} Contract violations, empty if the result is valid
+ */
+export const validateAllocationResult = (result, memoryBlocks, processes) => {
+  const problems = [];
+  const { allocation, internalFragmentation, mode } = result;
+
+  if (!Array.isArray(allocation) || allocation.length !== processes.length) {
+    problems.push(`allocation must have one entry per process (${processes.length})`);
+    return problems;
+  }
+  if (!Array.isArray(internalFragmentation) || internalFragmentation.length !== memoryBlocks.length) {
+    problems.push(`internalFragmentation must have one entry per block (${memoryBlocks.length})`);
+    return problems;
+  }
+
+  allocation.forEach((blockIndex, i) => {
+    if (blockIndex !== null && (!Number.isInteger(blockIndex) || blockIndex < 0 || blockIndex >= memoryBlocks.length)) {
+      problems.push(`allocation[${i}] is ${blockIndex}, which is not a block index or null`);
+    }
+  });
+
+  memoryBlocks.forEach((block, j) => {
+    const placed = processes.filter((_, i) => allocation[i] === j);
+    const used = placed.reduce((sum, process) => sum + process.size, 0);
+
+    if (internalFragmentation[j] < 0) {
+      problems.push(`internalFragmentation[${j}] is negative`);
+    }
+    if (used + internalFragmentation[j] > block.size) {
+      problems.push(`block ${j} holds ${used + internalFragmentation[j]} units but only has ${block.size}`);
+    }
+    if (mode === PARTITION_MODES.FIXED && placed.length > 1) {
+      problems.push(`block ${j} holds ${placed.length} processes, fixed partitions hold at most one`);
+    }
+  });
+
+  return problems;
+};
+
+/**
+ * Checks the raw choices reported by the policy before they are replayed
+ * Each choice must be null or the index of a block that was offered as free
+ * to that process and is large enough for it.
+ *
+ * @param {*} choices - Choices as received from the worker
+ * @param {Array} memoryBlocks - Memory blocks the policy was run on
+ * @param {Array} processes - Processes the policy was run on
+ * @param {string} mode - Partitioning mode
+ * @returns {Array} Invalid choices, empty if every choice is valid
+ */
+export const validatePolicyChoices = (choices, memoryBlocks, processes, mode) => {
+  if (!Array.isArray(choices) || choices.length !== processes.length) {
+    return [`the policy must report one choice per process (${processes.length})`];
+  }
+
+  const problems = [];
+  const sizes = memoryBlocks.map(block => block.size);
+
+  processes.forEach((process, i) => {
+    const choice = choices[i];
+    if (choice === null) return;
+
+    if (!Number.isInteger(choice) || choice < 0 || choice >= sizes.length || sizes[choice] <= 0) {
+      problems.push(`P${process.id}: ${JSON.stringify(choice)} is not the index of a free block`);
+      return;
+    }
+    if (sizes[choice] < process.size) {
+      problems.push(`P${process.id}: block ${choice} has ${sizes[choice]} units free, which is less than ${process.size}`);
+      return;
+    }
+
+    sizes[choice] = mode === PARTITION_MODES.VARIABLE ? sizes[choice] - process.size : 0;
+  });
+
+  return problems;
+};
+
+// No requests of any kind; inline scripts and eval for the relay and the policy, blob workers for the worker
+const SANDBOX_CSP = "default-src 'none'; script-src 'unsafe-inline' 'unsafe-eval'; worker-src blob:";
+
+/**
+ * Builds the sandboxed iframe document. It starts the worker from a blob of
+ * its source, which inherits the document's CSP, and relays messages between
+ * the page and the worker.
+ */
+const buildSandboxDocument = () => {
+  // Escape < so the source cannot close the script element
+  const source = JSON.stringify(workerSource).replace(/</g, '\\u003c');
+  return `<!DOCTYPE html>
+<meta http-equiv="Content-Security-Policy" content="${SANDBOX_CSP}">
+<script>
+  try {
+    const worker = new Worker(URL.createObjectURL(new Blob([${source}], { type: 'text/javascript' })));
+    worker.onmessage = (event) => parent.postMessage(event.data, '*');
+    worker.onerror = (event) => {
+      event.preventDefault();
+      parent.postMessage({ error: event.message || 'The policy worker failed' }, '*');
+    };
+    onmessage = (event) => worker.postMessage(event.data);
+  } catch (error) {
+    parent.postMessage({ error: error.message }, '*');
+  }
+</script>`;
+};
+
+/**
+ * Runs a custom policy in a sandboxed Web Worker and builds its allocation result
+ *
+ * @param {string} source - Code declaring choose(freeBlocks, process)
+ * @param {Array} memoryBlocks - Array of memory blocks with their sizes
+ * @param {Array} processes - Array of processes with their sizes
+ * @param {string} mode - Partitioning mode
+ * @param {number} timeout - Milliseconds the policy may run once the worker has loaded
+ * @returns {Promise<Object>} Resolves with the result, rejects with an Error describing the failure
+ */
+export const runCustomPolicy = (source, memoryBlocks, processes, mode = PARTITION_MODES.FIXED, timeout = DEFAULT_POLICY_TIMEOUT) => {
+  return new Promise((resolve, reject) => {
+    // Without allow-same-origin the iframe gets an opaque origin
+    const frame = document.createElement('iframe');
+    frame.setAttribute('sandbox', 'allow-scripts');
+    frame.style.display = 'none';
+    frame.srcdoc = buildSandboxDocument();
+
+    let timer = null;
+
+    // Removing the iframe also stops its worker
+    const finish = () => {
+      clearTimeout(timer);
+      window.removeEventListener('message', handleMessage);
+      frame.remove();
+    };
+
+    const handleMessage = (event) => {
+      // Only listen to this run's iframe
+      if (event.source !== frame.contentWindow) return;
+      const data = event.data || {};
+
+      // Start the clock once the worker has loaded, then hand it the policy
+      if (data.ready) {
+        if (timer !== null) return;
+        // Stop runaway code such as infinite loops
+        timer = setTimeout(() => {
+          finish();
+          reject(new Error(`The policy did not finish within ${timeout} ms`));
+        }, timeout);
+        frame.contentWindow.postMessage({
+          source,
+          memoryBlocks,
+          processes,
+          splitBlocks: mode === PARTITION_MODES.VARIABLE
+        }, '*');
+        return;
+      }
+
+      finish();
+      if (data.error) {
+        reject(new Error(String(data.error)));
+        return;
+      }
+
+      // The worker output is not trusted, so check the raw choices, then replay and validate them here
+      const invalidChoices = validatePolicyChoices(data.choices, memoryBlocks, processes, mode);
+      if (invalidChoices.length > 0) {
+        reject(new Error(`The policy returned invalid choices: ${invalidChoices.join('; ')}`));
+        return;
+      }
+
+      try {
+        const result = allocateWithChoices(memoryBlocks, processes, data.choices, mode, 'Custom Policy');
+        const problems = validateAllocationResult(result, memoryBlocks, processes);
+        if (problems.length > 0) {
+          reject(new Error(`The result breaks the allocation contract: ${problems.join('; ')}`));
+          return;
+        }
+        resolve(result);
+      } catch (error) {
+        reject(error);
+      }
+    };
+
+    window.addEventListener('message', handleMessage);
+    document.body.appendChild(frame);
+  });
+};
@@ -0,0 +1,78 @@
+import React from 'react';
+import { TextField, Button, Grid, Typography, Paper, Box, Alert, FormControlLabel, Switch } from '@mui/material';
+import { DEFAULT_CUSTOM_POLICY } from './CustomPolicy';
+
+const CustomPolicyEditor = ({ policy, onChange, error }) => {
+  const updatePolicy = (field, value) => {
+    onChange({ ...policy, [field]: value });
+  };
+
+  // Insert two spaces on Tab instead of moving focus out of the editor
+  const handleKeyDown = (event) => {
+    if (event.key !== 'Tab') return;
+    event.preventDefault();
+    const { selectionStart, selectionEnd, value } = event.target;
+    updatePolicy('source', `${value.slice(0, selectionStart)}  ${value.slice(selectionEnd)}`);
+    requestAnimationFrame(() => {
+      event.target.selectionStart = event.target.selectionEnd = selectionStart + 2;
+    });
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h5" gutterBottom>Custom Placement Policy</Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Write a function choose(freeBlocks, process) that returns the index of the block to use.
+        It runs in a sandboxed Web Worker without page, network or storage access and is stopped after the timeout.
+      </Typography>
+
+      <Box sx={{ mb: 2 }}>
+        <TextField
+          fullWidth
+          multiline
+          minRows={12}
+          value={policy.source}
+          onChange={(e) => updatePolicy('source', e.target.value)}
+          onKeyDown={handleKeyDown}
+          InputProps={{ sx: { fontFamily: 'monospace', fontSize: 14 } }}
+          inputProps={{ spellCheck: false }}
+        />
+      </Box>
+
+      <Grid container spacing={2} alignItems="center">
+        <Grid item xs={12} sm={5}>
+          <FormControlLabel
+            control={
+              <Switch
+                checked={policy.enabled}
+                onChange={(e) => updatePolicy('enabled', e.target.checked)}
+              />
+            }
+            label="Run next to the built-in algorithms"
+          />
+        </Grid>
+        <Grid item xs={6} sm={4}>
+          <TextField
+            fullWidth
+            label="Timeout (ms)"
+            type="number"
+            value={policy.timeout}
+            onChange={(e) => updatePolicy('timeout', e.target.value)}
+            InputProps={{ inputProps: { min: 1 } }}
+          />
+        </Grid>
+        <Grid item xs={6} sm={3}>
+          <Button variant="outlined" onClick={() => updatePolicy('source', DEFAULT_CUSTOM_POLICY)}>
+            Reset Example
+          </Button>
+        </Grid>
+      </Grid>
+
+      {error && (
+        <Alert severity="error" sx={{ mt: 2 }}>Custom policy failed: {error}</Alert>
+      )}
+    </Paper>
+  );
+};
+
+export default CustomPolicyEditor;
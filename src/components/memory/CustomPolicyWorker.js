@@ -0,0 +1,77 @@
+/**
+ * Custom Policy Worker
+ *
+ * This worker runs a user-written placement policy away from the page. The
+ * policy is called once per process with the current free-block list and
+ * returns the index of the block to use. The worker only reports the chosen
+ * indices; the page validates and replays them.
+ *
+ * The file is a plain script without imports: CustomPolicy.js loads its
+ * source text into a blob worker inside a sandboxed iframe, where the
+ * Content-Security-Policy blocks every network request (fetch, import(),
+ * WebSocket, ...) and the opaque origin gives no access to the page or its
+ * storage.
+ */
+
+// Remove the common network and storage APIs as well, so that user code gets
+// a clear error rather than a CSP violation
+['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource', 'importScripts', 'indexedDB', 'caches'].forEach(name => {
+  try {
+    self[name] = undefined;
+  } catch {
+    // Some globals are read-only, the CSP still blocks them
+  }
+});
+
+/**
+ * Compiles the user source, which must declare a function named choose
+ */
+const compilePolicy = (source) => {
+  const policy = new Function(`"use strict";\n${source}\nreturn typeof choose === 'function' ? choose : null;`)();
+  if (!policy) {
+    throw new Error('The code must declare a function named choose(freeBlocks, process)');
+  }
+  return policy;
+};
+
+self.onmessage = ({ data }) => {
+  const { source, memoryBlocks, processes, splitBlocks } = data;
+
+  try {
+    const choose = compilePolicy(source);
+    const sizes = memoryBlocks.map(block => block.size);
+    const choices = [];
+
+    for (const process of processes) {
+      // Free blocks keep their original index so the policy can return it
+      const freeBlocks = sizes
+        .map((size, index) => ({ index, size }))
+        .filter(block => block.size > 0);
+
+      const choice = choose(freeBlocks, { id: process.id, size: process.size });
+
+      if (choice === null || choice === undefined || choice === -1) {
+        choices.push(null);
+        continue;
+      }
+
+      if (!freeBlocks.some(block => block.index === choice)) {
+        throw new Error(`P${process.id}: choose returned ${JSON.stringify(choice)}, which is not the index of a free block`);
+      }
+      if (sizes[choice] < process.size) {
+        throw new Error(`P${process.id}: block ${choice} has ${sizes[choice]} units free, which is less than ${process.size}`);
+      }
+
+      // Mirror the partitioning mode so the next call sees the right free list
+      sizes[choice] = splitBlocks ? sizes[choice] - process.size : 0;
+      choices.push(choice);
+    }
+
+    self.postMessage({ choices });
+  } catch (error) {
+    self.postMessage({ error: error.message });
+  }
+};
+
+// Tell the page the worker has loaded, so loading time does not count towards the timeout
+self.postMessage({ ready: true });
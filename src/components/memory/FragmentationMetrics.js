@@ -0,0 +1,75 @@
+/**
+ * Fragmentation Metrics
+ *
+ * This file measures external fragmentation under several definitions so
+ * that allocators can be compared with the one that suits the question:
+ * - Current: free holes too small for the largest unallocated process.
+ *   This is 0 whenever every process fits, however scattered memory is.
+ * - Free minus largest: all free memory except the largest hole, i.e. the
+ *   memory a single large request can never use
+ * - Free ratio: 1 − largest hole / total free memory, 0% when free memory is
+ *   one hole and close to 100% when it is split into many small holes
+ * - Knuth's 50% rule: in equilibrium there are about half as many holes as
+ *   allocated blocks, so with k = mean hole size / mean block size a fraction
+ *   k / (k + 2) of memory is expected to be lost to holes
+ */
+
+/**
+ * Supported external fragmentation definitions
+ */
+export const FRAGMENTATION_DEFINITIONS = {
+  current: { label: 'Holes too small for the largest unallocated process', unit: 'units' },
+  freeMinusLargest: { label: 'Total free memory minus the largest hole', unit: 'units' },
+  freeRatio: { label: '1 − largest hole / total free memory', unit: '%' },
+  fiftyPercentRule: { label: "Knuth's 50% rule estimate", unit: 'units' }
+};
+
+/**
+ * Measures external fragmentation with one definition
+ *
+ * @param {Object} memory - Memory state after allocation
+ * @param {Array} memory.holeSizes - Sizes of the free regions (zero sizes are ignored)
+ * @param {Array} memory.allocatedSizes - Sizes of the allocated regions
+ * @param {Array} memory.unallocatedSizes - Sizes of the requests that could not be placed
+ * @param {string} definition - Key of FRAGMENTATION_DEFINITIONS
+ * @returns {number} External fragmentation in the unit of the definition
+ */
+export const measureFragmentation = ({ holeSizes, allocatedSizes, unallocatedSizes }, definition = 'current') => {
+  const holes = holeSizes.filter(size => size > 0);
+  const totalFree = holes.reduce((sum, size) => sum + size, 0);
+  const largestHole = Math.max(0, ...holes);
+
+  if (definition === 'freeMinusLargest') {
+    return totalFree - largestHole;
+  }
+
+  if (definition === 'freeRatio') {
+    return totalFree > 0 ? (1 - largestHole / totalFree) * 100 : 0;
+  }
+
+  if (definition === 'fiftyPercentRule') {
+    if (holes.length === 0 || allocatedSizes.length === 0) return 0;
+    const totalAllocated = allocatedSizes.reduce((sum, size) => sum + size, 0);
+    const k = (totalFree / holes.length) / (totalAllocated / allocatedSizes.length);
+    return Math.round((totalFree + totalAllocated) * (k / (k + 2)));
+  }
+
+  // Current definition: only holes too small for the largest unallocated request count
+  if (unallocatedSizes.length === 0) return 0;
+  const largestUnallocatedSize = Math.max(...unallocatedSizes);
+  return holes
+    .filter(size => size < largestUnallocatedSize)
+    .reduce((sum, size) => sum + size, 0);
+};
+
+/**
+ * Measures external fragmentation with every definition
+ *
+ * @returns {Object} Values keyed like FRAGMENTATION_DEFINITIONS
+ */
+export const measureAllFragmentation = (memory) => {
+  return Object.keys(FRAGMENTATION_DEFINITIONS).reduce((values, definition) => {
+    values[definition] = measureFragmentation(memory, definition);
+    return values;
+  }, {});
+};
@@ -1,9 +1,21 @@
 import React, { useState } from 'react';
-import { TextField, Button, Grid, Typography, Paper, Box } from '@mui/material';
+import { TextField, Button, Grid, Typography, Paper, Box, RadioGroup, Radio, FormControlLabel, FormGroup, Checkbox, MenuItem } from '@mui/material';
+import { PARTITION_MODES, getAllocators } from './AllocationAlgorithms';
+import { PROCESS_ORDERS } from './ProcessOrdering';
 
 const MemoryInput = ({ onSubmit }) => {
   const [memoryBlocks, setMemoryBlocks] = useState([{ id: 1, size: '' }]);
-  const [processes, setProcesses] = useState([{ id: 1, size: '' }]);
+  const [processes, setProcesses] = useState([{ id: 1, size: '', priority: '' }]);
+  const [mode, setMode] = useState(PARTITION_MODES.FIXED);
+  const [selectedAllocators, setSelectedAllocators] = useState(() => getAllocators().map(allocator => allocator.key));
+  const [order, setOrder] = useState('given');
+  const [seed, setSeed] = useState('1');
+
+  const toggleAllocator = (key) => {
+    setSelectedAllocators(selectedAllocators.includes(key)
+      ? selectedAllocators.filter(selected => selected !== key)
+      : [...selectedAllocators, key]);
+  };
 
   const addMemoryBlock = () => {
     const newId = memoryBlocks.length > 0 ? Math.max(...memoryBlocks.map(block => block.id)) + 1 : 1;
@@ -24,7 +36,7 @@ const MemoryInput = ({ onSubmit }) => {
 
   const addProcess = () => {
     const newId = processes.length > 0 ? Math.max(...processes.map(process => process.id)) + 1 : 1;
-    setProcesses([...processes, { id: newId, size: '' }]);
+    setProcesses([...processes, { id: newId, size: '', priority: '' }]);
   };
 
   const removeProcess = (id) => {
@@ -33,9 +45,9 @@ const MemoryInput = ({ onSubmit }) => {
     }
   };
 
-  const updateProcess = (id, size) => {
+  const updateProcess = (id, field, value) => {
     setProcesses(processes.map(process => 
-      process.id === id ? { ...process, size: size } : process
+      process.id === id ? { ...process, [field]: value } : process
     ));
   };
 
@@ -47,16 +59,45 @@ const MemoryInput = ({ onSubmit }) => {
     
     const validProcesses = processes
       .filter(process => process.size !== '')
-      .map(process => ({ ...process, size: parseInt(process.size) }));
+      .map(process => ({
+        ...process,
+        size: parseInt(process.size),
+        // Priority is optional, processes without one are served last
+        priority: process.priority !== '' ? parseInt(process.priority) : null
+      }));
 
     if (validMemoryBlocks.length === 0 || validProcesses.length === 0) {
       alert('Please enter at least one memory block and one process');
       return;
     }
 
+    if ([...validMemoryBlocks, ...validProcesses].some(item => !(item.size >= 1))) {
+      alert('Block and process sizes must be at least 1');
+      return;
+    }
+
+    if (order === 'priority' && validProcesses.every(process => process.priority === null)) {
+      alert('Please enter a priority for at least one process');
+      return;
+    }
+
+    if (selectedAllocators.length === 0) {
+      alert('Please select at least one algorithm');
+      return;
+    }
+
+    // Keep the registry order so the chart always lists algorithms the same way
+    const algorithms = getAllocators()
+      .map(allocator => allocator.key)
+      .filter(key => selectedAllocators.includes(key));
+
     onSubmit({
       memoryBlocks: validMemoryBlocks,
-      processes: validProcesses
+      processes: validProcesses,
+      mode,
+      algorithms,
+      order,
+      seed: parseInt(seed) || 0
     });
   };
 
@@ -64,6 +105,72 @@ const MemoryInput = ({ onSubmit }) => {
     <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
       <Typography variant="h5" gutterBottom>Memory Allocation Input</Typography>
       
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Partitioning Mode</Typography>
+        <RadioGroup row value={mode} onChange={(e) => setMode(e.target.value)}>
+          <FormControlLabel
+            value={PARTITION_MODES.FIXED}
+            control={<Radio />}
+            label="Fixed partitions (one process per block)"
+          />
+          <FormControlLabel
+            value={PARTITION_MODES.VARIABLE}
+            control={<Radio />}
+            label="Variable partitions (leftover space stays free)"
+          />
+        </RadioGroup>
+      </Box>
+
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Algorithms</Typography>
+        <FormGroup row>
+          {getAllocators().map(allocator => (
+            <FormControlLabel
+              key={allocator.key}
+              control={
+                <Checkbox
+                  checked={selectedAllocators.includes(allocator.key)}
+                  onChange={() => toggleAllocator(allocator.key)}
+                />
+              }
+              label={allocator.name}
+              title={allocator.description}
+            />
+          ))}
+        </FormGroup>
+      </Box>
+
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Arrival Order</Typography>
+        <Grid container spacing={2}>
+          <Grid item xs={8}>
+            <TextField
+              select
+              fullWidth
+              label="Serve Processes"
+              value={order}
+              onChange={(e) => setOrder(e.target.value)}
+              helperText="By priority serves the smallest priority number first"
+            >
+              {Object.entries(PROCESS_ORDERS).map(([key, name]) => (
+                <MenuItem key={key} value={key}>{name}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          {order === 'random' && (
+            <Grid item xs={4}>
+              <TextField
+                fullWidth
+                label="Seed"
+                type="number"
+                value={seed}
+                onChange={(e) => setSeed(e.target.value)}
+              />
+            </Grid>
+          )}
+        </Grid>
+      </Box>
+
       <Box sx={{ mb: 4 }}>
         <Typography variant="h6" gutterBottom>Memory Blocks</Typography>
         {memoryBlocks.map((block) => (
@@ -99,16 +206,25 @@ const MemoryInput = ({ onSubmit }) => {
         <Typography variant="h6" gutterBottom>Processes</Typography>
         {processes.map((process) => (
           <Grid container spacing={2} key={process.id} sx={{ mb: 1 }}>
-            <Grid item xs={8}>
+            <Grid item xs={5}>
               <TextField
                 fullWidth
                 label={`Process ${process.id} Size`}
                 type="number"
                 value={process.size}
-                onChange={(e) => updateProcess(process.id, e.target.value)}
+                onChange={(e) => updateProcess(process.id, 'size', e.target.value)}
                 InputProps={{ inputProps: { min: 1 } }}
               />
             </Grid>
+            <Grid item xs={3}>
+              <TextField
+                fullWidth
+                label="Priority (optional)"
+                type="number"
+                value={process.priority}
+                onChange={(e) => updateProcess(process.id, 'priority', e.target.value)}
+              />
+            </Grid>
             <Grid item xs={4}>
               <Button 
                 variant="outlined" 
@@ -0,0 +1,197 @@
+/**
+ * Memory Allocation Timeline Simulation
+ *
+ * This file replays a stream of timed allocate/free events against a single
+ * contiguous memory using the following placement policies:
+ * - First Fit
+ * - Next Fit
+ * - Best Fit
+ * - Worst Fit
+ *
+ * Freed regions are coalesced with free neighbours, so the simulation shows
+ * how holes are created and merged over a longer run.
+ */
+
+/**
+ * Supported event types
+ */
+export const TIMELINE_EVENTS = {
+  ARRIVE: 'arrive',
+  DEPART: 'depart'
+};
+
+/**
+ * Hole selection policies
+ * Each policy receives the memory segments, the requested size and the
+ * address where the previous allocation ended, and returns the index of
+ * the chosen free segment or -1 if none fits
+ */
+const selectFirstFit = (segments, size) => {
+  return segments.findIndex(segment => segment.processId === null && segment.size >= size);
+};
+
+const selectNextFit = (segments, size, lastAddress) => {
+  // Start the circular search at the first segment that ends after the roving pointer
+  let start = segments.findIndex(segment => segment.start + segment.size > lastAddress);
+  if (start === -1) start = 0;
+
+  for (let checked = 0; checked < segments.length; checked++) {
+    const j = (start + checked) % segments.length;
+    if (segments[j].processId === null && segments[j].size >= size) {
+      return j;
+    }
+  }
+  return -1;
+};
+
+const selectBestFit = (segments, size) => {
+  let bestIndex = -1;
+  segments.forEach((segment, j) => {
+    if (segment.processId === null && segment.size >= size && (bestIndex === -1 || segment.size < segments[bestIndex].size)) {
+      bestIndex = j;
+    }
+  });
+  return bestIndex;
+};
+
+const selectWorstFit = (segments, size) => {
+  let worstIndex = -1;
+  segments.forEach((segment, j) => {
+    if (segment.processId === null && segment.size >= size && (worstIndex === -1 || segment.size > segments[worstIndex].size)) {
+      worstIndex = j;
+    }
+  });
+  return worstIndex;
+};
+
+const TIMELINE_POLICIES = {
+  firstFit: { name: 'First Fit', select: selectFirstFit },
+  nextFit: { name: 'Next Fit', select: selectNextFit },
+  bestFit: { name: 'Best Fit', select: selectBestFit },
+  worstFit: { name: 'Worst Fit', select: selectWorstFit }
+};
+
+/**
+ * Merges adjacent free segments into a single hole
+ */
+const coalesce = (segments) => {
+  const merged = [];
+
+  for (const segment of segments) {
+    const previous = merged[merged.length - 1];
+    if (previous && previous.processId === null && segment.processId === null) {
+      previous.size += segment.size;
+    } else {
+      merged.push({ ...segment });
+    }
+  }
+
+  return merged;
+};
+
+/**
+ * Sorts events by time, processing departures before arrivals at the same
+ * time step so that freed memory is available to the new arrivals
+ */
+export const sortEvents = (events) => {
+  // Array sort is stable, so events at the same time keep their input order
+  return [...events].sort((a, b) => {
+    if (a.time !== b.time) return a.time - b.time;
+    if (a.type !== b.type) return a.type === TIMELINE_EVENTS.DEPART ? -1 : 1;
+    return 0;
+  });
+};
+
+/**
+ * Replays an event stream with a single placement policy
+ *
+ * @param {number} memorySize - Total size of the contiguous memory
+ * @param {Array} events - Events of the form { time, type, processId, size }
+ * @param {string} policyKey - One of firstFit, nextFit, bestFit, worstFit
+ * @returns {Object} Snapshots of memory after every time step
+ */
+export const simulateTimeline = (memorySize, events, policyKey) => {
+  const policy = TIMELINE_POLICIES[policyKey];
+  let segments = [{ start: 0, size: memorySize, processId: null }];
+  let lastAddress = 0;
+
+  const snapshots = [];
+  const failedAllocations = [];
+  const orderedEvents = sortEvents(events);
+
+  // Group events that happen at the same time step
+  const times = [...new Set(orderedEvents.map(event => event.time))];
+
+  for (const time of times) {
+    const outcomes = [];
+
+    for (const event of orderedEvents.filter(e => e.time === time)) {
+      if (event.type === TIMELINE_EVENTS.ARRIVE) {
+        // A process that is still in memory cannot arrive again before it departs
+        if (segments.some(segment => segment.processId === event.processId)) {
+          outcomes.push({ ...event, success: false, duplicate: true });
+          continue;
+        }
+
+        const j = policy.select(segments, event.size, lastAddress);
+
+        if (j === -1) {
+          failedAllocations.push({ time, processId: event.processId, size: event.size });
+          outcomes.push({ ...event, success: false });
+          continue;
+        }
+
+        // Split the hole into the allocated region and the remaining free space
+        const hole = segments[j];
+        const allocated = { start: hole.start, size: event.size, processId: event.processId };
+        const remainder = hole.size - event.size;
+        segments.splice(j, 1, allocated, ...(remainder > 0
+          ? [{ start: hole.start + event.size, size: remainder, processId: null }]
+          : []));
+
+        lastAddress = allocated.start + allocated.size;
+        outcomes.push({ ...event, success: true, address: allocated.start });
+      } else {
+        const j = segments.findIndex(segment => segment.processId === event.processId);
+
+        // Departure of a process that was never placed has no effect
+        if (j === -1) {
+          outcomes.push({ ...event, success: false });
+          continue;
+        }
+
+        segments[j] = { ...segments[j], processId: null };
+        segments = coalesce(segments);
+        outcomes.push({ ...event, success: true });
+      }
+    }
+
+    const holes = segments.filter(segment => segment.processId === null);
+
+    snapshots.push({
+      time,
+      events: outcomes,
+      segments: segments.map(segment => ({ ...segment })),
+      freeMemory: holes.reduce((sum, hole) => sum + hole.size, 0),
+      largestHole: holes.length > 0 ? Math.max(...holes.map(hole => hole.size)) : 0,
+      holeCount: holes.length
+    });
+  }
+
+  return {
+    algorithm: policy.name,
+    memorySize,
+    snapshots,
+    failedAllocations
+  };
+};
+
+/**
+ * Replay the same event stream with every placement policy
+ */
+export const runTimelineAllAlgorithms = (memorySize, events) => {
+  return Object.keys(TIMELINE_POLICIES).reduce((results, key) => {
+    results[key] = simulateTimeline(memorySize, events, key);
+    return results;
+  }, {});
+};
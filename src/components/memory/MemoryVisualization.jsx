@@ -1,5 +1,5 @@
-import React from 'react';
-import { Paper, Typography, Box, Grid, Divider } from '@mui/material';
+import React, { useState, useEffect } from 'react';
+import { Paper, Typography, Box, Grid, Divider, TextField, MenuItem } from '@mui/material';
 import { Bar } from 'react-chartjs-2';
 import {
   Chart as ChartJS,
@@ -10,6 +10,22 @@ import {
   Tooltip,
   Legend
 } from 'chart.js';
+import { PARTITION_MODES, ALLOCATION_METRICS, getAllocator } from './AllocationAlgorithms';
+import { FRAGMENTATION_DEFINITIONS } from './FragmentationMetrics';
+import { PROCESS_ORDERS } from './ProcessOrdering';
+import BuddyTreeVisualization from './BuddyTreeVisualization';
+import CompactionVisualization from './CompactionVisualization';
+import TraceControls from './TraceControls';
+
+// Delay between trace steps during playback (ms)
+const PLAYBACK_INTERVAL = 800;
+
+// Border colours used to highlight the block examined at a trace step
+const TRACE_COLORS = {
+  skip: '#d32f2f',
+  candidate: '#0288d1',
+  chosen: '#2e7d32'
+};
 
 // Register ChartJS components
 ChartJS.register(
@@ -21,29 +37,79 @@ ChartJS.register(
   Legend
 );
 
-const MemoryVisualization = ({ results }) => {
+const MemoryVisualization = ({ results, orderComparison }) => {
+  // Current trace step per algorithm (undefined shows the final allocation)
+  const [traceSteps, setTraceSteps] = useState({});
+  const [playingKey, setPlayingKey] = useState(null);
+  const [chartMetric, setChartMetric] = useState('averageSearchCost');
+  const [fragmentationDefinition, setFragmentationDefinition] = useState('current');
+  const [sourceResults, setSourceResults] = useState(results);
+  
+  // Reset playback whenever new results arrive
+  if (sourceResults !== results) {
+    setSourceResults(results);
+    setTraceSteps({});
+    setPlayingKey(null);
+  }
+  
+  // Advance the playing trace one step at a time
+  useEffect(() => {
+    if (playingKey === null) return undefined;
+    
+    const lastStep = results[playingKey].trace.length - 1;
+    const timer = setInterval(() => {
+      setTraceSteps(previous => {
+        const current = previous[playingKey];
+        return { ...previous, [playingKey]: current === undefined ? 0 : Math.min(current + 1, lastStep) };
+      });
+    }, PLAYBACK_INTERVAL);
+    
+    return () => clearInterval(timer);
+  }, [playingKey, results]);
+  
+  // Stop playback once the trace reaches its last step
+  useEffect(() => {
+    if (playingKey !== null && traceSteps[playingKey] === results[playingKey].trace.length - 1) {
+      setPlayingKey(null);
+    }
+  }, [playingKey, traceSteps, results]);
+  
   if (!results) return null;
   
-  const { firstFit, nextFit, bestFit, worstFit } = results;
-  const algorithms = [firstFit, nextFit, bestFit, worstFit];
+  // Render whichever allocators produced a result, in the order they ran
+  const keys = Object.keys(results);
+  const algorithms = keys.map(key => results[key]);
+  
+  // External fragmentation under the selected definition
+  const definition = FRAGMENTATION_DEFINITIONS[fragmentationDefinition];
+  const isRatio = definition.unit === '%';
+  const internalTotals = algorithms.map(algo => algo.internalFragmentation.reduce((sum, val) => sum + val, 0));
+  const externalValues = algorithms.map(algo => algo.fragmentation[fragmentationDefinition]);
   
   // Prepare data for fragmentation comparison chart
+  // A ratio cannot be added to memory units, so it is charted on its own
   const fragmentationChartData = {
-    labels: ['First Fit', 'Next Fit', 'Best Fit', 'Worst Fit'],
-    datasets: [
+    labels: algorithms.map(algo => algo.algorithm),
+    datasets: isRatio ? [
+      {
+        label: `External Fragmentation (${definition.label})`,
+        data: externalValues,
+        backgroundColor: 'rgba(255, 99, 132, 0.6)',
+      },
+    ] : [
       {
         label: 'Internal Fragmentation',
-        data: algorithms.map(algo => algo.internalFragmentation.reduce((sum, val) => sum + val, 0)),
+        data: internalTotals,
         backgroundColor: 'rgba(54, 162, 235, 0.6)',
       },
       {
-        label: 'External Fragmentation',
-        data: algorithms.map(algo => algo.externalFragmentation),
+        label: `External Fragmentation (${definition.label})`,
+        data: externalValues,
         backgroundColor: 'rgba(255, 99, 132, 0.6)',
       },
       {
         label: 'Total Fragmentation',
-        data: algorithms.map(algo => algo.totalFragmentation),
+        data: internalTotals.map((internal, index) => internal + externalValues[index]),
         backgroundColor: 'rgba(75, 192, 192, 0.6)',
       },
     ],
@@ -57,7 +123,43 @@ const MemoryVisualization = ({ results }) => {
       },
       title: {
         display: true,
-        text: 'Fragmentation Comparison',
+        text: `Fragmentation Comparison (external: ${definition.label})`,
+      },
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        ...(isRatio ? { max: 100 } : {}),
+        title: {
+          display: true,
+          text: isRatio ? 'External Fragmentation (%)' : 'Memory Units',
+        },
+      },
+    },
+  };
+  
+  // Compare one selectable metric across algorithms
+  const metric = ALLOCATION_METRICS[chartMetric];
+  const metricChartData = {
+    labels: algorithms.map(algo => algo.algorithm),
+    datasets: [
+      {
+        label: `${metric.label} (${metric.unit})`,
+        data: algorithms.map(algo => algo.metrics[chartMetric]),
+        backgroundColor: 'rgba(153, 102, 255, 0.6)',
+      },
+    ],
+  };
+  
+  const metricChartOptions = {
+    responsive: true,
+    plugins: {
+      legend: {
+        position: 'top',
+      },
+      title: {
+        display: true,
+        text: metric.label,
       },
     },
     scales: {
@@ -65,28 +167,110 @@ const MemoryVisualization = ({ results }) => {
         beginAtZero: true,
         title: {
           display: true,
-          text: 'Memory Units',
+          text: metric.unit,
         },
       },
     },
   };
   
+  // Helper function to format a metric value for the table
+  const formatMetric = (key, value) => {
+    const rounded = Number(value.toFixed(2));
+    return ALLOCATION_METRICS[key].unit === '%' ? `${rounded}%` : rounded;
+  };
+  
+  // Helper function to describe how leftover space in a block is counted
+  const describeMode = (algorithm) => {
+    if (algorithm.buddyTrees) {
+      return 'Buddy system: requests are rounded up to a power of two and the rounding is internal fragmentation';
+    }
+    return algorithm.mode === PARTITION_MODES.VARIABLE
+      ? 'Variable partitions: leftover space in a block stays free and counts towards external fragmentation'
+      : 'Fixed partitions: leftover space in an allocated block is internal fragmentation';
+  };
+  
+  // Helper functions to move through the search trace of an algorithm
+  const setTraceStep = (key, step) => {
+    setTraceSteps(previous => ({ ...previous, [key]: step }));
+  };
+  
+  const togglePlayback = (key) => {
+    if (playingKey === key) {
+      setPlayingKey(null);
+      return;
+    }
+    // Restart from the beginning if the trace has already finished
+    if (traceSteps[key] === results[key].trace.length - 1) setTraceStep(key, 0);
+    setPlayingKey(key);
+  };
+  
+  // Helper function to rebuild the allocation as it stood at a trace step
+  const allocationAtStep = (algorithm, processes, step) => {
+    const allocation = processes.map(() => null);
+    algorithm.trace.slice(0, step + 1)
+      .filter(entry => entry.outcome === 'chosen')
+      .forEach(entry => {
+        allocation[processes.findIndex(process => process.id === entry.processId)] = entry.blockIndex;
+      });
+    return allocation;
+  };
+  
   // Helper function to render memory blocks
-  const renderMemoryBlocks = (algorithm, memoryBlocks, processes) => {
+  const renderMemoryBlocks = (key, algorithm, memoryBlocks, processes) => {
+    const allocator = getAllocator(key);
+    const step = traceSteps[key];
+    const traceEntry = step !== undefined ? algorithm.trace[step] : null;
+    const allocation = step !== undefined ? allocationAtStep(algorithm, processes, step) : algorithm.allocation;
+    
     return (
       <Box sx={{ mt: 2 }}>
         <Typography variant="h6" gutterBottom>{algorithm.algorithm} Results</Typography>
+        {allocator && allocator.description && (
+          <Typography variant="body2" gutterBottom>{allocator.description}</Typography>
+        )}
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          {describeMode(algorithm)}
+        </Typography>
+        
+        {/* Allocators registered from outside may not record a search trace */}
+        {algorithm.trace.length > 0 && (
+          <TraceControls
+            trace={algorithm.trace}
+            omitted={algorithm.traceOmitted}
+            step={step}
+            playing={playingKey === key}
+            onStepBack={() => setTraceStep(key, step - 1)}
+            onPlayPause={() => togglePlayback(key)}
+            onStepForward={() => setTraceStep(key, step === undefined ? 0 : step + 1)}
+            onReset={() => {
+              if (playingKey === key) setPlayingKey(null);
+              setTraceStep(key, undefined);
+            }}
+          />
+        )}
         
         <Grid container spacing={2}>
           <Grid item xs={12} md={6}>
             <Typography variant="subtitle1" gutterBottom>Memory Blocks Allocation</Typography>
             <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
               {memoryBlocks.map((block, index) => {
-                // Find which process is allocated to this block
-                const allocatedProcessIndex = algorithm.allocation.findIndex(alloc => alloc === index);
-                const isAllocated = allocatedProcessIndex !== -1;
-                const processId = isAllocated ? processes[allocatedProcessIndex].id : null;
-                const internalFrag = algorithm.internalFragmentation[index];
+                // Find every process allocated to this block (more than one in variable mode)
+                const allocatedProcessIndices = allocation
+                  .map((alloc, processIndex) => (alloc === index ? processIndex : null))
+                  .filter(processIndex => processIndex !== null);
+                const isAllocated = allocatedProcessIndices.length > 0;
+                // Allocators that round requests up report the size actually reserved per process
+                const reservedSize = (processIndex) => (algorithm.allocatedSizes
+                  ? algorithm.allocatedSizes[processIndex]
+                  : processes[processIndex].size);
+                const usedSpace = allocatedProcessIndices.reduce((sum, processIndex) => sum + reservedSize(processIndex), 0);
+                const leftover = block.size - usedSpace;
+                // Leftover space is internal fragmentation only in fixed partitions
+                const isVariable = algorithm.mode !== PARTITION_MODES.FIXED;
+                
+                // Highlight the block examined at the current trace step
+                const isExamined = traceEntry !== null && traceEntry.blockIndex === index;
+                const isPointer = traceEntry !== null && traceEntry.pointer === index;
                 
                 return (
                   <Box 
@@ -95,37 +279,60 @@ const MemoryVisualization = ({ results }) => {
                       height: 50,
                       display: 'flex',
                       position: 'relative',
-                      border: '1px solid #ccc',
+                      border: isExamined ? `3px solid ${TRACE_COLORS[traceEntry.outcome]}` : '1px solid #ccc',
                       borderRadius: 1,
                       overflow: 'hidden',
                     }}
                   >
                     {isAllocated ? (
                       <>
-                        <Box 
-                          sx={{
-                            width: `${((block.size - internalFrag) / block.size) * 100}%`,
-                            bgcolor: 'success.main',
-                            display: 'flex',
-                            alignItems: 'center',
-                            justifyContent: 'center',
-                            color: 'white',
-                          }}
-                        >
-                          P{processId}
-                        </Box>
-                        {internalFrag > 0 && (
+                        {allocatedProcessIndices.map(processIndex => (
                           <Box 
+                            key={`block-${index}-process-${processIndex}`}
                             sx={{
-                              width: `${(internalFrag / block.size) * 100}%`,
-                              bgcolor: 'warning.main',
+                              width: `${(processes[processIndex].size / block.size) * 100}%`,
+                              bgcolor: 'success.main',
+                              borderRight: '1px solid white',
                               display: 'flex',
                               alignItems: 'center',
                               justifyContent: 'center',
                               color: 'white',
                             }}
                           >
-                            {internalFrag}
+                            P{processes[processIndex].id}
+                          </Box>
+                        ))}
+                        {allocatedProcessIndices
+                          .filter(processIndex => reservedSize(processIndex) > processes[processIndex].size)
+                          .map(processIndex => (
+                            <Box 
+                              key={`block-${index}-rounding-${processIndex}`}
+                              sx={{
+                                width: `${((reservedSize(processIndex) - processes[processIndex].size) / block.size) * 100}%`,
+                                bgcolor: 'warning.main',
+                                borderRight: '1px solid white',
+                                display: 'flex',
+                                alignItems: 'center',
+                                justifyContent: 'center',
+                                color: 'white',
+                              }}
+                            >
+                              {reservedSize(processIndex) - processes[processIndex].size}
+                            </Box>
+                          ))}
+                        {leftover > 0 && (
+                          <Box 
+                            sx={{
+                              width: `${(leftover / block.size) * 100}%`,
+                              // Leftover space is a free hole in variable mode, internal fragmentation otherwise
+                              bgcolor: isVariable ? 'grey.300' : 'warning.main',
+                              display: 'flex',
+                              alignItems: 'center',
+                              justifyContent: 'center',
+                              color: isVariable ? 'inherit' : 'white',
+                            }}
+                          >
+                            {isVariable ? `Free (${leftover})` : leftover}
                           </Box>
                         )}
                       </>
@@ -153,7 +360,7 @@ const MemoryVisualization = ({ results }) => {
                         borderRadius: 1,
                       }}
                     >
-                      Block {index} ({block.size})
+                      {isPointer && '▶ pointer · '}Block {index} ({block.size})
                     </Typography>
                   </Box>
                 );
@@ -165,7 +372,7 @@ const MemoryVisualization = ({ results }) => {
             <Typography variant="subtitle1" gutterBottom>Process Allocation Status</Typography>
             <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
               {processes.map((process, index) => {
-                const blockIndex = algorithm.allocation[index];
+                const blockIndex = allocation[index];
                 const isAllocated = blockIndex !== null;
                 
                 return (
@@ -199,12 +406,31 @@ const MemoryVisualization = ({ results }) => {
           <Typography variant="subtitle1">Fragmentation Summary:</Typography>
           <Typography>Internal Fragmentation: {algorithm.internalFragmentation.reduce((sum, val) => sum + val, 0)} units</Typography>
           <Typography>External Fragmentation: {algorithm.externalFragmentation} units</Typography>
+          {fragmentationDefinition !== 'current' && (
+            <Typography>
+              External Fragmentation ({definition.label}): {Number(algorithm.fragmentation[fragmentationDefinition].toFixed(2))}{isRatio ? '%' : ' units'}
+            </Typography>
+          )}
           <Typography>Total Fragmentation: {algorithm.totalFragmentation} units</Typography>
           {algorithm.unallocatedProcesses.length > 0 && (
             <Typography>Unallocated Processes: {algorithm.unallocatedProcesses.join(', ')}</Typography>
           )}
+          {algorithm.blocksExamined && (
+            <Typography>
+              Blocks Examined per Request: {algorithm.blocksExamined.map((count, i) => `P${processes[i].id}: ${count}`).join(', ')}
+            </Typography>
+          )}
         </Box>
         
+        {/* Buddy arenas cannot be compacted, their nodes sit at fixed offsets */}
+        {algorithm.unallocatedProcesses.length > 0 && !algorithm.buddyTrees && (
+          <CompactionVisualization key={`compaction-${algorithm.algorithm}`} result={algorithm} />
+        )}
+        
+        {algorithm.buddyTrees && (
+          <BuddyTreeVisualization trees={algorithm.buddyTrees} memoryBlocks={memoryBlocks} />
+        )}
+        
         <Divider sx={{ my: 3 }} />
       </Box>
     );
@@ -216,14 +442,116 @@ const MemoryVisualization = ({ results }) => {
       
       <Box sx={{ mb: 4 }}>
         <Typography variant="h6" gutterBottom>Fragmentation Comparison</Typography>
+        <TextField
+          select
+          label="External Fragmentation Definition"
+          value={fragmentationDefinition}
+          onChange={(e) => setFragmentationDefinition(e.target.value)}
+          sx={{ minWidth: 300, mb: 2 }}
+        >
+          {Object.entries(FRAGMENTATION_DEFINITIONS).map(([key, option]) => (
+            <MenuItem key={key} value={key}>{option.label}</MenuItem>
+          ))}
+        </TextField>
         <Bar data={fragmentationChartData} options={chartOptions} height={80} />
       </Box>
       
+      {orderComparison && (
+        <Box sx={{ mb: 4, overflowX: 'auto' }}>
+          <Typography variant="h6" gutterBottom>Total Fragmentation by Arrival Order</Typography>
+          <Typography variant="body2" color="text.secondary" gutterBottom>
+            Processes were served {PROCESS_ORDERS[orderComparison.order].toLowerCase()}:
+            {' '}{algorithms[0].processes.map(process => `P${process.id}`).join(', ')}.
+            Each cell shows the total fragmentation and how many processes were placed.
+          </Typography>
+          <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+            <thead>
+              <tr>
+                <th style={{ padding: '8px', textAlign: 'left' }}>Algorithm</th>
+                {Object.keys(orderComparison.comparison).map(order => (
+                  <th key={order} style={{ padding: '8px', textAlign: 'center' }}>{PROCESS_ORDERS[order]}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {keys.filter(key => orderComparison.comparison.given[key]).map(key => (
+                <tr key={`order-${key}`}>
+                  <td style={{ padding: '8px', border: '1px solid #ddd' }}>{results[key].algorithm}</td>
+                  {Object.entries(orderComparison.comparison).map(([order, summaries]) => (
+                    <td
+                      key={order}
+                      style={{
+                        padding: '8px',
+                        textAlign: 'center',
+                        border: '1px solid #ddd',
+                        fontWeight: order === orderComparison.order ? 'bold' : 'normal'
+                      }}
+                    >
+                      {summaries[key].totalFragmentation} units ({summaries[key].allocated}/{results[key].processes.length} placed)
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </Box>
+      )}
+      
+      <Box sx={{ mb: 4, overflowX: 'auto' }}>
+        <Typography variant="h6" gutterBottom>Metrics</Typography>
+        <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+          <thead>
+            <tr>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Algorithm</th>
+              {Object.entries(ALLOCATION_METRICS).map(([key, definition]) => (
+                <th key={key} style={{ padding: '8px', textAlign: 'center' }}>{definition.label}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {keys.map(key => (
+              <tr key={`metrics-${key}`}>
+                <td style={{ padding: '8px', border: '1px solid #ddd' }}>{results[key].algorithm}</td>
+                {Object.keys(ALLOCATION_METRICS).map(metricKey => (
+                  <td
+                    key={metricKey}
+                    style={{
+                      padding: '8px',
+                      textAlign: 'center',
+                      border: '1px solid #ddd',
+                      fontWeight: metricKey === chartMetric ? 'bold' : 'normal'
+                    }}
+                  >
+                    {formatMetric(metricKey, results[key].metrics[metricKey])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </Box>
+      
+      <Box sx={{ mb: 4 }}>
+        <TextField
+          select
+          label="Metric to Compare"
+          value={chartMetric}
+          onChange={(e) => setChartMetric(e.target.value)}
+          sx={{ minWidth: 300, mb: 2 }}
+        >
+          {Object.entries(ALLOCATION_METRICS).map(([key, definition]) => (
+            <MenuItem key={key} value={key}>{definition.label}</MenuItem>
+          ))}
+        </TextField>
+        <Bar data={metricChartData} options={metricChartOptions} height={80} />
+      </Box>
+      
       {/* Render detailed results for each algorithm */}
-      {renderMemoryBlocks(firstFit, firstFit.memoryBlocks, firstFit.processes)}
-      {renderMemoryBlocks(nextFit, nextFit.memoryBlocks, nextFit.processes)}
-      {renderMemoryBlocks(bestFit, bestFit.memoryBlocks, bestFit.processes)}
-      {renderMemoryBlocks(worstFit, worstFit.memoryBlocks, worstFit.processes)}
+      {keys.map(key => (
+        <Box key={`algorithm-${key}`}>
+          {renderMemoryBlocks(key, results[key], results[key].memoryBlocks, results[key].processes)}
+        </Box>
+      ))}
     </Paper>
   );
 };
@@ -0,0 +1,91 @@
+/**
+ * Process Ordering
+ *
+ * The fit algorithms serve processes one after another, so the order in which
+ * requests arrive changes which blocks they land in. This file reorders the
+ * processes before allocation and reruns the allocators under every order to
+ * show how much of the fragmentation is due to the order alone.
+ */
+
+import { runAllAlgorithms } from './AllocationAlgorithms';
+import { createSeededRandom, randomInt } from '../common/SeededRandom';
+
+/**
+ * Supported arrival orders
+ */
+export const PROCESS_ORDERS = {
+  given: 'As Given',
+  largestFirst: 'Largest First',
+  smallestFirst: 'Smallest First',
+  random: 'Random (seeded)',
+  priority: 'By Priority'
+};
+
+/**
+ * Returns the processes in the order they are served
+ * Sorting is stable, so equal sizes or priorities keep their input order.
+ * For the priority order a smaller number is served first and processes
+ * without a priority are served last.
+ *
+ * @param {Array} processes - Processes of the form { id, size, priority }
+ * @param {string} order - Key of PROCESS_ORDERS
+ * @param {number} seed - Seed for the random order
+ * @returns {Array} Reordered copy of the processes
+ */
+export const orderProcesses = (processes, order = 'given', seed = 1) => {
+  const ordered = [...processes];
+
+  if (order === 'largestFirst') {
+    return ordered.sort((a, b) => b.size - a.size);
+  }
+
+  if (order === 'smallestFirst') {
+    return ordered.sort((a, b) => a.size - b.size);
+  }
+
+  if (order === 'priority') {
+    const rank = (process) => (process.priority === null || process.priority === undefined ? Infinity : process.priority);
+    return ordered.sort((a, b) => rank(a) - rank(b));
+  }
+
+  if (order === 'random') {
+    // Fisher-Yates shuffle
+    const random = createSeededRandom(seed);
+    for (let i = ordered.length - 1; i > 0; i--) {
+      const j = randomInt(random, 0, i);
+      [ordered[i], ordered[j]] = [ordered[j], ordered[i]];
+    }
+  }
+
+  return ordered;
+};
+
+/**
+ * Runs the selected allocators under every arrival order
+ *
+ * @param {Array} memoryBlocks - Array of memory blocks with sizes
+ * @param {Array} processes - Processes in input order
+ * @param {string} mode - Partitioning mode
+ * @param {Array} keys - Allocator keys to run
+ * @param {number} seed - Seed for the random order
+ * @returns {Object} Per order, per allocator key: { totalFragmentation, externalFragmentation, allocated }
+ */
+export const compareProcessOrders = (memoryBlocks, processes, mode, keys, seed = 1) => {
+  // Ordering by priority only means something if some process has one
+  const orders = Object.keys(PROCESS_ORDERS).filter(order =>
+    order !== 'priority' || processes.some(process => process.priority !== null && process.priority !== undefined)
+  );
+
+  return orders.reduce((comparison, order) => {
+    const results = runAllAlgorithms(memoryBlocks, orderProcesses(processes, order, seed), mode, keys);
+    comparison[order] = Object.keys(results).reduce((summary, key) => {
+      summary[key] = {
+        totalFragmentation: results[key].totalFragmentation,
+        externalFragmentation: results[key].externalFragmentation,
+        allocated: results[key].allocation.filter(blockIndex => blockIndex !== null).length
+      };
+      return summary;
+    }, {});
+    return comparison;
+  }, {});
+};
@@ -0,0 +1,134 @@
+/**
+ * Segmentation Implementation
+ *
+ * This file places the named segments of each process (code, data, stack, ...)
+ * into physical memory and translates (segment, offset) addresses through a
+ * segment table with base and limit registers.
+ *
+ * Placement reuses the fit algorithms in variable-partition mode, so several
+ * segments can share a hole and the leftover space stays free.
+ */
+
+import { firstFit, bestFit, worstFit, PARTITION_MODES } from './AllocationAlgorithms';
+
+/**
+ * Placement policies available for segments
+ */
+export const SEGMENT_POLICIES = {
+  firstFit: { name: 'First Fit', place: firstFit },
+  bestFit: { name: 'Best Fit', place: bestFit },
+  worstFit: { name: 'Worst Fit', place: worstFit }
+};
+
+/**
+ * Places every segment into memory and builds the segment tables
+ *
+ * @param {Array} memoryBlocks - Free holes of the form { id, size }, laid out in address order
+ * @param {Array} processes - Processes of the form { id, segments: [{ name, size }] }
+ * @param {string} policyKey - One of firstFit, bestFit, worstFit
+ * @returns {Object} Segment tables, placements per block and unplaced segments
+ */
+export const placeSegments = (memoryBlocks, processes, policyKey) => {
+  const policy = SEGMENT_POLICIES[policyKey];
+
+  // Every segment is placed like an independent process
+  const segments = processes.flatMap(process =>
+    process.segments.map((segment, number) => ({
+      id: `P${process.id}:${segment.name}`,
+      processId: process.id,
+      number,
+      name: segment.name,
+      size: segment.size
+    }))
+  );
+
+  const result = policy.place(memoryBlocks, segments, PARTITION_MODES.VARIABLE);
+
+  // Blocks are laid out back to back, so each block starts after the previous ones
+  const blockStarts = memoryBlocks.map((_, j) =>
+    memoryBlocks.slice(0, j).reduce((sum, block) => sum + block.size, 0)
+  );
+
+  // Segments in the same block are placed one after another in allocation order
+  const nextFree = [...blockStarts];
+  const placements = segments.map((segment, index) => {
+    const blockIndex = result.allocation[index];
+    if (blockIndex === null) return { ...segment, blockIndex, base: null };
+
+    const base = nextFree[blockIndex];
+    nextFree[blockIndex] += segment.size;
+    return { ...segment, blockIndex, base };
+  });
+
+  const segmentTables = {};
+  processes.forEach(process => {
+    segmentTables[process.id] = placements
+      .filter(placement => placement.processId === process.id)
+      .map(placement => ({
+        number: placement.number,
+        name: placement.name,
+        base: placement.base,
+        limit: placement.size
+      }));
+  });
+
+  return {
+    algorithm: policy.name,
+    memoryBlocks,
+    blockStarts,
+    processes,
+    placements,
+    segmentTables,
+    remainingSpace: result.remainingSpace,
+    externalFragmentation: result.externalFragmentation,
+    unplacedSegments: placements.filter(placement => placement.base === null).map(placement => placement.id)
+  };
+};
+
+/**
+ * Translates a (segment, offset) logical address into a physical address
+ *
+ * @param {Object} segmentation - Result of placeSegments
+ * @param {number} processId - ID of the process issuing the address
+ * @param {number} segmentNumber - Segment number in the process's segment table
+ * @param {number} offset - Offset within the segment
+ * @returns {Object} Base, limit and physical address, or the reason for a trap
+ */
+export const translateSegmentAddress = (segmentation, processId, segmentNumber, offset) => {
+  const table = segmentation.segmentTables[processId];
+  const entry = table ? table[segmentNumber] : undefined;
+
+  if (!entry) {
+    return {
+      valid: false,
+      trap: true,
+      reason: `Trap: process ${processId} has no segment ${segmentNumber}`
+    };
+  }
+
+  if (entry.base === null) {
+    return {
+      valid: false,
+      trap: false,
+      reason: `Segment ${segmentNumber} (${entry.name}) of process ${processId} could not be placed in memory`
+    };
+  }
+
+  // The limit register bounds every access to the segment
+  if (offset < 0 || offset >= entry.limit) {
+    return {
+      valid: false,
+      trap: true,
+      base: entry.base,
+      limit: entry.limit,
+      reason: `Trap: offset ${offset} exceeds the limit ${entry.limit} of segment ${segmentNumber} (${entry.name})`
+    };
+  }
+
+  return {
+    valid: true,
+    base: entry.base,
+    limit: entry.limit,
+    physicalAddress: entry.base + offset
+  };
+};
@@ -0,0 +1,223 @@
+import React, { useState } from 'react';
+import { TextField, Button, Grid, Typography, Paper, Box, MenuItem, IconButton } from '@mui/material';
+import { Add as AddIcon, Remove as RemoveIcon } from '@mui/icons-material';
+import { SEGMENT_POLICIES } from './Segmentation';
+
+// New processes start with the classic three segments
+const defaultSegments = () => [
+  { name: 'code', size: '' },
+  { name: 'data', size: '' },
+  { name: 'stack', size: '' }
+];
+
+const SegmentationInput = ({ onSubmit }) => {
+  const [memoryBlocks, setMemoryBlocks] = useState([{ id: 1, size: '' }]);
+  const [processes, setProcesses] = useState([{ id: 1, segments: defaultSegments() }]);
+  const [policy, setPolicy] = useState('firstFit');
+
+  const addMemoryBlock = () => {
+    const newId = memoryBlocks.length > 0 ? Math.max(...memoryBlocks.map(block => block.id)) + 1 : 1;
+    setMemoryBlocks([...memoryBlocks, { id: newId, size: '' }]);
+  };
+
+  const removeMemoryBlock = (id) => {
+    if (memoryBlocks.length > 1) {
+      setMemoryBlocks(memoryBlocks.filter(block => block.id !== id));
+    }
+  };
+
+  const updateMemoryBlock = (id, size) => {
+    setMemoryBlocks(memoryBlocks.map(block =>
+      block.id === id ? { ...block, size: size } : block
+    ));
+  };
+
+  const addProcess = () => {
+    const newId = processes.length > 0 ? Math.max(...processes.map(process => process.id)) + 1 : 1;
+    setProcesses([...processes, { id: newId, segments: defaultSegments() }]);
+  };
+
+  const removeProcess = (id) => {
+    if (processes.length > 1) {
+      setProcesses(processes.filter(process => process.id !== id));
+    }
+  };
+
+  const addSegment = (processId) => {
+    setProcesses(processes.map(process =>
+      process.id === processId
+        ? { ...process, segments: [...process.segments, { name: '', size: '' }] }
+        : process
+    ));
+  };
+
+  const removeSegment = (processId, segmentIndex) => {
+    setProcesses(processes.map(process =>
+      process.id === processId && process.segments.length > 1
+        ? { ...process, segments: process.segments.filter((_, index) => index !== segmentIndex) }
+        : process
+    ));
+  };
+
+  const updateSegment = (processId, segmentIndex, field, value) => {
+    setProcesses(processes.map(process =>
+      process.id === processId
+        ? {
+          ...process,
+          segments: process.segments.map((segment, index) =>
+            index === segmentIndex ? { ...segment, [field]: value } : segment
+          )
+        }
+        : process
+    ));
+  };
+
+  const handleSubmit = () => {
+    // Validate inputs
+    const validMemoryBlocks = memoryBlocks
+      .filter(block => block.size !== '')
+      .map(block => ({ ...block, size: parseInt(block.size) }));
+
+    const validProcesses = processes
+      .map(process => ({
+        id: process.id,
+        segments: process.segments
+          .filter(segment => segment.name.trim() !== '' && segment.size !== '')
+          .map(segment => ({ name: segment.name.trim(), size: parseInt(segment.size) }))
+      }))
+      .filter(process => process.segments.length > 0);
+
+    if (validMemoryBlocks.length === 0 || validProcesses.length === 0) {
+      alert('Please enter at least one memory block and one process with a named segment');
+      return;
+    }
+
+    onSubmit({
+      memoryBlocks: validMemoryBlocks,
+      processes: validProcesses,
+      policy
+    });
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h5" gutterBottom>Segmentation Input</Typography>
+
+      <Box sx={{ mb: 4 }}>
+        <TextField
+          select
+          fullWidth
+          label="Placement Policy"
+          value={policy}
+          onChange={(e) => setPolicy(e.target.value)}
+        >
+          {Object.entries(SEGMENT_POLICIES).map(([key, { name }]) => (
+            <MenuItem key={key} value={key}>{name}</MenuItem>
+          ))}
+        </TextField>
+      </Box>
+
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h6" gutterBottom>Memory Blocks (Free Holes)</Typography>
+        {memoryBlocks.map((block) => (
+          <Grid container spacing={2} key={block.id} sx={{ mb: 1 }}>
+            <Grid item xs={8}>
+              <TextField
+                fullWidth
+                label={`Block ${block.id} Size`}
+                type="number"
+                value={block.size}
+                onChange={(e) => updateMemoryBlock(block.id, e.target.value)}
+                InputProps={{ inputProps: { min: 1 } }}
+              />
+            </Grid>
+            <Grid item xs={4}>
+              <Button
+                variant="outlined"
+                color="error"
+                onClick={() => removeMemoryBlock(block.id)}
+                disabled={memoryBlocks.length <= 1}
+              >
+                Remove
+              </Button>
+            </Grid>
+          </Grid>
+        ))}
+        <Button variant="contained" color="primary" onClick={addMemoryBlock} sx={{ mt: 1 }}>
+          Add Memory Block
+        </Button>
+      </Box>
+
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h6" gutterBottom>Processes and Segments</Typography>
+        {processes.map((process) => (
+          <Box key={process.id} sx={{ mb: 2, p: 2, border: '1px solid #e0e0e0', borderRadius: 1 }}>
+            <Box sx={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', mb: 1 }}>
+              <Typography variant="subtitle1">Process {process.id}</Typography>
+              <Button
+                variant="outlined"
+                color="error"
+                size="small"
+                onClick={() => removeProcess(process.id)}
+                disabled={processes.length <= 1}
+              >
+                Remove Process
+              </Button>
+            </Box>
+            {process.segments.map((segment, segmentIndex) => (
+              <Grid container spacing={2} key={`segment-${process.id}-${segmentIndex}`} sx={{ mb: 1 }} alignItems="center">
+                <Grid item xs={5}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label={`Segment ${segmentIndex} Name`}
+                    value={segment.name}
+                    onChange={(e) => updateSegment(process.id, segmentIndex, 'name', e.target.value)}
+                  />
+                </Grid>
+                <Grid item xs={5}>
+                  <TextField
+                    fullWidth
+                    size="small"
+                    label="Size"
+                    type="number"
+                    value={segment.size}
+                    onChange={(e) => updateSegment(process.id, segmentIndex, 'size', e.target.value)}
+                    InputProps={{ inputProps: { min: 1 } }}
+                  />
+                </Grid>
+                <Grid item xs={2}>
+                  <IconButton
+                    color="error"
+                    onClick={() => removeSegment(process.id, segmentIndex)}
+                    disabled={process.segments.length <= 1}
+                  >
+                    <RemoveIcon />
+                  </IconButton>
+                </Grid>
+              </Grid>
+            ))}
+            <Button size="small" startIcon={<AddIcon />} onClick={() => addSegment(process.id)}>
+              Add Segment
+            </Button>
+          </Box>
+        ))}
+        <Button variant="contained" color="primary" onClick={addProcess} sx={{ mt: 1 }}>
+          Add Process
+        </Button>
+      </Box>
+
+      <Button
+        variant="contained"
+        color="success"
+        onClick={handleSubmit}
+        fullWidth
+        sx={{ mt: 2 }}
+      >
+        Place Segments
+      </Button>
+    </Paper>
+  );
+};
+
+export default SegmentationInput;
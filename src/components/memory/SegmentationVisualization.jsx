@@ -0,0 +1,244 @@
+import React, { useState } from 'react';
+import { Paper, Typography, Box, Grid, Divider, TextField, Button, MenuItem, Alert, Chip } from '@mui/material';
+import { translateSegmentAddress } from './Segmentation';
+
+// Colours used to tell processes apart in physical memory
+const PROCESS_COLORS = ['#1976d2', '#388e3c', '#f57c00', '#7b1fa2', '#c2185b', '#0097a7', '#5d4037', '#455a64'];
+
+const SegmentationVisualization = ({ results }) => {
+  const [processId, setProcessId] = useState('');
+  const [segmentNumber, setSegmentNumber] = useState('');
+  const [offset, setOffset] = useState('');
+  const [translation, setTranslation] = useState(null);
+  const [sourceResults, setSourceResults] = useState(results);
+
+  // Clear the previous translation whenever new segment tables arrive
+  if (sourceResults !== results) {
+    setSourceResults(results);
+    setProcessId('');
+    setSegmentNumber('');
+    setTranslation(null);
+  }
+
+  if (!results) return null;
+
+  const { memoryBlocks, blockStarts, processes, placements, segmentTables, remainingSpace } = results;
+
+  const colorFor = (id) => PROCESS_COLORS[processes.findIndex(p => p.id === id) % PROCESS_COLORS.length];
+
+  const handleTranslate = () => {
+    if (processId === '' || segmentNumber === '' || offset === '') return;
+    setTranslation({
+      processId,
+      segmentNumber,
+      offset: parseInt(offset),
+      ...translateSegmentAddress(results, processId, segmentNumber, parseInt(offset))
+    });
+  };
+
+  // Helper function to render physical memory block by block
+  const renderMemory = () => {
+    return (
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h6" gutterBottom>Physical Memory</Typography>
+        <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+          {memoryBlocks.map((block, index) => {
+            const blockSegments = placements
+              .filter(placement => placement.blockIndex === index)
+              .sort((a, b) => a.base - b.base);
+
+            return (
+              <Box
+                key={`block-${index}`}
+                sx={{
+                  height: 50,
+                  display: 'flex',
+                  position: 'relative',
+                  border: '1px solid #ccc',
+                  borderRadius: 1,
+                  overflow: 'hidden',
+                }}
+              >
+                {blockSegments.map(placement => {
+                  const isTranslated = translation && translation.processId === placement.processId &&
+                    translation.segmentNumber === placement.number;
+                  return (
+                    <Box
+                      key={`segment-${placement.id}`}
+                      title={`Base ${placement.base}, limit ${placement.size}`}
+                      sx={{
+                        width: `${(placement.size / block.size) * 100}%`,
+                        bgcolor: colorFor(placement.processId),
+                        color: 'white',
+                        border: isTranslated ? '3px solid' : 'none',
+                        borderColor: translation && translation.trap ? 'error.main' : 'warning.light',
+                        borderRight: '1px solid white',
+                        display: 'flex',
+                        alignItems: 'center',
+                        justifyContent: 'center',
+                        overflow: 'hidden',
+                        whiteSpace: 'nowrap',
+                      }}
+                    >
+                      P{placement.processId} {placement.name}
+                    </Box>
+                  );
+                })}
+                {remainingSpace[index] > 0 && (
+                  <Box
+                    sx={{
+                      width: `${(remainingSpace[index] / block.size) * 100}%`,
+                      bgcolor: 'grey.300',
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'center',
+                    }}
+                  >
+                    Free ({remainingSpace[index]})
+                  </Box>
+                )}
+                <Typography
+                  variant="caption"
+                  sx={{
+                    position: 'absolute',
+                    top: 0,
+                    right: 2,
+                    bgcolor: 'rgba(255,255,255,0.7)',
+                    px: 0.5,
+                    borderRadius: 1,
+                  }}
+                >
+                  Block {index} ({blockStarts[index]}-{blockStarts[index] + block.size - 1})
+                </Typography>
+              </Box>
+            );
+          })}
+        </Box>
+      </Box>
+    );
+  };
+
+  // Helper function to render the segment table of a process
+  const renderSegmentTable = (process) => {
+    return (
+      <Grid item xs={12} sm={6} md={4} key={`segment-table-${process.id}`}>
+        <Typography variant="subtitle1" gutterBottom>Process {process.id}</Typography>
+        <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+          <thead>
+            <tr>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Segment</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Base</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Limit</th>
+            </tr>
+          </thead>
+          <tbody>
+            {segmentTables[process.id].map(entry => (
+              <tr key={`entry-${process.id}-${entry.number}`}>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>
+                  {entry.number} ({entry.name})
+                </td>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>
+                  {entry.base !== null ? entry.base : 'Not placed'}
+                </td>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{entry.limit}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </Grid>
+    );
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Typography variant="h5" gutterBottom>Segmentation Results ({results.algorithm})</Typography>
+
+      {renderMemory()}
+
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h6" gutterBottom>Segment Tables</Typography>
+        <Grid container spacing={3}>
+          {processes.map(process => renderSegmentTable(process))}
+        </Grid>
+      </Box>
+
+      <Box sx={{ mb: 4 }}>
+        <Typography>External Fragmentation: {results.externalFragmentation} units</Typography>
+        {results.unplacedSegments.length > 0 && (
+          <Typography>Unplaced Segments: {results.unplacedSegments.join(', ')}</Typography>
+        )}
+      </Box>
+
+      <Divider sx={{ my: 3 }} />
+
+      <Box>
+        <Typography variant="h6" gutterBottom>Address Translation (segment, offset)</Typography>
+        <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+          <Grid item xs={12} sm={3}>
+            <TextField
+              select
+              fullWidth
+              label="Process"
+              value={processId}
+              onChange={(e) => {
+                setProcessId(e.target.value);
+                setSegmentNumber('');
+              }}
+            >
+              {processes.map(process => (
+                <MenuItem key={process.id} value={process.id}>Process {process.id}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={3}>
+            <TextField
+              select
+              fullWidth
+              label="Segment"
+              value={segmentNumber}
+              onChange={(e) => setSegmentNumber(e.target.value)}
+              disabled={processId === ''}
+            >
+              {(segmentTables[processId] || []).map(entry => (
+                <MenuItem key={entry.number} value={entry.number}>{entry.number} ({entry.name})</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={3}>
+            <TextField
+              fullWidth
+              label="Offset"
+              type="number"
+              value={offset}
+              onChange={(e) => setOffset(e.target.value)}
+              InputProps={{ inputProps: { min: 0 } }}
+            />
+          </Grid>
+          <Grid item xs={12} sm={3}>
+            <Button variant="contained" onClick={handleTranslate} fullWidth>
+              Translate
+            </Button>
+          </Grid>
+        </Grid>
+
+        {translation && !translation.valid && (
+          <Alert severity={translation.trap ? 'error' : 'warning'}>{translation.reason}</Alert>
+        )}
+
+        {translation && translation.valid && (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            <Chip label={`Base: ${translation.base}`} color="primary" variant="outlined" />
+            <Chip label={`Limit: ${translation.limit}`} color="primary" variant="outlined" />
+            <Chip label={`${translation.offset} < ${translation.limit}, within bounds`} color="primary" variant="outlined" />
+            <Chip
+              label={`Physical Address: ${translation.base} + ${translation.offset} = ${translation.physicalAddress}`}
+              color="success"
+            />
+          </Box>
+        )}
+      </Box>
+    </Paper>
+  );
+};
+
+export default SegmentationVisualization;
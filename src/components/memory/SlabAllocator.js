@@ -0,0 +1,174 @@
+/**
+ * Slab Allocator Simulation
+ *
+ * This file simulates a slab allocator as used by operating system kernels.
+ * Each object cache (for example "inode, 128 B") owns a list of slabs. A slab
+ * is a fixed-size chunk of memory carved into equally sized objects and is
+ * either full, partial or empty.
+ */
+
+/**
+ * Supported operation types
+ */
+export const SLAB_OPERATIONS = {
+  ALLOC: 'alloc',
+  FREE: 'free'
+};
+
+/**
+ * Slab states
+ */
+export const SLAB_STATES = {
+  FULL: 'full',
+  PARTIAL: 'partial',
+  EMPTY: 'empty'
+};
+
+/**
+ * Derives the state of a slab from its used object count
+ */
+const getSlabState = (slab) => {
+  const used = slab.objects.filter(object => object !== null).length;
+  if (used === 0) return SLAB_STATES.EMPTY;
+  if (used === slab.objects.length) return SLAB_STATES.FULL;
+  return SLAB_STATES.PARTIAL;
+};
+
+/**
+ * Allocates one object from a cache
+ * Partial slabs are used first, then empty slabs, and a new slab is created
+ * only when every existing slab is full. Mutates the cache.
+ */
+const allocateObject = (cache) => {
+  let slab = cache.slabs.find(s => s.state === SLAB_STATES.PARTIAL) ||
+    cache.slabs.find(s => s.state === SLAB_STATES.EMPTY);
+  let createdSlab = false;
+
+  if (!slab) {
+    slab = {
+      id: cache.slabs.length,
+      objects: Array(cache.objectsPerSlab).fill(null),
+      state: SLAB_STATES.EMPTY
+    };
+    cache.slabs.push(slab);
+    createdSlab = true;
+  }
+
+  const slot = slab.objects.indexOf(null);
+  cache.nextObjectNumber++;
+  slab.objects[slot] = cache.nextObjectNumber;
+  slab.state = getSlabState(slab);
+
+  return { objectNumber: cache.nextObjectNumber, slabId: slab.id, slot, createdSlab };
+};
+
+/**
+ * Frees an object from a cache by its object number. Mutates the cache.
+ */
+const freeObject = (cache, objectNumber) => {
+  for (const slab of cache.slabs) {
+    const slot = slab.objects.indexOf(objectNumber);
+    if (slot !== -1) {
+      slab.objects[slot] = null;
+      slab.state = getSlabState(slab);
+      return { slabId: slab.id, slot };
+    }
+  }
+  return null;
+};
+
+/**
+ * Run the slab allocator simulation
+ *
+ * @param {number} slabSize - Size of every slab in bytes
+ * @param {Array} caches - Object caches of the form { name, objectSize }
+ * @param {Array} operations - Operations of the form { type, cacheName, count } for
+ *   allocations and { type, cacheName, objectNumber } for frees
+ * @returns {Object} Final cache state and a log of every operation
+ */
+export const runSlabAllocator = (slabSize, caches, operations) => {
+  const cacheState = caches.map(cache => ({
+    name: cache.name,
+    objectSize: cache.objectSize,
+    // Object sizes below 1 B would give infinitely many (or negative) objects per slab
+    objectsPerSlab: cache.objectSize >= 1 ? Math.floor(slabSize / cache.objectSize) : 0,
+    nextObjectNumber: 0,
+    slabs: []
+  }));
+
+  const log = [];
+
+  for (const operation of operations) {
+    const cache = cacheState.find(c => c.name === operation.cacheName);
+
+    if (!cache || !(cache.objectsPerSlab >= 1)) {
+      let message = `Unknown cache "${operation.cacheName}"`;
+      if (cache) {
+        message = cache.objectSize >= 1
+          ? `Objects of ${cache.objectSize} B do not fit in a ${slabSize} B slab`
+          : `Object size ${cache.objectSize} B is invalid, objects need at least 1 B`;
+      }
+      log.push({
+        ...operation,
+        success: false,
+        message
+      });
+      continue;
+    }
+
+    if (operation.type === SLAB_OPERATIONS.ALLOC) {
+      for (let n = 0; n < operation.count; n++) {
+        const result = allocateObject(cache);
+        log.push({
+          type: operation.type,
+          cacheName: cache.name,
+          objectNumber: result.objectNumber,
+          success: true,
+          message: `${cache.name}#${result.objectNumber} placed in slab ${result.slabId} slot ${result.slot}` +
+            (result.createdSlab ? ' (new slab created)' : '')
+        });
+      }
+    } else {
+      const result = freeObject(cache, operation.objectNumber);
+      log.push({
+        ...operation,
+        success: result !== null,
+        message: result !== null
+          ? `${cache.name}#${operation.objectNumber} freed from slab ${result.slabId} slot ${result.slot}`
+          : `${cache.name}#${operation.objectNumber} is not allocated`
+      });
+    }
+  }
+
+  // Summarise utilisation for every cache
+  const cacheResults = cacheState.map(cache => {
+    const usedObjects = cache.slabs.reduce(
+      (sum, slab) => sum + slab.objects.filter(object => object !== null).length, 0
+    );
+    const totalMemory = cache.slabs.length * slabSize;
+
+    return {
+      name: cache.name,
+      objectSize: cache.objectSize,
+      objectsPerSlab: cache.objectsPerSlab,
+      // Bytes at the end of every slab that are too small for another object
+      wastePerSlab: cache.objectsPerSlab >= 1 ? slabSize - cache.objectsPerSlab * cache.objectSize : slabSize,
+      slabs: cache.slabs,
+      usedObjects,
+      totalMemory,
+      usedMemory: usedObjects * cache.objectSize,
+      utilisation: totalMemory > 0 ? (usedObjects * cache.objectSize) / totalMemory : 0,
+      slabCounts: {
+        [SLAB_STATES.FULL]: cache.slabs.filter(slab => slab.state === SLAB_STATES.FULL).length,
+        [SLAB_STATES.PARTIAL]: cache.slabs.filter(slab => slab.state === SLAB_STATES.PARTIAL).length,
+        [SLAB_STATES.EMPTY]: cache.slabs.filter(slab => slab.state === SLAB_STATES.EMPTY).length
+      }
+    };
+  });
+
+  return {
+    slabSize,
+    caches: cacheResults,
+    log
+  };
+};
@@ -0,0 +1,210 @@
+import React, { useState } from 'react';
+import { TextField, Button, Grid, Typography, Paper, Box, MenuItem } from '@mui/material';
+import { SLAB_OPERATIONS } from './SlabAllocator';
+
+const SlabInput = ({ onSubmit }) => {
+  const [slabSize, setSlabSize] = useState('4096');
+  const [caches, setCaches] = useState([
+    { id: 1, name: 'inode', objectSize: '128' },
+    { id: 2, name: 'dentry', objectSize: '192' }
+  ]);
+  const [operations, setOperations] = useState([
+    { id: 1, type: SLAB_OPERATIONS.ALLOC, cacheName: 'inode', value: '' }
+  ]);
+
+  const addCache = () => {
+    const newId = caches.length > 0 ? Math.max(...caches.map(cache => cache.id)) + 1 : 1;
+    setCaches([...caches, { id: newId, name: '', objectSize: '' }]);
+  };
+
+  const removeCache = (id) => {
+    if (caches.length > 1) {
+      setCaches(caches.filter(cache => cache.id !== id));
+    }
+  };
+
+  const updateCache = (id, field, value) => {
+    setCaches(caches.map(cache =>
+      cache.id === id ? { ...cache, [field]: value } : cache
+    ));
+  };
+
+  const addOperation = () => {
+    const newId = operations.length > 0 ? Math.max(...operations.map(operation => operation.id)) + 1 : 1;
+    const cacheName = caches.length > 0 ? caches[0].name : '';
+    setOperations([...operations, { id: newId, type: SLAB_OPERATIONS.ALLOC, cacheName, value: '' }]);
+  };
+
+  const removeOperation = (id) => {
+    if (operations.length > 1) {
+      setOperations(operations.filter(operation => operation.id !== id));
+    }
+  };
+
+  const updateOperation = (id, field, value) => {
+    setOperations(operations.map(operation =>
+      operation.id === id ? { ...operation, [field]: value } : operation
+    ));
+  };
+
+  const handleSubmit = () => {
+    const validSlabSize = parseInt(slabSize);
+
+    const validCaches = caches
+      .filter(cache => cache.name.trim() !== '' && cache.objectSize !== '')
+      .map(cache => ({ name: cache.name.trim(), objectSize: parseInt(cache.objectSize) }));
+
+    // The value is an object count for allocations and an object number for frees
+    const validOperations = operations
+      .filter(operation => operation.cacheName !== '' && operation.value !== '')
+      .map(operation => (operation.type === SLAB_OPERATIONS.ALLOC
+        ? { type: operation.type, cacheName: operation.cacheName, count: parseInt(operation.value) }
+        : { type: operation.type, cacheName: operation.cacheName, objectNumber: parseInt(operation.value) }));
+
+    if (!validSlabSize || validSlabSize < 1 || validCaches.length === 0 || validOperations.length === 0) {
+      alert('Please enter the slab size, at least one cache and at least one operation');
+      return;
+    }
+
+    const invalidCache = validCaches.find(cache => !(cache.objectSize >= 1));
+    if (invalidCache) {
+      alert(`The object size of cache "${invalidCache.name}" must be at least 1 byte`);
+      return;
+    }
+
+    onSubmit({
+      slabSize: validSlabSize,
+      caches: validCaches,
+      operations: validOperations
+    });
+  };
+
+  const cacheNames = caches.map(cache => cache.name.trim()).filter(name => name !== '');
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h5" gutterBottom>Slab Allocator Input</Typography>
+
+      <Box sx={{ mb: 4 }}>
+        <TextField
+          fullWidth
+          label="Slab Size (B)"
+          type="number"
+          value={slabSize}
+          onChange={(e) => setSlabSize(e.target.value)}
+          InputProps={{ inputProps: { min: 1 } }}
+        />
+      </Box>
+
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h6" gutterBottom>Object Caches</Typography>
+        {caches.map((cache) => (
+          <Grid container spacing={2} key={cache.id} sx={{ mb: 1 }}>
+            <Grid item xs={6} sm={5}>
+              <TextField
+                fullWidth
+                label="Cache Name"
+                value={cache.name}
+                onChange={(e) => updateCache(cache.id, 'name', e.target.value)}
+              />
+            </Grid>
+            <Grid item xs={6} sm={4}>
+              <TextField
+                fullWidth
+                label="Object Size (B)"
+                type="number"
+                value={cache.objectSize}
+                onChange={(e) => updateCache(cache.id, 'objectSize', e.target.value)}
+                InputProps={{ inputProps: { min: 1 } }}
+              />
+            </Grid>
+            <Grid item xs={12} sm={3}>
+              <Button
+                variant="outlined"
+                color="error"
+                onClick={() => removeCache(cache.id)}
+                disabled={caches.length <= 1}
+              >
+                Remove
+              </Button>
+            </Grid>
+          </Grid>
+        ))}
+        <Button variant="contained" color="primary" onClick={addCache} sx={{ mt: 1 }}>
+          Add Cache
+        </Button>
+      </Box>
+
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h6" gutterBottom>Operations</Typography>
+        <Typography variant="body2" color="text.secondary" gutterBottom>
+          Objects are numbered per cache in allocation order, so the third inode allocated is inode#3.
+        </Typography>
+        {operations.map((operation) => (
+          <Grid container spacing={2} key={operation.id} sx={{ mb: 1 }}>
+            <Grid item xs={6} sm={3}>
+              <TextField
+                select
+                fullWidth
+                label="Operation"
+                value={operation.type}
+                onChange={(e) => updateOperation(operation.id, 'type', e.target.value)}
+              >
+                <MenuItem value={SLAB_OPERATIONS.ALLOC}>Allocate</MenuItem>
+                <MenuItem value={SLAB_OPERATIONS.FREE}>Free</MenuItem>
+              </TextField>
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <TextField
+                select
+                fullWidth
+                label="Cache"
+                value={cacheNames.includes(operation.cacheName) ? operation.cacheName : ''}
+                onChange={(e) => updateOperation(operation.id, 'cacheName', e.target.value)}
+              >
+                {cacheNames.map(name => (
+                  <MenuItem key={name} value={name}>{name}</MenuItem>
+                ))}
+              </TextField>
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <TextField
+                fullWidth
+                label={operation.type === SLAB_OPERATIONS.ALLOC ? 'Object Count' : 'Object Number'}
+                type="number"
+                value={operation.value}
+                onChange={(e) => updateOperation(operation.id, 'value', e.target.value)}
+                InputProps={{ inputProps: { min: 1 } }}
+              />
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <Button
+                variant="outlined"
+                color="error"
+                onClick={() => removeOperation(operation.id)}
+                disabled={operations.length <= 1}
+              >
+                Remove
+              </Button>
+            </Grid>
+          </Grid>
+        ))}
+        <Button variant="contained" color="primary" onClick={addOperation} sx={{ mt: 1 }}>
+          Add Operation
+        </Button>
+      </Box>
+
+      <Button
+        variant="contained"
+        color="success"
+        onClick={handleSubmit}
+        fullWidth
+        sx={{ mt: 2 }}
+      >
+        Run Slab Allocator
+      </Button>
+    </Paper>
+  );
+};
+
+export default SlabInput;
@@ -0,0 +1,147 @@
+import React from 'react';
+import { Paper, Typography, Box, Grid, Divider, Chip, LinearProgress } from '@mui/material';
+import { SLAB_STATES } from './SlabAllocator';
+
+// Chip colours used for the three slab states
+const STATE_COLORS = {
+  [SLAB_STATES.FULL]: 'error',
+  [SLAB_STATES.PARTIAL]: 'warning',
+  [SLAB_STATES.EMPTY]: 'default'
+};
+
+const SlabVisualization = ({ results }) => {
+  if (!results) return null;
+
+  const { slabSize, caches, log } = results;
+
+  // Helper function to render one slab as a row of object slots
+  const renderSlab = (cache, slab) => {
+    return (
+      <Box key={`slab-${cache.name}-${slab.id}`} sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <Chip
+          label={`Slab ${slab.id}: ${slab.state}`}
+          color={STATE_COLORS[slab.state]}
+          size="small"
+          sx={{ width: 130 }}
+        />
+        <Box
+          sx={{
+            flex: 1,
+            height: 50,
+            display: 'flex',
+            border: '1px solid #ccc',
+            borderRadius: 1,
+            overflow: 'hidden',
+          }}
+        >
+          {slab.objects.map((object, slot) => (
+            <Box
+              key={`slot-${slot}`}
+              sx={{
+                width: `${(cache.objectSize / slabSize) * 100}%`,
+                bgcolor: object !== null ? 'success.main' : 'grey.300',
+                color: object !== null ? 'white' : 'inherit',
+                borderRight: '1px solid white',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                overflow: 'hidden',
+                fontSize: '0.75rem',
+              }}
+            >
+              {object !== null ? `#${object}` : ''}
+            </Box>
+          ))}
+          {cache.wastePerSlab > 0 && (
+            <Box
+              sx={{
+                width: `${(cache.wastePerSlab / slabSize) * 100}%`,
+                bgcolor: 'warning.main',
+              }}
+            />
+          )}
+        </Box>
+      </Box>
+    );
+  };
+
+  // Helper function to render a cache with its slab lists and utilisation
+  const renderCache = (cache) => {
+    // List slabs the way the allocator keeps them: full, partial, then empty
+    const orderedSlabs = [SLAB_STATES.FULL, SLAB_STATES.PARTIAL, SLAB_STATES.EMPTY]
+      .flatMap(state => cache.slabs.filter(slab => slab.state === state));
+
+    return (
+      <Box key={`cache-${cache.name}`} sx={{ mt: 2 }}>
+        <Typography variant="h6" gutterBottom>
+          Cache "{cache.name}" ({cache.objectSize} B objects)
+        </Typography>
+
+        <Grid container spacing={2}>
+          <Grid item xs={12} md={8}>
+            <Typography variant="subtitle1" gutterBottom>Slabs</Typography>
+            {orderedSlabs.length === 0 ? (
+              <Typography color="text.secondary">No slabs allocated</Typography>
+            ) : (
+              <Box sx={{ display: 'flex', flexDirection: 'column', gap: 1 }}>
+                {orderedSlabs.map(slab => renderSlab(cache, slab))}
+              </Box>
+            )}
+          </Grid>
+
+          <Grid item xs={12} md={4}>
+            <Typography variant="subtitle1" gutterBottom>Utilisation</Typography>
+            <LinearProgress
+              variant="determinate"
+              value={cache.utilisation * 100}
+              sx={{ height: 10, borderRadius: 1, mb: 1 }}
+            />
+            <Typography>{(cache.utilisation * 100).toFixed(1)}% ({cache.usedMemory} / {cache.totalMemory} B)</Typography>
+            <Typography>Objects per Slab: {cache.objectsPerSlab}</Typography>
+            <Typography>Wasted per Slab: {cache.wastePerSlab} B</Typography>
+            <Typography>Objects in Use: {cache.usedObjects}</Typography>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mt: 1 }}>
+              {Object.entries(cache.slabCounts).map(([state, count]) => (
+                <Chip
+                  key={`count-${state}`}
+                  label={`${state}: ${count}`}
+                  color={STATE_COLORS[state]}
+                  variant="outlined"
+                  size="small"
+                />
+              ))}
+            </Box>
+          </Grid>
+        </Grid>
+
+        <Divider sx={{ my: 3 }} />
+      </Box>
+    );
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Typography variant="h5" gutterBottom>Slab Allocator Results</Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        Used objects are shown in green, free objects in grey and the unusable tail of each slab in orange.
+      </Typography>
+
+      {caches.map(cache => renderCache(cache))}
+
+      <Box>
+        <Typography variant="h6" gutterBottom>Operation Log</Typography>
+        {log.map((entry, index) => (
+          <Typography
+            key={`log-${index}`}
+            variant="body2"
+            color={entry.success ? 'text.primary' : 'error'}
+          >
+            {index + 1}. {entry.message}
+          </Typography>
+        ))}
+      </Box>
+    </Paper>
+  );
+};
+
+export default SlabVisualization;
@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { TextField, Button, Grid, Typography, Paper, Box, MenuItem } from '@mui/material';
+import { TIMELINE_EVENTS, sortEvents } from './MemoryTimeline';
+
+const TimelineInput = ({ onSubmit }) => {
+  const [memorySize, setMemorySize] = useState('1000');
+  const [events, setEvents] = useState([
+    { id: 1, time: '0', type: TIMELINE_EVENTS.ARRIVE, processId: '1', size: '' }
+  ]);
+
+  const addEvent = () => {
+    const newId = events.length > 0 ? Math.max(...events.map(event => event.id)) + 1 : 1;
+    setEvents([...events, { id: newId, time: '', type: TIMELINE_EVENTS.ARRIVE, processId: '', size: '' }]);
+  };
+
+  const removeEvent = (id) => {
+    if (events.length > 1) {
+      setEvents(events.filter(event => event.id !== id));
+    }
+  };
+
+  const updateEvent = (id, field, value) => {
+    setEvents(events.map(event =>
+      event.id === id ? { ...event, [field]: value } : event
+    ));
+  };
+
+  const handleSubmit = () => {
+    const validMemorySize = parseInt(memorySize);
+
+    // Arrivals need a size, departures only need the process
+    const validEvents = events
+      .filter(event => event.time !== '' && event.processId !== '' &&
+        (event.type === TIMELINE_EVENTS.DEPART || event.size !== ''))
+      .map(event => ({
+        time: parseInt(event.time),
+        type: event.type,
+        processId: parseInt(event.processId),
+        size: event.type === TIMELINE_EVENTS.ARRIVE ? parseInt(event.size) : null
+      }));
+
+    if (!validMemorySize || validMemorySize < 1 || validEvents.length === 0) {
+      alert('Please enter the memory size and at least one complete event');
+      return;
+    }
+
+    // Replay the events in simulation order: a process must depart before it arrives again
+    const present = new Set();
+    const duplicate = sortEvents(validEvents).find(event => {
+      if (event.type === TIMELINE_EVENTS.DEPART) {
+        present.delete(event.processId);
+        return false;
+      }
+      if (present.has(event.processId)) return true;
+      present.add(event.processId);
+      return false;
+    });
+
+    if (duplicate) {
+      alert(`P${duplicate.processId} arrives again at t=${duplicate.time} before it departs`);
+      return;
+    }
+
+    onSubmit({
+      memorySize: validMemorySize,
+      events: validEvents
+    });
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h5" gutterBottom>Event Timeline Input</Typography>
+
+      <Box sx={{ mb: 4 }}>
+        <TextField
+          fullWidth
+          label="Total Memory Size"
+          type="number"
+          value={memorySize}
+          onChange={(e) => setMemorySize(e.target.value)}
+          InputProps={{ inputProps: { min: 1 } }}
+        />
+      </Box>
+
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h6" gutterBottom>Events</Typography>
+        {events.map((event) => (
+          <Grid container spacing={2} key={event.id} sx={{ mb: 1 }}>
+            <Grid item xs={6} sm={2}>
+              <TextField
+                fullWidth
+                label="Time"
+                type="number"
+                value={event.time}
+                onChange={(e) => updateEvent(event.id, 'time', e.target.value)}
+                InputProps={{ inputProps: { min: 0 } }}
+              />
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <TextField
+                select
+                fullWidth
+                label="Event"
+                value={event.type}
+                onChange={(e) => updateEvent(event.id, 'type', e.target.value)}
+              >
+                <MenuItem value={TIMELINE_EVENTS.ARRIVE}>Arrives</MenuItem>
+                <MenuItem value={TIMELINE_EVENTS.DEPART}>Departs</MenuItem>
+              </TextField>
+            </Grid>
+            <Grid item xs={6} sm={2}>
+              <TextField
+                fullWidth
+                label="Process ID"
+                type="number"
+                value={event.processId}
+                onChange={(e) => updateEvent(event.id, 'processId', e.target.value)}
+                InputProps={{ inputProps: { min: 1 } }}
+              />
+            </Grid>
+            <Grid item xs={6} sm={3}>
+              <TextField
+                fullWidth
+                label="Size"
+                type="number"
+                value={event.type === TIMELINE_EVENTS.ARRIVE ? event.size : ''}
+                onChange={(e) => updateEvent(event.id, 'size', e.target.value)}
+                disabled={event.type !== TIMELINE_EVENTS.ARRIVE}
+                InputProps={{ inputProps: { min: 1 } }}
+              />
+            </Grid>
+            <Grid item xs={12} sm={2}>
+              <Button
+                variant="outlined"
+                color="error"
+                onClick={() => removeEvent(event.id)}
+                disabled={events.length <= 1}
+              >
+                Remove
+              </Button>
+            </Grid>
+          </Grid>
+        ))}
+        <Button variant="contained" color="primary" onClick={addEvent} sx={{ mt: 1 }}>
+          Add Event
+        </Button>
+      </Box>
+
+      <Button
+        variant="contained"
+        color="success"
+        onClick={handleSubmit}
+        fullWidth
+        sx={{ mt: 2 }}
+      >
+        Replay Event Timeline
+      </Button>
+    </Paper>
+  );
+};
+
+export default TimelineInput;
@@ -0,0 +1,184 @@
+import React, { useState } from 'react';
+import { Paper, Typography, Box, Divider, Slider, Chip } from '@mui/material';
+import { Bar } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { TIMELINE_EVENTS } from './MemoryTimeline';
+
+// Register ChartJS components
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+const TimelineVisualization = ({ results }) => {
+  const [step, setStep] = useState(0);
+
+  if (!results) return null;
+
+  const algorithms = Object.values(results);
+  const snapshotCount = algorithms[0].snapshots.length;
+  // Results may shrink when a new timeline is submitted
+  const currentStep = Math.min(step, snapshotCount - 1);
+  const currentTime = algorithms[0].snapshots[currentStep].time;
+
+  // Compare the algorithms at the selected time step
+  const chartData = {
+    labels: algorithms.map(algo => algo.algorithm),
+    datasets: [
+      {
+        label: 'Free Holes',
+        data: algorithms.map(algo => algo.snapshots[currentStep].holeCount),
+        backgroundColor: 'rgba(54, 162, 235, 0.6)',
+      },
+      {
+        label: 'Failed Allocations So Far',
+        data: algorithms.map(algo => algo.failedAllocations.filter(f => f.time <= currentTime).length),
+        backgroundColor: 'rgba(255, 99, 132, 0.6)',
+      },
+    ],
+  };
+
+  const chartOptions = {
+    responsive: true,
+    plugins: {
+      legend: {
+        position: 'top',
+      },
+      title: {
+        display: true,
+        text: `Memory State at t=${currentTime}`,
+      },
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        ticks: {
+          precision: 0,
+        },
+      },
+    },
+  };
+
+  // Helper function to describe a single event outcome
+  const describeEvent = (event) => {
+    if (event.type === TIMELINE_EVENTS.ARRIVE) {
+      if (event.duplicate) {
+        return `P${event.processId} arrives (${event.size}) - already in memory, ignored`;
+      }
+      return event.success
+        ? `P${event.processId} arrives (${event.size}) at address ${event.address}`
+        : `P${event.processId} arrives (${event.size}) - no hole large enough`;
+    }
+    return event.success
+      ? `P${event.processId} departs`
+      : `P${event.processId} departs - was not in memory`;
+  };
+
+  // Helper function to render memory as a single contiguous bar
+  const renderMemoryMap = (algorithm) => {
+    const snapshot = algorithm.snapshots[currentStep];
+
+    return (
+      <Box key={algorithm.algorithm} sx={{ mt: 2 }}>
+        <Typography variant="h6" gutterBottom>{algorithm.algorithm}</Typography>
+
+        <Box sx={{ mb: 2 }}>
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            {snapshot.events.map((event, index) => (
+              <Chip
+                key={`event-${index}`}
+                label={describeEvent(event)}
+                color={event.success ? 'success' : 'error'}
+                variant="outlined"
+                size="small"
+              />
+            ))}
+          </Box>
+        </Box>
+
+        <Box
+          sx={{
+            height: 50,
+            display: 'flex',
+            border: '1px solid #ccc',
+            borderRadius: 1,
+            overflow: 'hidden',
+          }}
+        >
+          {snapshot.segments.map((segment) => (
+            <Box
+              key={`segment-${segment.start}`}
+              title={`Address ${segment.start}-${segment.start + segment.size - 1}`}
+              sx={{
+                width: `${(segment.size / algorithm.memorySize) * 100}%`,
+                bgcolor: segment.processId === null ? 'grey.300' : 'success.main',
+                color: segment.processId === null ? 'inherit' : 'white',
+                borderRight: '1px solid white',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                overflow: 'hidden',
+                whiteSpace: 'nowrap',
+              }}
+            >
+              {segment.processId === null ? `Free (${segment.size})` : `P${segment.processId}`}
+            </Box>
+          ))}
+        </Box>
+
+        <Box sx={{ mt: 2 }}>
+          <Typography>Free Memory: {snapshot.freeMemory} units in {snapshot.holeCount} hole(s)</Typography>
+          <Typography>Largest Hole: {snapshot.largestHole} units</Typography>
+          {algorithm.failedAllocations.some(f => f.time <= currentTime) && (
+            <Typography>
+              Failed Allocations: {algorithm.failedAllocations
+                .filter(f => f.time <= currentTime)
+                .map(f => `P${f.processId} (t=${f.time})`)
+                .join(', ')}
+            </Typography>
+          )}
+        </Box>
+
+        <Divider sx={{ my: 3 }} />
+      </Box>
+    );
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Typography variant="h5" gutterBottom>Event Timeline Results</Typography>
+
+      <Box sx={{ mb: 4, px: 2 }}>
+        <Typography variant="h6" gutterBottom>Time Step</Typography>
+        <Slider
+          value={currentStep}
+          min={0}
+          max={snapshotCount - 1}
+          step={1}
+          marks={algorithms[0].snapshots.map((snapshot, index) => ({ value: index, label: `t=${snapshot.time}` }))}
+          onChange={(e, value) => setStep(value)}
+        />
+      </Box>
+
+      <Box sx={{ mb: 4 }}>
+        <Bar data={chartData} options={chartOptions} height={80} />
+      </Box>
+
+      {algorithms.map(algorithm => renderMemoryMap(algorithm))}
+    </Paper>
+  );
+};
+
+export default TimelineVisualization;
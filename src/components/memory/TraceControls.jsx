@@ -0,0 +1,53 @@
+import React from 'react';
+import { Typography, Box, IconButton, Button, Tooltip } from '@mui/material';
+import {
+  PlayArrow as PlayIcon,
+  Pause as PauseIcon,
+  SkipNext as StepForwardIcon,
+  SkipPrevious as StepBackIcon
+} from '@mui/icons-material';
+
+const TraceControls = ({ trace, omitted = 0, step, playing, onStepBack, onPlayPause, onStepForward, onReset }) => {
+  const entry = step !== undefined ? trace[step] : null;
+
+  return (
+    <Box sx={{ mb: 2, p: 1, border: '1px solid #e0e0e0', borderRadius: 1 }}>
+      <Box sx={{ display: 'flex', alignItems: 'center', gap: 1 }}>
+        <Tooltip title="Step back">
+          <span>
+            <IconButton onClick={onStepBack} disabled={step === undefined || step === 0}>
+              <StepBackIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Tooltip title={playing ? 'Pause' : 'Play'}>
+          <IconButton onClick={onPlayPause} color="primary">
+            {playing ? <PauseIcon /> : <PlayIcon />}
+          </IconButton>
+        </Tooltip>
+        <Tooltip title="Step forward">
+          <span>
+            <IconButton onClick={onStepForward} disabled={step === trace.length - 1}>
+              <StepForwardIcon />
+            </IconButton>
+          </span>
+        </Tooltip>
+        <Typography variant="body2" sx={{ flex: 1 }}>
+          {entry ? `Step ${step + 1} of ${trace.length}: ${entry.message}` : `Search trace: ${trace.length} steps`}
+        </Typography>
+        {step !== undefined && (
+          <Button size="small" onClick={onReset}>
+            Show Final
+          </Button>
+        )}
+      </Box>
+      {omitted > 0 && (
+        <Typography variant="caption" color="text.secondary">
+          The trace was cut short after {trace.length} steps; {omitted} later steps were not recorded.
+        </Typography>
+      )}
+    </Box>
+  );
+};
+
+export default TraceControls;
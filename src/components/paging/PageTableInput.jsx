@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { TextField, Button, Grid, Typography, Paper, Box } from '@mui/material';
+import { MAX_ADDRESS_BITS } from './PageTableStructures';
+import { parseAddressTrace } from '../tlb/TLBSimulator';
+
+const PageTableInput = ({ onSubmit }) => {
+  const [config, setConfig] = useState({
+    addressBits: '32',
+    pageSize: '4096',
+    levels: '2',
+    entrySize: '4',
+    frameCount: '16',
+    buckets: '8'
+  });
+  const [touchedPages, setTouchedPages] = useState('0 1 2 3 1023 1024 1025 0x80000 0xFFFFF');
+
+  const updateConfig = (field, value) => {
+    setConfig({ ...config, [field]: value });
+  };
+
+  const handleSubmit = () => {
+    // Validate inputs
+    const pages = parseAddressTrace(touchedPages);
+    const values = Object.fromEntries(
+      Object.entries(config).map(([field, value]) => [field, parseInt(value)])
+    );
+
+    if (!pages || Object.values(values).some(value => !value || value < 1)) {
+      alert('Please enter positive numbers for every setting and at least one touched page');
+      return;
+    }
+
+    const offsetBits = Math.log2(values.pageSize);
+    if (!Number.isInteger(offsetBits)) {
+      alert('The page size must be a power of two');
+      return;
+    }
+
+    const vpnBits = values.addressBits - offsetBits;
+    if (values.addressBits > MAX_ADDRESS_BITS || vpnBits < values.levels) {
+      alert(`The address space must be at most ${MAX_ADDRESS_BITS} bits and leave at least one page-number bit per level`);
+      return;
+    }
+
+    if (pages.some(page => page >= 2 ** vpnBits)) {
+      alert(`Touched pages must be below ${2 ** vpnBits} (${vpnBits} page-number bits)`);
+      return;
+    }
+
+    if (new Set(pages).size > values.frameCount) {
+      alert('There must be at least one physical frame per touched page');
+      return;
+    }
+
+    onSubmit({
+      config: values,
+      touchedPages: pages
+    });
+  };
+
+  // Helper function to render one numeric setting
+  const renderField = (field, label) => (
+    <Grid item xs={6} sm={4}>
+      <TextField
+        fullWidth
+        label={label}
+        type="number"
+        value={config[field]}
+        onChange={(e) => updateConfig(field, e.target.value)}
+        InputProps={{ inputProps: { min: 1 } }}
+      />
+    </Grid>
+  );
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h5" gutterBottom>Page Table Structures Input</Typography>
+
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        {renderField('addressBits', 'Virtual Address Bits')}
+        {renderField('pageSize', 'Page Size (B)')}
+        {renderField('levels', 'Hierarchical Levels (N)')}
+        {renderField('entrySize', 'Entry Size (B)')}
+        {renderField('frameCount', 'Physical Frames')}
+        {renderField('buckets', 'Hash Anchor Buckets')}
+      </Grid>
+
+      <Box sx={{ mb: 2 }}>
+        <TextField
+          fullWidth
+          multiline
+          minRows={2}
+          label="Touched Virtual Pages"
+          helperText="Virtual page numbers separated by spaces or commas, decimal or hexadecimal (0x...)"
+          value={touchedPages}
+          onChange={(e) => setTouchedPages(e.target.value)}
+        />
+      </Box>
+
+      <Button
+        variant="contained"
+        color="success"
+        onClick={handleSubmit}
+        fullWidth
+        sx={{ mt: 2 }}
+      >
+        Build Page Tables
+      </Button>
+    </Paper>
+  );
+};
+
+export default PageTableInput;
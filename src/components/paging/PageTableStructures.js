@@ -0,0 +1,185 @@
+/**
+ * Page Table Structures
+ *
+ * This file builds three page-table designs for the same set of touched
+ * virtual pages and compares their size and translation cost:
+ * - Single-level: one entry for every virtual page
+ * - N-level (hierarchical): the page number is split into N indices and only
+ *   the inner tables on the path to a touched page are allocated
+ * - Inverted with a hash anchor table: one entry per physical frame, found
+ *   by hashing the page number and following the collision chain
+ *
+ * Touched pages are given physical frames in the order they are listed, so
+ * the same page maps to the same frame in every design.
+ */
+
+/**
+ * Largest supported address-space width, so page numbers stay exact JavaScript numbers
+ */
+export const MAX_ADDRESS_BITS = 48;
+
+/**
+ * Splits the page-number bits into per-level index widths, outermost first
+ * Inner levels get equal widths and the outermost level takes any remainder
+ */
+export const splitLevelBits = (vpnBits, levels) => {
+  const inner = Math.floor(vpnBits / levels);
+  return [vpnBits - inner * (levels - 1), ...Array(levels - 1).fill(inner)];
+};
+
+/**
+ * Returns the index into the table at a level for a virtual page number
+ */
+const levelIndex = (vpn, levelBits, level) => {
+  const shift = levelBits.slice(level + 1).reduce((sum, bits) => sum + bits, 0);
+  return Math.floor(vpn / 2 ** shift) % 2 ** levelBits[level];
+};
+
+/**
+ * Builds every page-table structure for the touched pages
+ *
+ * @param {Object} config - Address-space settings
+ * @param {number} config.addressBits - Width of a virtual address in bits
+ * @param {number} config.pageSize - Page size in bytes (a power of two)
+ * @param {number} config.levels - Levels of the hierarchical table
+ * @param {number} config.entrySize - Size of a page-table entry in bytes
+ * @param {number} config.frameCount - Physical frames, one inverted-table entry each
+ * @param {number} config.buckets - Size of the hash anchor table
+ * @param {Array} touchedPages - Virtual page numbers in use
+ * @returns {Object} The three structures with memory use and accesses per translation
+ */
+export const buildPageTableStructures = (config, touchedPages) => {
+  const { addressBits, pageSize, levels, entrySize, frameCount, buckets } = config;
+  const offsetBits = Math.log2(pageSize);
+  const vpnBits = addressBits - offsetBits;
+  const pages = [...new Set(touchedPages)];
+  const frameOf = Object.fromEntries(pages.map((page, frame) => [page, frame]));
+
+  // Single-level: every virtual page has an entry whether it is used or not
+  const singleLevel = {
+    name: 'Single-Level',
+    entries: 2 ** vpnBits,
+    memory: 2 ** vpnBits * entrySize,
+    accessesPerTranslation: 1
+  };
+
+  // Hierarchical: count the distinct tables reached at every level
+  const levelBits = splitLevelBits(vpnBits, levels);
+  const tablesPerLevel = levelBits.map((_, level) => {
+    const prefixes = new Set(pages.map(page => Math.floor(page / 2 ** levelBits.slice(level).reduce((sum, bits) => sum + bits, 0))));
+    return level === 0 ? 1 : prefixes.size;
+  });
+  const multiLevel = {
+    name: `${levels}-Level`,
+    levelBits,
+    tablesPerLevel,
+    memoryPerLevel: levelBits.map((bits, level) => tablesPerLevel[level] * 2 ** bits * entrySize),
+    accessesPerTranslation: levels
+  };
+  multiLevel.memory = multiLevel.memoryPerLevel.reduce((sum, memory) => sum + memory, 0);
+  multiLevel.entries = levelBits.reduce((sum, bits, level) => sum + tablesPerLevel[level] * 2 ** bits, 0);
+
+  // Inverted: entries hold the page number and a chain pointer, the anchor table holds one pointer per bucket
+  const chains = Array(buckets).fill().map(() => []);
+  pages.forEach(page => chains[page % buckets].push(page));
+  const chainPosition = Object.fromEntries(
+    chains.flatMap(chain => chain.map((page, position) => [page, position]))
+  );
+  const inverted = {
+    name: 'Inverted (Hashed)',
+    entries: frameCount,
+    buckets,
+    chains,
+    memory: buckets * entrySize + frameCount * entrySize * 2,
+    // One access for the anchor table, then one per chain entry inspected
+    accessesPerTranslation: pages.length > 0
+      ? pages.reduce((sum, page) => sum + 2 + chainPosition[page], 0) / pages.length
+      : 0,
+    longestChain: Math.max(0, ...chains.map(chain => chain.length))
+  };
+
+  return {
+    config,
+    offsetBits,
+    vpnBits,
+    pages,
+    frameOf,
+    structures: { singleLevel, multiLevel, inverted }
+  };
+};
+
+/**
+ * Walks every structure for one virtual address
+ *
+ * @param {Object} tables - Result of buildPageTableStructures
+ * @param {number} address - Virtual address
+ * @returns {Object} Steps taken in each structure and whether the page was found
+ */
+export const walkPageTables = (tables, address) => {
+  const { config, offsetBits, vpnBits, pages, frameOf, structures } = tables;
+  const { pageSize, buckets } = config;
+
+  if (address < 0 || address >= 2 ** (vpnBits + offsetBits)) {
+    return { valid: false, reason: `Address ${address} is outside the ${config.addressBits}-bit address space` };
+  }
+
+  const vpn = Math.floor(address / pageSize);
+  const offset = address % pageSize;
+  const frame = frameOf[vpn];
+  const mapped = frame !== undefined;
+  const physicalAddress = mapped ? frame * pageSize + offset : null;
+
+  // Single-level: one lookup indexed by the page number
+  const single = {
+    steps: [{ table: 'Page table', index: vpn, result: mapped ? `frame ${frame}` : 'invalid' }],
+    found: mapped
+  };
+
+  // Hierarchical: stop at the first level whose entry is not present
+  const { levelBits } = structures.multiLevel;
+  const multi = { steps: [], found: mapped };
+  for (let level = 0; level < levelBits.length; level++) {
+    const index = levelIndex(vpn, levelBits, level);
+    const last = level === levelBits.length - 1;
+    const prefixBits = levelBits.slice(level + 1).reduce((sum, bits) => sum + bits, 0);
+    const present = pages.some(page => Math.floor(page / 2 ** prefixBits) === Math.floor(vpn / 2 ** prefixBits));
+
+    multi.steps.push({
+      table: `Level ${level + 1}`,
+      index,
+      result: !present ? 'not present' : last ? `frame ${frame}` : `level ${level + 2} table`
+    });
+    if (!present) break;
+  }
+
+  // Inverted: hash to a bucket, then follow the chain until the page number matches
+  const bucket = vpn % buckets;
+  const chain = structures.inverted.chains[bucket];
+  const invertedWalk = {
+    steps: [{ table: 'Hash anchor', index: bucket, result: chain.length > 0 ? `entry ${frameOf[chain[0]]}` : 'empty' }],
+    found: mapped
+  };
+  for (const page of chain) {
+    const match = page === vpn;
+    invertedWalk.steps.push({
+      table: 'Inverted table',
+      index: frameOf[page],
+      result: match ? `page ${page} matches, frame ${frameOf[page]}` : `page ${page}, next`
+    });
+    if (match) break;
+  }
+
+  return {
+    valid: true,
+    address,
+    vpn,
+    offset,
+    frame: mapped ? frame : null,
+    physicalAddress,
+    walks: {
+      singleLevel: single,
+      multiLevel: multi,
+      inverted: invertedWalk
+    }
+  };
+};
@@ -0,0 +1,249 @@
+import React, { useState } from 'react';
+import { Paper, Typography, Box, Grid, Divider, TextField, Button, Alert, Chip } from '@mui/material';
+import { Bar } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  LogarithmicScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { walkPageTables } from './PageTableStructures';
+import { parseAddressTrace } from '../tlb/TLBSimulator';
+
+// Register ChartJS components
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  LogarithmicScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+/**
+ * Formats a byte count as B, KB, MB or GB
+ */
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${Number(value.toFixed(2))} ${units[unit]}`;
+};
+
+const PageTableVisualization = ({ results }) => {
+  const [address, setAddress] = useState('');
+  const [walk, setWalk] = useState(null);
+  const [sourceResults, setSourceResults] = useState(results);
+
+  // Clear the previous walk whenever new tables are built
+  if (sourceResults !== results) {
+    setSourceResults(results);
+    setWalk(null);
+  }
+
+  if (!results) return null;
+
+  const { config, offsetBits, vpnBits, pages, structures } = results;
+  const { singleLevel, multiLevel, inverted } = structures;
+  const structureList = [singleLevel, multiLevel, inverted];
+
+  const handleWalk = () => {
+    const parsed = parseAddressTrace(address);
+    if (!parsed || parsed.length !== 1) return;
+    setWalk(walkPageTables(results, parsed[0]));
+  };
+
+  const memoryChartData = {
+    labels: structureList.map(structure => structure.name),
+    datasets: [
+      {
+        label: 'Table Memory (bytes)',
+        data: structureList.map(structure => structure.memory),
+        backgroundColor: 'rgba(54, 162, 235, 0.6)',
+      },
+    ],
+  };
+
+  const memoryChartOptions = {
+    responsive: true,
+    plugins: {
+      legend: {
+        position: 'top',
+      },
+      title: {
+        display: true,
+        text: 'Memory Used by Table Structures (log scale)',
+      },
+    },
+    scales: {
+      y: {
+        type: 'logarithmic',
+        title: {
+          display: true,
+          text: 'Bytes',
+        },
+      },
+    },
+  };
+
+  const accessChartData = {
+    labels: structureList.map(structure => structure.name),
+    datasets: [
+      {
+        label: 'Table Accesses per Translation',
+        data: structureList.map(structure => structure.accessesPerTranslation),
+        backgroundColor: 'rgba(255, 99, 132, 0.6)',
+      },
+    ],
+  };
+
+  const accessChartOptions = {
+    responsive: true,
+    plugins: {
+      legend: {
+        position: 'top',
+      },
+      title: {
+        display: true,
+        text: 'Memory Accesses per Translation (without TLB)',
+      },
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        title: {
+          display: true,
+          text: 'Accesses',
+        },
+      },
+    },
+  };
+
+  // Helper function to render the steps of one walk as a chain of chips
+  const renderWalk = (title, structureWalk) => (
+    <Box sx={{ mb: 2 }}>
+      <Typography variant="subtitle1" gutterBottom>
+        {title}: {structureWalk.steps.length} table access{structureWalk.steps.length > 1 ? 'es' : ''}
+      </Typography>
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 1 }}>
+        {structureWalk.steps.map((step, index) => (
+          <React.Fragment key={`step-${title}-${index}`}>
+            {index > 0 && <Typography>→</Typography>}
+            <Chip
+              label={`${step.table}[${step.index}]: ${step.result}`}
+              color={index === structureWalk.steps.length - 1 ? (structureWalk.found ? 'success' : 'error') : 'primary'}
+              variant={index === structureWalk.steps.length - 1 ? 'filled' : 'outlined'}
+            />
+          </React.Fragment>
+        ))}
+      </Box>
+    </Box>
+  );
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Typography variant="h5" gutterBottom>Page Table Comparison</Typography>
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        {config.addressBits}-bit addresses: {vpnBits} page-number bits and {offsetBits} offset bits.
+        {' '}{multiLevel.name} split: {multiLevel.levelBits.join(' | ')} | {offsetBits}.
+        {' '}{pages.length} touched page{pages.length > 1 ? 's' : ''}.
+      </Typography>
+
+      <Box sx={{ mb: 4, overflowX: 'auto' }}>
+        <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+          <thead>
+            <tr>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Structure</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Entries</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Table Memory</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Table Accesses</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>With Data Access</th>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Details</th>
+            </tr>
+          </thead>
+          <tbody>
+            {structureList.map(structure => (
+              <tr key={structure.name}>
+                <td style={{ padding: '8px', border: '1px solid #ddd' }}>{structure.name}</td>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{structure.entries}</td>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{formatBytes(structure.memory)}</td>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>
+                  {Number(structure.accessesPerTranslation.toFixed(2))}
+                </td>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>
+                  {Number((structure.accessesPerTranslation + 1).toFixed(2))}
+                </td>
+                <td style={{ padding: '8px', border: '1px solid #ddd' }}>
+                  {structure === singleLevel && 'One entry for every virtual page'}
+                  {structure === multiLevel && `Tables per level: ${multiLevel.tablesPerLevel.join(', ')}`}
+                  {structure === inverted && `${inverted.buckets} anchor buckets, longest chain ${inverted.longestChain} (average over touched pages)`}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </Box>
+
+      <Grid container spacing={3} sx={{ mb: 4 }}>
+        <Grid item xs={12} md={6}>
+          <Bar data={memoryChartData} options={memoryChartOptions} />
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <Bar data={accessChartData} options={accessChartOptions} />
+        </Grid>
+      </Grid>
+
+      <Divider sx={{ my: 3 }} />
+
+      <Box>
+        <Typography variant="h6" gutterBottom>Walk an Address</Typography>
+        <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+          <Grid item xs={12} sm={8}>
+            <TextField
+              fullWidth
+              label="Virtual Address"
+              helperText="Decimal or hexadecimal (0x...)"
+              value={address}
+              onChange={(e) => setAddress(e.target.value)}
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <Button variant="contained" onClick={handleWalk} fullWidth>
+              Walk
+            </Button>
+          </Grid>
+        </Grid>
+
+        {walk && !walk.valid && (
+          <Alert severity="error">{walk.reason}</Alert>
+        )}
+
+        {walk && walk.valid && (
+          <>
+            <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 2 }}>
+              <Chip label={`Page: ${walk.vpn}`} color="primary" variant="outlined" />
+              <Chip label={`Offset: ${walk.offset}`} color="primary" variant="outlined" />
+              {walk.frame !== null
+                ? <Chip label={`Physical Address: ${walk.frame} × ${config.pageSize} + ${walk.offset} = ${walk.physicalAddress}`} color="success" />
+                : <Chip label="Page not mapped: page fault" color="error" />}
+            </Box>
+            {renderWalk(singleLevel.name, walk.walks.singleLevel)}
+            {renderWalk(multiLevel.name, walk.walks.multiLevel)}
+            {renderWalk(inverted.name, walk.walks.inverted)}
+          </>
+        )}
+      </Box>
+    </Paper>
+  );
+};
+
+export default PageTableVisualization;
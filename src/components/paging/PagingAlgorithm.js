@@ -0,0 +1,105 @@
+/**
+ * Paging Implementation
+ *
+ * This file contains the paging subsystem:
+ * - Frame assignment and per-process page tables
+ * - Logical to physical address translation
+ * - Internal fragmentation in the last page of each process
+ */
+
+/**
+ * Assigns frames to processes and builds their page tables
+ * Every page of a process must be loaded, so a process that needs more
+ * frames than are free is not loaded at all
+ *
+ * @param {number} pageSize - Size of a page (and a frame)
+ * @param {number} frameCount - Number of physical frames
+ * @param {Array} processes - Processes of the form { id, size }
+ * @returns {Object} Page tables, frame table and fragmentation data
+ */
+export const buildPageTables = (pageSize, frameCount, processes) => {
+  // Frame table: which process page occupies each physical frame
+  const frames = Array(frameCount).fill(null);
+  const pageTables = {};
+  const internalFragmentation = {};
+  const unloadedProcesses = [];
+
+  for (const process of processes) {
+    const pageCount = Math.ceil(process.size / pageSize);
+    const freeFrames = frames
+      .map((frame, index) => (frame === null ? index : null))
+      .filter(index => index !== null);
+
+    if (pageCount > freeFrames.length) {
+      unloadedProcesses.push(process.id);
+      continue;
+    }
+
+    // Assign the lowest numbered free frames to the pages in order
+    pageTables[process.id] = Array(pageCount).fill().map((_, page) => {
+      const frame = freeFrames[page];
+      frames[frame] = { processId: process.id, page };
+      return { page, frame };
+    });
+
+    // Only the last page can be partially used
+    internalFragmentation[process.id] = pageCount * pageSize - process.size;
+  }
+
+  return {
+    pageSize,
+    frameCount,
+    processes,
+    frames,
+    pageTables,
+    internalFragmentation,
+    totalInternalFragmentation: Object.values(internalFragmentation).reduce((sum, frag) => sum + frag, 0),
+    freeFrames: frames.filter(frame => frame === null).length,
+    unloadedProcesses
+  };
+};
+
+/**
+ * Translates a logical address of a process into a physical address
+ *
+ * @param {Object} paging - Result of buildPageTables
+ * @param {number} processId - ID of the process issuing the address
+ * @param {number} logicalAddress - Logical address to translate
+ * @returns {Object} Page number, offset, frame and physical address, or the
+ *   reason for a page fault
+ */
+export const translateAddress = (paging, processId, logicalAddress) => {
+  const { pageSize, pageTables, processes } = paging;
+  const process = processes.find(p => p.id === processId);
+  const pageTable = pageTables[processId];
+
+  if (!process || !pageTable) {
+    return {
+      valid: false,
+      reason: `Process ${processId} is not loaded in memory`
+    };
+  }
+
+  const pageNumber = Math.floor(logicalAddress / pageSize);
+  const offset = logicalAddress % pageSize;
+
+  // Addresses beyond the process size are out of its address space
+  if (logicalAddress < 0 || logicalAddress >= process.size) {
+    return {
+      valid: false,
+      pageNumber,
+      offset,
+      reason: `Page fault: address ${logicalAddress} is outside the address space of process ${processId} (0-${process.size - 1})`
+    };
+  }
+
+  const { frame } = pageTable[pageNumber];
+
+  return {
+    valid: true,
+    pageNumber,
+    offset,
+    frame,
+    physicalAddress: frame * pageSize + offset
+  };
+};
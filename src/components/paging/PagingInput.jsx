@@ -0,0 +1,128 @@
+import React, { useState } from 'react';
+import { TextField, Button, Grid, Typography, Paper, Box } from '@mui/material';
+
+// A process size must be a whole number of at least 1 byte
+const isValidSize = (size) => /^\d+$/.test(String(size).trim()) && parseInt(size) >= 1;
+
+const PagingInput = ({ onSubmit }) => {
+  const [pageSize, setPageSize] = useState('');
+  const [frameCount, setFrameCount] = useState('');
+  const [processes, setProcesses] = useState([{ id: 1, size: '' }]);
+
+  const addProcess = () => {
+    const newId = processes.length > 0 ? Math.max(...processes.map(process => process.id)) + 1 : 1;
+    setProcesses([...processes, { id: newId, size: '' }]);
+  };
+
+  const removeProcess = (id) => {
+    if (processes.length > 1) {
+      setProcesses(processes.filter(process => process.id !== id));
+    }
+  };
+
+  const updateProcess = (id, size) => {
+    setProcesses(processes.map(process =>
+      process.id === id ? { ...process, size: size } : process
+    ));
+  };
+
+  const handleSubmit = () => {
+    // Validate inputs
+    const validPageSize = parseInt(pageSize);
+    const validFrameCount = parseInt(frameCount);
+
+    const validProcesses = processes
+      .filter(process => process.size !== '')
+      .map(process => ({ ...process, size: parseInt(process.size) }));
+
+    if (!validPageSize || !validFrameCount || validPageSize < 1 || validFrameCount < 1 || validProcesses.length === 0) {
+      alert('Please enter the page size, the frame count and at least one process');
+      return;
+    }
+
+    if (processes.some(process => process.size !== '' && !isValidSize(process.size))) {
+      alert('Process sizes must be whole numbers of at least 1');
+      return;
+    }
+
+    onSubmit({
+      pageSize: validPageSize,
+      frameCount: validFrameCount,
+      processes: validProcesses
+    });
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h5" gutterBottom>Paging Input</Typography>
+
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        <Grid item xs={6}>
+          <TextField
+            fullWidth
+            label="Page Size"
+            type="number"
+            value={pageSize}
+            onChange={(e) => setPageSize(e.target.value)}
+            InputProps={{ inputProps: { min: 1 } }}
+          />
+        </Grid>
+        <Grid item xs={6}>
+          <TextField
+            fullWidth
+            label="Number of Frames"
+            type="number"
+            value={frameCount}
+            onChange={(e) => setFrameCount(e.target.value)}
+            InputProps={{ inputProps: { min: 1 } }}
+          />
+        </Grid>
+      </Grid>
+
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h6" gutterBottom>Processes</Typography>
+        {processes.map((process) => (
+          <Grid container spacing={2} key={process.id} sx={{ mb: 1 }}>
+            <Grid item xs={8}>
+              <TextField
+                fullWidth
+                label={`Process ${process.id} Size`}
+                type="number"
+                value={process.size}
+                onChange={(e) => updateProcess(process.id, e.target.value)}
+                error={process.size !== '' && !isValidSize(process.size)}
+                helperText={process.size !== '' && !isValidSize(process.size) ? 'Enter a whole number of at least 1' : ''}
+                InputProps={{ inputProps: { min: 1 } }}
+              />
+            </Grid>
+            <Grid item xs={4}>
+              <Button
+                variant="outlined"
+                color="error"
+                onClick={() => removeProcess(process.id)}
+                disabled={processes.length <= 1}
+              >
+                Remove
+              </Button>
+            </Grid>
+          </Grid>
+        ))}
+        <Button variant="contained" color="primary" onClick={addProcess} sx={{ mt: 1 }}>
+          Add Process
+        </Button>
+      </Box>
+
+      <Button
+        variant="contained"
+        color="success"
+        onClick={handleSubmit}
+        fullWidth
+        sx={{ mt: 2 }}
+      >
+        Build Page Tables
+      </Button>
+    </Paper>
+  );
+};
+
+export default PagingInput;
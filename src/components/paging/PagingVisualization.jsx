@@ -0,0 +1,178 @@
+import React, { useState } from 'react';
+import { Paper, Typography, Box, Grid, Divider, TextField, Button, MenuItem, Alert, Chip } from '@mui/material';
+import { translateAddress } from './PagingAlgorithm';
+
+// Colours used to tell processes apart in the frame table
+const PROCESS_COLORS = ['#1976d2', '#388e3c', '#f57c00', '#7b1fa2', '#c2185b', '#0097a7', '#5d4037', '#455a64'];
+
+const PagingVisualization = ({ results }) => {
+  const [processId, setProcessId] = useState('');
+  const [logicalAddress, setLogicalAddress] = useState('');
+  const [translation, setTranslation] = useState(null);
+  const [sourceResults, setSourceResults] = useState(results);
+
+  // Clear the previous translation whenever new page tables arrive
+  if (sourceResults !== results) {
+    setSourceResults(results);
+    setProcessId('');
+    setTranslation(null);
+  }
+
+  if (!results) return null;
+
+  const { pageSize, frames, pageTables, processes, internalFragmentation, unloadedProcesses } = results;
+  const loadedProcesses = processes.filter(process => pageTables[process.id]);
+
+  const colorFor = (id) => PROCESS_COLORS[processes.findIndex(p => p.id === id) % PROCESS_COLORS.length];
+
+  const handleTranslate = () => {
+    if (processId === '' || logicalAddress === '') return;
+    setTranslation({ processId, ...translateAddress(results, processId, parseInt(logicalAddress)) });
+  };
+
+  // Helper function to render the physical frames
+  const renderFrames = () => {
+    return (
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h6" gutterBottom>Physical Memory</Typography>
+        <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+          {frames.map((frame, index) => (
+            <Box
+              key={`frame-${index}`}
+              sx={{
+                width: 90,
+                height: 50,
+                border: '2px solid',
+                borderColor: translation && translation.valid && translation.frame === index ? 'error.main' : '#ccc',
+                borderRadius: 1,
+                bgcolor: frame ? colorFor(frame.processId) : 'grey.300',
+                color: frame ? 'white' : 'inherit',
+                display: 'flex',
+                flexDirection: 'column',
+                alignItems: 'center',
+                justifyContent: 'center',
+              }}
+            >
+              <Typography variant="caption">Frame {index}</Typography>
+              <Typography variant="body2">
+                {frame ? `P${frame.processId} pg ${frame.page}` : 'Free'}
+              </Typography>
+            </Box>
+          ))}
+        </Box>
+      </Box>
+    );
+  };
+
+  // Helper function to render the page table of a process
+  const renderPageTable = (process) => {
+    return (
+      <Grid item xs={12} sm={6} md={4} key={`page-table-${process.id}`}>
+        <Typography variant="subtitle1" gutterBottom>
+          Process {process.id} (Size: {process.size})
+        </Typography>
+        <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+          <thead>
+            <tr>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Page</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Frame</th>
+            </tr>
+          </thead>
+          <tbody>
+            {pageTables[process.id].map(entry => {
+              const isTranslated = translation && translation.valid &&
+                translation.processId === process.id && translation.pageNumber === entry.page;
+              return (
+                <tr key={`entry-${process.id}-${entry.page}`} style={{ background: isTranslated ? '#ffcdd2' : 'transparent' }}>
+                  <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{entry.page}</td>
+                  <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{entry.frame}</td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        <Typography variant="body2" sx={{ mt: 1 }}>
+          Internal fragmentation in last page: {internalFragmentation[process.id]} units
+        </Typography>
+      </Grid>
+    );
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Typography variant="h5" gutterBottom>Paging Results</Typography>
+
+      {renderFrames()}
+
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h6" gutterBottom>Page Tables</Typography>
+        <Grid container spacing={3}>
+          {loadedProcesses.map(process => renderPageTable(process))}
+        </Grid>
+      </Box>
+
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="subtitle1">Fragmentation Summary:</Typography>
+        <Typography>Internal Fragmentation: {results.totalInternalFragmentation} units</Typography>
+        <Typography>Free Frames: {results.freeFrames} ({results.freeFrames * pageSize} units)</Typography>
+        {unloadedProcesses.length > 0 && (
+          <Typography>Processes Not Loaded (not enough free frames): {unloadedProcesses.join(', ')}</Typography>
+        )}
+      </Box>
+
+      <Divider sx={{ my: 3 }} />
+
+      <Box>
+        <Typography variant="h6" gutterBottom>Address Translation</Typography>
+        <Grid container spacing={2} alignItems="center" sx={{ mb: 2 }}>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              select
+              fullWidth
+              label="Process"
+              value={processId}
+              onChange={(e) => setProcessId(e.target.value)}
+            >
+              {loadedProcesses.map(process => (
+                <MenuItem key={process.id} value={process.id}>Process {process.id}</MenuItem>
+              ))}
+            </TextField>
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <TextField
+              fullWidth
+              label="Logical Address"
+              type="number"
+              value={logicalAddress}
+              onChange={(e) => setLogicalAddress(e.target.value)}
+              InputProps={{ inputProps: { min: 0 } }}
+            />
+          </Grid>
+          <Grid item xs={12} sm={4}>
+            <Button variant="contained" onClick={handleTranslate} fullWidth>
+              Translate
+            </Button>
+          </Grid>
+        </Grid>
+
+        {translation && !translation.valid && (
+          <Alert severity="error">{translation.reason}</Alert>
+        )}
+
+        {translation && translation.valid && (
+          <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1 }}>
+            <Chip label={`Page Number: ${translation.pageNumber}`} color="primary" variant="outlined" />
+            <Chip label={`Offset: ${translation.offset}`} color="primary" variant="outlined" />
+            <Chip label={`Frame: ${translation.frame}`} color="primary" variant="outlined" />
+            <Chip
+              label={`Physical Address: ${translation.frame} × ${pageSize} + ${translation.offset} = ${translation.physicalAddress}`}
+              color="success"
+            />
+          </Box>
+        )}
+      </Box>
+    </Paper>
+  );
+};
+
+export default PagingVisualization;
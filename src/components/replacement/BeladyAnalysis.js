@@ -0,0 +1,89 @@
+/**
+ * Belady's Anomaly Analysis
+ *
+ * This file sweeps the number of frames for a reference string and records
+ * the page faults of FIFO and LRU at every frame count. FIFO can suffer from
+ * Belady's anomaly (more frames, more faults); LRU is a stack algorithm and
+ * never does.
+ */
+
+import { fifo, lru } from './PageReplacementAlgorithms';
+import { createSeededRandom, randomInt } from '../common/SeededRandom';
+
+/**
+ * Finds every frame count at which faults increase when a frame is added
+ */
+const findAnomalies = (frameCounts, faults) => {
+  const anomalies = [];
+
+  for (let i = 1; i < faults.length; i++) {
+    if (faults[i] > faults[i - 1]) {
+      anomalies.push({
+        fromFrames: frameCounts[i - 1],
+        toFrames: frameCounts[i],
+        fromFaults: faults[i - 1],
+        toFaults: faults[i]
+      });
+    }
+  }
+
+  return anomalies;
+};
+
+/**
+ * Sweeps the frame count from 1 to maxFrames
+ *
+ * @param {Array} referenceString - Sequence of referenced pages
+ * @param {number} maxFrames - Largest frame count to simulate
+ * @returns {Object} Faults per frame count for FIFO and LRU and any anomalies
+ */
+export const sweepFrameCounts = (referenceString, maxFrames) => {
+  const frameCounts = Array(maxFrames).fill().map((_, index) => index + 1);
+  const fifoFaults = frameCounts.map(frames => fifo(referenceString, frames).faults);
+  const lruFaults = frameCounts.map(frames => lru(referenceString, frames).faults);
+
+  return {
+    referenceString,
+    frameCounts,
+    fifoFaults,
+    lruFaults,
+    fifoAnomalies: findAnomalies(frameCounts, fifoFaults),
+    lruAnomalies: findAnomalies(frameCounts, lruFaults)
+  };
+};
+
+/**
+ * Searches random reference strings for examples of Belady's anomaly in FIFO
+ *
+ * @param {Object} options - Search options
+ * @param {number} options.length - Length of each reference string
+ * @param {number} options.pageCount - Pages are drawn from 0 to pageCount - 1
+ * @param {number} options.maxFrames - Largest frame count to simulate
+ * @param {number} options.attempts - Number of random strings to try
+ * @param {number} options.seed - Seed for reproducible searches
+ * @param {number} options.limit - Stop after this many examples
+ * @returns {Object} Examples found and the number of strings tried
+ */
+export const searchAnomalies = ({ length, pageCount, maxFrames, attempts, seed, limit = 10 }) => {
+  const random = createSeededRandom(seed);
+  const examples = [];
+  let tried = 0;
+
+  while (tried < attempts && examples.length < limit) {
+    tried++;
+    const referenceString = Array(length).fill().map(() => randomInt(random, 0, pageCount - 1));
+    const sweep = sweepFrameCounts(referenceString, maxFrames);
+
+    if (sweep.fifoAnomalies.length > 0) {
+      examples.push({
+        referenceString,
+        anomalies: sweep.fifoAnomalies
+      });
+    }
+  }
+
+  return {
+    examples,
+    tried
+  };
+};
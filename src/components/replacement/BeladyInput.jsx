@@ -0,0 +1,134 @@
+import React, { useState } from 'react';
+import { TextField, Button, Grid, Typography, Paper, Box, Divider } from '@mui/material';
+import { parseReferenceString } from './PageReplacementAlgorithms';
+
+const BeladyInput = ({ onAnalyse, onSearch }) => {
+  const [referenceString, setReferenceString] = useState('1 2 3 4 1 2 5 1 2 3 4 5');
+  const [maxFrames, setMaxFrames] = useState('5');
+  const [search, setSearch] = useState({ length: '20', pageCount: '6', attempts: '20000', seed: '1' });
+
+  const updateSearch = (field, value) => {
+    setSearch({ ...search, [field]: value });
+  };
+
+  const handleAnalyse = () => {
+    // Validate inputs
+    const validReferenceString = parseReferenceString(referenceString);
+    const validMaxFrames = parseInt(maxFrames);
+
+    if (!validReferenceString || !validMaxFrames || validMaxFrames < 1) {
+      alert('Please enter a reference string of page numbers and a maximum frame count');
+      return;
+    }
+
+    onAnalyse({
+      referenceString: validReferenceString,
+      maxFrames: validMaxFrames
+    });
+  };
+
+  const handleSearch = () => {
+    const validMaxFrames = parseInt(maxFrames);
+    const validSearch = {
+      length: parseInt(search.length),
+      pageCount: parseInt(search.pageCount),
+      attempts: parseInt(search.attempts),
+      seed: parseInt(search.seed) || 0
+    };
+
+    const counts = [validMaxFrames, validSearch.length, validSearch.pageCount, validSearch.attempts];
+    if (counts.some(count => !count || count < 1)) {
+      alert('Please enter a maximum frame count, string length, page count and number of attempts of at least 1');
+      return;
+    }
+
+    onSearch({
+      ...validSearch,
+      maxFrames: validMaxFrames
+    });
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h5" gutterBottom>Belady's Anomaly Explorer</Typography>
+
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        <Grid item xs={12} sm={8}>
+          <TextField
+            fullWidth
+            label="Reference String"
+            helperText="Page numbers separated by spaces or commas"
+            value={referenceString}
+            onChange={(e) => setReferenceString(e.target.value)}
+          />
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            fullWidth
+            label="Maximum Frames (N)"
+            type="number"
+            value={maxFrames}
+            onChange={(e) => setMaxFrames(e.target.value)}
+            InputProps={{ inputProps: { min: 1 } }}
+          />
+        </Grid>
+      </Grid>
+
+      <Button variant="contained" color="success" onClick={handleAnalyse} fullWidth>
+        Sweep Frames 1 to N
+      </Button>
+
+      <Divider sx={{ my: 3 }} />
+
+      <Box>
+        <Typography variant="h6" gutterBottom>Search Random Reference Strings</Typography>
+        <Grid container spacing={2} sx={{ mb: 2 }}>
+          <Grid item xs={6} sm={3}>
+            <TextField
+              fullWidth
+              label="String Length"
+              type="number"
+              value={search.length}
+              onChange={(e) => updateSearch('length', e.target.value)}
+              InputProps={{ inputProps: { min: 1 } }}
+            />
+          </Grid>
+          <Grid item xs={6} sm={3}>
+            <TextField
+              fullWidth
+              label="Distinct Pages"
+              type="number"
+              value={search.pageCount}
+              onChange={(e) => updateSearch('pageCount', e.target.value)}
+              InputProps={{ inputProps: { min: 1 } }}
+            />
+          </Grid>
+          <Grid item xs={6} sm={3}>
+            <TextField
+              fullWidth
+              label="Attempts"
+              type="number"
+              value={search.attempts}
+              onChange={(e) => updateSearch('attempts', e.target.value)}
+              InputProps={{ inputProps: { min: 1 } }}
+            />
+          </Grid>
+          <Grid item xs={6} sm={3}>
+            <TextField
+              fullWidth
+              label="Seed"
+              type="number"
+              value={search.seed}
+              onChange={(e) => updateSearch('seed', e.target.value)}
+            />
+          </Grid>
+        </Grid>
+        <Button variant="outlined" onClick={handleSearch} fullWidth>
+          Search for Anomalies
+        </Button>
+      </Box>
+    </Paper>
+  );
+};
+
+export default BeladyInput;
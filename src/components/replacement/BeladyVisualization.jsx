@@ -0,0 +1,157 @@
+import React from 'react';
+import { Paper, Typography, Box, Alert, Button, Divider } from '@mui/material';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+
+// Register ChartJS components
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+const BeladyVisualization = ({ results, onAnalyse }) => {
+  if (!results) return null;
+
+  const { sweep, search } = results;
+
+  // Helper function to render the faults-versus-frames chart
+  const renderSweep = () => {
+    const anomalyFrames = new Set(sweep.fifoAnomalies.map(anomaly => anomaly.toFrames));
+
+    const chartData = {
+      labels: sweep.frameCounts,
+      datasets: [
+        {
+          label: 'FIFO',
+          data: sweep.fifoFaults,
+          borderColor: 'rgba(255, 99, 132, 1)',
+          backgroundColor: 'rgba(255, 99, 132, 0.6)',
+          // Enlarge the points where FIFO faults went up
+          pointRadius: sweep.frameCounts.map(frames => (anomalyFrames.has(frames) ? 8 : 3)),
+        },
+        {
+          label: 'LRU',
+          data: sweep.lruFaults,
+          borderColor: 'rgba(54, 162, 235, 1)',
+          backgroundColor: 'rgba(54, 162, 235, 0.6)',
+        },
+      ],
+    };
+
+    const chartOptions = {
+      responsive: true,
+      plugins: {
+        legend: {
+          position: 'top',
+        },
+        title: {
+          display: true,
+          text: 'Page Faults vs Number of Frames',
+        },
+      },
+      scales: {
+        x: {
+          title: {
+            display: true,
+            text: 'Frames',
+          },
+        },
+        y: {
+          beginAtZero: true,
+          ticks: {
+            precision: 0,
+          },
+          title: {
+            display: true,
+            text: 'Page Faults',
+          },
+        },
+      },
+    };
+
+    return (
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h6" gutterBottom>
+          Reference String: {sweep.referenceString.join(' ')}
+        </Typography>
+        <Line data={chartData} options={chartOptions} height={80} />
+
+        <Box sx={{ mt: 2 }}>
+          {sweep.fifoAnomalies.length > 0 ? (
+            <Alert severity="warning">
+              Belady's anomaly detected for FIFO:{' '}
+              {sweep.fifoAnomalies
+                .map(a => `${a.fromFrames} → ${a.toFrames} frames raises faults from ${a.fromFaults} to ${a.toFaults}`)
+                .join('; ')}
+            </Alert>
+          ) : (
+            <Alert severity="success">
+              FIFO faults never increase as frames are added for this reference string.
+            </Alert>
+          )}
+          {sweep.lruAnomalies.length === 0 && (
+            <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+              LRU is a stack algorithm, so its faults never increase with more frames.
+            </Typography>
+          )}
+        </Box>
+      </Box>
+    );
+  };
+
+  // Helper function to render anomaly examples found by the random search
+  const renderSearch = () => {
+    return (
+      <Box>
+        <Typography variant="h6" gutterBottom>Random Search Results</Typography>
+        <Typography gutterBottom>
+          Found {search.examples.length} example(s) in {search.tried} random reference string(s).
+        </Typography>
+        {search.examples.map((example, index) => (
+          <Box
+            key={`example-${index}`}
+            sx={{ display: 'flex', alignItems: 'center', gap: 2, mb: 1, p: 1, border: '1px solid #e0e0e0', borderRadius: 1 }}
+          >
+            <Box sx={{ flex: 1 }}>
+              <Typography sx={{ fontFamily: 'monospace' }}>{example.referenceString.join(' ')}</Typography>
+              <Typography variant="body2" color="text.secondary">
+                {example.anomalies.map(a => `${a.fromFrames} → ${a.toFrames} frames: ${a.fromFaults} → ${a.toFaults} faults`).join('; ')}
+              </Typography>
+            </Box>
+            <Button variant="outlined" size="small" onClick={() => onAnalyse(example.referenceString)}>
+              Plot
+            </Button>
+          </Box>
+        ))}
+      </Box>
+    );
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Typography variant="h5" gutterBottom>Belady's Anomaly Results</Typography>
+
+      {sweep && renderSweep()}
+
+      {sweep && search && <Divider sx={{ my: 3 }} />}
+
+      {search && renderSearch()}
+    </Paper>
+  );
+};
+
+export default BeladyVisualization;
@@ -0,0 +1,238 @@
+/**
+ * Page Replacement Algorithms Implementation
+ *
+ * This file contains implementations of the following page replacement algorithms:
+ * - FIFO (First In, First Out)
+ * - LRU (Least Recently Used)
+ * - OPT (Optimal)
+ * - Clock (Second Chance)
+ * - LFU (Least Frequently Used)
+ * - MFU (Most Frequently Used)
+ *
+ * Every algorithm keeps a fixed number of frame slots and records the frame
+ * contents after each reference, so the result can be shown as the usual
+ * frame-by-frame table.
+ */
+
+/**
+ * Parses a reference string such as "7 0 1 2" or "7, 0, 1, 2" into page numbers
+ * Returns null if any entry is not a non-negative integer
+ */
+export const parseReferenceString = (text) => {
+  const entries = text.split(/[\s,]+/).filter(entry => entry !== '');
+  if (entries.length === 0 || entries.some(entry => !/^\d+$/.test(entry))) return null;
+  return entries.map(entry => parseInt(entry));
+};
+
+/**
+ * Builds the common result shape from the recorded steps
+ */
+const buildResult = (algorithm, steps) => {
+  const faults = steps.filter(step => !step.hit).length;
+
+  return {
+    algorithm,
+    steps,
+    faults,
+    hits: steps.length - faults,
+    hitRatio: steps.length > 0 ? (steps.length - faults) / steps.length : 0
+  };
+};
+
+/**
+ * Runs a replacement policy over a reference string
+ * The policy chooses a victim slot when every frame is full and may keep its
+ * own bookkeeping through the onReference callback
+ *
+ * @param {Array} referenceString - Sequence of referenced pages
+ * @param {number} frameCount - Number of physical frames
+ * @param {Function} chooseVictim - (frames, time) => slot index to replace
+ * @param {Function} onReference - (slot, page, time, hit) => void
+ * @returns {Array} Steps of the simulation
+ */
+const simulate = (referenceString, frameCount, chooseVictim, onReference = () => {}) => {
+  const frames = Array(frameCount).fill(null);
+  const steps = [];
+
+  referenceString.forEach((page, time) => {
+    let slot = frames.indexOf(page);
+    const hit = slot !== -1;
+    let replaced = null;
+
+    if (!hit) {
+      // Fill an empty frame first, otherwise ask the policy for a victim
+      slot = frames.indexOf(null);
+      if (slot === -1) {
+        slot = chooseVictim(frames, time);
+        replaced = frames[slot];
+      }
+      frames[slot] = page;
+    }
+
+    onReference(slot, page, time, hit);
+
+    steps.push({
+      page,
+      frames: [...frames],
+      hit,
+      slot,
+      replaced
+    });
+  });
+
+  return steps;
+};
+
+/**
+ * FIFO Algorithm
+ * Replaces the page that has been in memory the longest
+ */
+export const fifo = (referenceString, frameCount) => {
+  const loadedAt = Array(frameCount).fill(-1);
+
+  const steps = simulate(
+    referenceString,
+    frameCount,
+    () => loadedAt.indexOf(Math.min(...loadedAt)),
+    (slot, page, time, hit) => {
+      if (!hit) loadedAt[slot] = time;
+    }
+  );
+
+  return buildResult('FIFO', steps);
+};
+
+/**
+ * LRU Algorithm
+ * Replaces the page that has not been used for the longest time
+ */
+export const lru = (referenceString, frameCount) => {
+  const lastUsed = Array(frameCount).fill(-1);
+
+  const steps = simulate(
+    referenceString,
+    frameCount,
+    () => lastUsed.indexOf(Math.min(...lastUsed)),
+    (slot, page, time) => {
+      lastUsed[slot] = time;
+    }
+  );
+
+  return buildResult('LRU', steps);
+};
+
+/**
+ * Optimal Algorithm
+ * Replaces the page that will not be used for the longest time in the future
+ */
+export const optimal = (referenceString, frameCount) => {
+  const steps = simulate(
+    referenceString,
+    frameCount,
+    (frames, time) => {
+      // Distance to the next use of every resident page (Infinity if never used again)
+      const nextUse = frames.map(page => {
+        const index = referenceString.indexOf(page, time + 1);
+        return index === -1 ? Infinity : index;
+      });
+      return nextUse.indexOf(Math.max(...nextUse));
+    }
+  );
+
+  return buildResult('OPT', steps);
+};
+
+/**
+ * Clock (Second Chance) Algorithm
+ * Frames form a circular list with a reference bit. The clock hand skips and
+ * clears pages whose bit is set and replaces the first page whose bit is clear.
+ */
+export const clock = (referenceString, frameCount) => {
+  const referenceBits = Array(frameCount).fill(0);
+  let hand = 0;
+
+  const steps = simulate(
+    referenceString,
+    frameCount,
+    () => {
+      // Give every page with its bit set a second chance
+      while (referenceBits[hand] === 1) {
+        referenceBits[hand] = 0;
+        hand = (hand + 1) % frameCount;
+      }
+      return hand;
+    },
+    (slot, page, time, hit) => {
+      referenceBits[slot] = 1;
+      // A newly loaded page moves the hand past it
+      if (!hit) hand = (slot + 1) % frameCount;
+    }
+  );
+
+  return buildResult('Clock', steps);
+};
+
+/**
+ * Counting-based policies (LFU and MFU)
+ * Reference counts are kept while a page is resident and reset when it is
+ * replaced. Ties are broken in FIFO order.
+ */
+const countingPolicy = (algorithm, referenceString, frameCount, pickCount) => {
+  const counts = Array(frameCount).fill(0);
+  const loadedAt = Array(frameCount).fill(-1);
+
+  const steps = simulate(
+    referenceString,
+    frameCount,
+    () => {
+      const target = pickCount(counts);
+      let victim = -1;
+      counts.forEach((count, slot) => {
+        if (count === target && (victim === -1 || loadedAt[slot] < loadedAt[victim])) {
+          victim = slot;
+        }
+      });
+      return victim;
+    },
+    (slot, page, time, hit) => {
+      if (hit) {
+        counts[slot]++;
+      } else {
+        counts[slot] = 1;
+        loadedAt[slot] = time;
+      }
+    }
+  );
+
+  return buildResult(algorithm, steps);
+};
+
+/**
+ * LFU Algorithm
+ * Replaces the page with the smallest reference count
+ */
+export const lfu = (referenceString, frameCount) => {
+  return countingPolicy('LFU', referenceString, frameCount, counts => Math.min(...counts));
+};
+
+/**
+ * MFU Algorithm
+ * Replaces the page with the largest reference count
+ */
+export const mfu = (referenceString, frameCount) => {
+  return countingPolicy('MFU', referenceString, frameCount, counts => Math.max(...counts));
+};
+
+/**
+ * Run all page replacement algorithms and return their results
+ */
+export const runAllReplacementAlgorithms = (referenceString, frameCount) => {
+  return {
+    fifo: fifo(referenceString, frameCount),
+    lru: lru(referenceString, frameCount),
+    optimal: optimal(referenceString, frameCount),
+    clock: clock(referenceString, frameCount),
+    lfu: lfu(referenceString, frameCount),
+    mfu: mfu(referenceString, frameCount)
+  };
+};
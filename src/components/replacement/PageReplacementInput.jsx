@@ -0,0 +1,65 @@
+import React, { useState } from 'react';
+import { TextField, Button, Grid, Typography, Paper } from '@mui/material';
+import { parseReferenceString } from './PageReplacementAlgorithms';
+
+const PageReplacementInput = ({ onSubmit }) => {
+  const [referenceString, setReferenceString] = useState('');
+  const [frameCount, setFrameCount] = useState('3');
+
+  const handleSubmit = () => {
+    // Validate inputs
+    const validReferenceString = parseReferenceString(referenceString);
+    const validFrameCount = parseInt(frameCount);
+
+    if (!validReferenceString || !validFrameCount || validFrameCount < 1) {
+      alert('Please enter a reference string of page numbers and at least one frame');
+      return;
+    }
+
+    onSubmit({
+      referenceString: validReferenceString,
+      frameCount: validFrameCount
+    });
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h5" gutterBottom>Page Replacement Input</Typography>
+
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        <Grid item xs={12} sm={8}>
+          <TextField
+            fullWidth
+            label="Reference String"
+            placeholder="7 0 1 2 0 3 0 4 2 3 0 3 2"
+            helperText="Page numbers separated by spaces or commas"
+            value={referenceString}
+            onChange={(e) => setReferenceString(e.target.value)}
+          />
+        </Grid>
+        <Grid item xs={12} sm={4}>
+          <TextField
+            fullWidth
+            label="Number of Frames"
+            type="number"
+            value={frameCount}
+            onChange={(e) => setFrameCount(e.target.value)}
+            InputProps={{ inputProps: { min: 1 } }}
+          />
+        </Grid>
+      </Grid>
+
+      <Button
+        variant="contained"
+        color="success"
+        onClick={handleSubmit}
+        fullWidth
+        sx={{ mt: 2 }}
+      >
+        Run Page Replacement Algorithms
+      </Button>
+    </Paper>
+  );
+};
+
+export default PageReplacementInput;
@@ -0,0 +1,165 @@
+import React from 'react';
+import { Paper, Typography, Box, Divider } from '@mui/material';
+import { Bar } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+
+// Register ChartJS components
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  BarElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+const cellStyle = {
+  padding: '6px',
+  textAlign: 'center',
+  border: '1px solid #ddd',
+  minWidth: '28px'
+};
+
+const PageReplacementVisualization = ({ results }) => {
+  if (!results) return null;
+
+  const algorithms = Object.values(results);
+
+  // Prepare data for page fault comparison chart
+  const faultChartData = {
+    labels: algorithms.map(algo => algo.algorithm),
+    datasets: [
+      {
+        label: 'Page Faults',
+        data: algorithms.map(algo => algo.faults),
+        backgroundColor: 'rgba(255, 99, 132, 0.6)',
+      },
+      {
+        label: 'Page Hits',
+        data: algorithms.map(algo => algo.hits),
+        backgroundColor: 'rgba(75, 192, 192, 0.6)',
+      },
+    ],
+  };
+
+  const chartOptions = {
+    responsive: true,
+    plugins: {
+      legend: {
+        position: 'top',
+      },
+      title: {
+        display: true,
+        text: 'Page Fault Comparison',
+      },
+    },
+    scales: {
+      y: {
+        beginAtZero: true,
+        ticks: {
+          precision: 0,
+        },
+        title: {
+          display: true,
+          text: 'References',
+        },
+      },
+    },
+  };
+
+  // Helper function to render the frame-by-frame table of an algorithm
+  const renderFrameTable = (algorithm) => {
+    const frameCount = algorithm.steps.length > 0 ? algorithm.steps[0].frames.length : 0;
+
+    return (
+      <Box key={algorithm.algorithm} sx={{ mt: 2 }}>
+        <Typography variant="h6" gutterBottom>{algorithm.algorithm}</Typography>
+
+        <Box sx={{ overflowX: 'auto' }}>
+          <table style={{ borderCollapse: 'collapse' }}>
+            <thead>
+              <tr>
+                <th style={{ ...cellStyle, border: 'none' }}>Reference</th>
+                {algorithm.steps.map((step, time) => (
+                  <th key={`ref-${time}`} style={cellStyle}>{step.page}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {Array(frameCount).fill().map((_, slot) => (
+                <tr key={`frame-${slot}`}>
+                  <td style={{ ...cellStyle, fontWeight: 'bold', border: 'none' }}>Frame {slot}</td>
+                  {algorithm.steps.map((step, time) => {
+                    // Highlight the frame that was loaded by a fault
+                    const isLoaded = !step.hit && step.slot === slot;
+                    const isHit = step.hit && step.slot === slot;
+                    return (
+                      <td
+                        key={`cell-${slot}-${time}`}
+                        style={{
+                          ...cellStyle,
+                          background: isLoaded ? '#ffcdd2' : isHit ? '#c8e6c9' : 'transparent',
+                          fontWeight: isLoaded || isHit ? 'bold' : 'normal',
+                        }}
+                      >
+                        {step.frames[slot] !== null ? step.frames[slot] : ''}
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+              <tr>
+                <td style={{ ...cellStyle, fontWeight: 'bold', border: 'none' }}>Result</td>
+                {algorithm.steps.map((step, time) => (
+                  <td
+                    key={`result-${time}`}
+                    title={step.replaced !== null ? `Replaced page ${step.replaced}` : undefined}
+                    style={{ ...cellStyle, color: step.hit ? '#2e7d32' : '#c62828', fontWeight: 'bold' }}
+                  >
+                    {step.hit ? 'H' : 'F'}
+                  </td>
+                ))}
+              </tr>
+            </tbody>
+          </table>
+        </Box>
+
+        <Box sx={{ mt: 2 }}>
+          <Typography>Page Faults: {algorithm.faults}</Typography>
+          <Typography>Page Hits: {algorithm.hits}</Typography>
+          <Typography>Hit Ratio: {(algorithm.hitRatio * 100).toFixed(1)}%</Typography>
+        </Box>
+
+        <Divider sx={{ my: 3 }} />
+      </Box>
+    );
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Typography variant="h5" gutterBottom>Page Replacement Results</Typography>
+
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h6" gutterBottom>Page Fault Comparison</Typography>
+        <Bar data={faultChartData} options={chartOptions} height={80} />
+      </Box>
+
+      <Typography variant="body2" color="text.secondary" gutterBottom>
+        H marks a hit and F a fault. The frame loaded on a fault is shown in red and the frame hit in green.
+      </Typography>
+
+      {/* Render the frame table for each algorithm */}
+      {algorithms.map(algorithm => renderFrameTable(algorithm))}
+    </Paper>
+  );
+};
+
+export default PageReplacementVisualization;
@@ -0,0 +1,238 @@
+import React, { useState } from 'react';
+import { TextField, Button, Grid, Typography, Paper, Box, MenuItem, Divider } from '@mui/material';
+import { parseReferenceString } from './PageReplacementAlgorithms';
+import { LOAD_CONTROLS, REPLACEMENT_SCOPES, generateWorkload } from './WorkingSetSimulation';
+
+// Default workload generator settings
+const DEFAULT_GENERATOR = {
+  processCount: '8',
+  length: '300',
+  pageCount: '30',
+  localitySize: '5',
+  phaseLength: '60',
+  seed: '1'
+};
+
+/**
+ * Generates reference strings as editable text, or returns null if a setting is missing
+ */
+const generateProcesses = (generator) => {
+  const values = Object.fromEntries(
+    Object.entries(generator).map(([field, value]) => [field, parseInt(value)])
+  );
+
+  if (!values.processCount || !values.length || !values.pageCount || !values.localitySize || !values.phaseLength) {
+    return null;
+  }
+
+  return generateWorkload({ ...values, seed: values.seed || 0 })
+    .map(process => ({ id: process.id, references: process.references.join(' ') }));
+};
+
+/**
+ * True for a reference string that was entered but cannot be parsed
+ */
+const isInvalidReferences = (references) => references.trim() !== '' && parseReferenceString(references) === null;
+
+const WorkingSetInput = ({ onSubmit }) => {
+  const [settings, setSettings] = useState({
+    frameCount: '24',
+    faultTime: '10',
+    delta: '12',
+    pffWindow: '10',
+    pffUpper: '0.3',
+    pffLower: '0.05'
+  });
+  const [scope, setScope] = useState('global');
+  const [control, setControl] = useState('workingSet');
+  const [generator, setGenerator] = useState(DEFAULT_GENERATOR);
+  // Start with the workload the default generator settings produce
+  const [processes, setProcesses] = useState(() => generateProcesses(DEFAULT_GENERATOR));
+
+  const updateSettings = (field, value) => {
+    setSettings({ ...settings, [field]: value });
+  };
+
+  const updateGenerator = (field, value) => {
+    setGenerator({ ...generator, [field]: value });
+  };
+
+  const addProcess = () => {
+    const newId = processes.length > 0 ? Math.max(...processes.map(process => process.id)) + 1 : 1;
+    setProcesses([...processes, { id: newId, references: '' }]);
+  };
+
+  const removeProcess = (id) => {
+    if (processes.length > 1) {
+      setProcesses(processes.filter(process => process.id !== id));
+    }
+  };
+
+  const updateProcess = (id, references) => {
+    setProcesses(processes.map(process =>
+      process.id === id ? { ...process, references } : process
+    ));
+  };
+
+  const handleGenerate = () => {
+    const generated = generateProcesses(generator);
+
+    if (!generated) {
+      alert('Please enter positive numbers for the workload generator');
+      return;
+    }
+
+    setProcesses(generated);
+  };
+
+  const handleSubmit = () => {
+    // Validate inputs
+    const invalidProcess = processes.find(process => isInvalidReferences(process.references));
+    if (invalidProcess) {
+      alert(`The reference string of process ${invalidProcess.id} must be page numbers separated by spaces or commas`);
+      return;
+    }
+
+    // Blank reference strings are skipped
+    const validProcesses = processes
+      .map(process => ({ id: process.id, references: parseReferenceString(process.references) }))
+      .filter(process => process.references !== null);
+
+    const frameCount = parseInt(settings.frameCount);
+    const faultTime = parseInt(settings.faultTime);
+    const delta = parseInt(settings.delta);
+    const pffWindow = parseInt(settings.pffWindow);
+    const pffUpper = parseFloat(settings.pffUpper);
+    const pffLower = parseFloat(settings.pffLower);
+
+    if (validProcesses.length === 0 || !frameCount || !faultTime || !delta || !pffWindow) {
+      alert('Please enter the frame count, fault service time, Δ, the PFF window and at least one reference string');
+      return;
+    }
+
+    if (isNaN(pffUpper) || isNaN(pffLower) || pffLower < 0 || pffUpper > 1 || pffLower >= pffUpper) {
+      alert('The PFF bounds must be fault rates between 0 and 1 with the lower bound below the upper bound');
+      return;
+    }
+
+    onSubmit({
+      processes: validProcesses,
+      config: { frameCount, faultTime, scope, control, delta, pffWindow, pffUpper, pffLower }
+    });
+  };
+
+  // Helper function to render one numeric setting
+  const renderField = (values, update, field, label, step = 1) => (
+    <Grid item xs={6} sm={4} key={field}>
+      <TextField
+        fullWidth
+        label={label}
+        type="number"
+        value={values[field]}
+        onChange={(e) => update(field, e.target.value)}
+        InputProps={{ inputProps: { min: 0, step } }}
+      />
+    </Grid>
+  );
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h5" gutterBottom>Working Set and Thrashing Input</Typography>
+
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        {renderField(settings, updateSettings, 'frameCount', 'Shared Frames')}
+        {renderField(settings, updateSettings, 'faultTime', 'Fault Service Time (ticks)')}
+        <Grid item xs={6} sm={4}>
+          <TextField
+            select
+            fullWidth
+            label="Replacement Scope"
+            value={scope}
+            onChange={(e) => setScope(e.target.value)}
+          >
+            {Object.entries(REPLACEMENT_SCOPES).map(([key, name]) => (
+              <MenuItem key={key} value={key}>{name}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={6} sm={4}>
+          <TextField
+            select
+            fullWidth
+            label="Load Control"
+            value={control}
+            onChange={(e) => setControl(e.target.value)}
+          >
+            {Object.entries(LOAD_CONTROLS).map(([key, name]) => (
+              <MenuItem key={key} value={key}>{name}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        {renderField(settings, updateSettings, 'delta', 'Working-Set Window Δ')}
+        {renderField(settings, updateSettings, 'pffWindow', 'PFF Window (references)')}
+        {control === 'pff' && renderField(settings, updateSettings, 'pffUpper', 'PFF Upper Bound', 0.01)}
+        {control === 'pff' && renderField(settings, updateSettings, 'pffLower', 'PFF Lower Bound', 0.01)}
+      </Grid>
+
+      <Box sx={{ mb: 3 }}>
+        <Typography variant="h6" gutterBottom>Generate a Workload</Typography>
+        <Grid container spacing={2} sx={{ mb: 2 }}>
+          {renderField(generator, updateGenerator, 'processCount', 'Processes')}
+          {renderField(generator, updateGenerator, 'length', 'References per Process')}
+          {renderField(generator, updateGenerator, 'pageCount', 'Pages per Process')}
+          {renderField(generator, updateGenerator, 'localitySize', 'Locality Size')}
+          {renderField(generator, updateGenerator, 'phaseLength', 'Phase Length')}
+          {renderField(generator, updateGenerator, 'seed', 'Seed')}
+        </Grid>
+        <Button variant="outlined" onClick={handleGenerate}>
+          Generate Reference Strings
+        </Button>
+      </Box>
+
+      <Divider sx={{ my: 3 }} />
+
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h6" gutterBottom>Processes</Typography>
+        {processes.map((process) => (
+          <Grid container spacing={2} key={process.id} sx={{ mb: 1 }}>
+            <Grid item xs={9}>
+              <TextField
+                fullWidth
+                label={`Process ${process.id} Reference String`}
+                value={process.references}
+                onChange={(e) => updateProcess(process.id, e.target.value)}
+                error={isInvalidReferences(process.references)}
+                helperText={isInvalidReferences(process.references) ? 'Enter page numbers separated by spaces or commas' : ''}
+              />
+            </Grid>
+            <Grid item xs={3}>
+              <Button
+                variant="outlined"
+                color="error"
+                onClick={() => removeProcess(process.id)}
+                disabled={processes.length <= 1}
+              >
+                Remove
+              </Button>
+            </Grid>
+          </Grid>
+        ))}
+        <Button variant="contained" color="primary" onClick={addProcess} sx={{ mt: 1 }}>
+          Add Process
+        </Button>
+      </Box>
+
+      <Button
+        variant="contained"
+        color="success"
+        onClick={handleSubmit}
+        fullWidth
+        sx={{ mt: 2 }}
+      >
+        Run Simulation
+      </Button>
+    </Paper>
+  );
+};
+
+export default WorkingSetInput;
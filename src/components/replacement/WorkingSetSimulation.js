@@ -0,0 +1,342 @@
+/**
+ * Working-Set and Thrashing Simulation
+ *
+ * This file simulates several processes sharing a fixed pool of frames.
+ * Each tick the CPU runs one reference of the next ready process in
+ * round-robin order. A page fault blocks the process until the single paging
+ * device has loaded the page, which takes a fixed number of ticks, so the CPU
+ * idles when every process is waiting for the disk. With too many processes
+ * each one keeps losing its pages and the CPU spends most of its time idle:
+ * the system thrashes.
+ *
+ * Replacement scope:
+ * - Global: the victim is the least recently used page of any process
+ * - Local: a process replaces its own least recently used page once it holds
+ *   its equal share of the frames
+ *
+ * Load control:
+ * - None: every process stays active
+ * - Working set: pages outside a process's last Δ references are released,
+ *   and a process is suspended when the working sets no longer fit
+ * - Page-fault frequency (PFF): a process with a low fault rate gives up a
+ *   frame, and a process is suspended when a high fault rate cannot be met
+ *   with a free frame
+ */
+
+import { createSeededRandom, randomInt } from '../common/SeededRandom';
+
+/**
+ * Supported load-control policies
+ */
+export const LOAD_CONTROLS = {
+  none: 'None',
+  workingSet: 'Working Set (Δ)',
+  pff: 'Page-Fault Frequency'
+};
+
+/**
+ * Supported replacement scopes
+ */
+export const REPLACEMENT_SCOPES = {
+  global: 'Global',
+  local: 'Local'
+};
+
+// Stop runaway simulations, e.g. when every process is suspended forever
+const MAX_TICKS = 50000;
+
+/**
+ * Generates a reference string with locality: references stay inside a small
+ * window of pages that moves to a new random position every phase
+ *
+ * @param {Function} random - Seeded generator
+ * @param {number} length - Number of references
+ * @param {number} pageCount - Distinct pages of the process
+ * @param {number} localitySize - Pages in one locality
+ * @param {number} phaseLength - References before the locality moves
+ * @returns {Array} Page numbers
+ */
+export const generateLocalityString = (random, length, pageCount, localitySize, phaseLength) => {
+  const size = Math.min(localitySize, pageCount);
+  const references = [];
+  let base = 0;
+
+  for (let i = 0; i < length; i++) {
+    if (i % phaseLength === 0) {
+      base = randomInt(random, 0, pageCount - size);
+    }
+    references.push(base + randomInt(random, 0, size - 1));
+  }
+
+  return references;
+};
+
+/**
+ * Generates one locality reference string per process from a seed
+ */
+export const generateWorkload = (config) => {
+  const random = createSeededRandom(config.seed);
+  return Array(config.processCount).fill().map((_, index) => ({
+    id: index + 1,
+    references: generateLocalityString(random, config.length, config.pageCount, config.localitySize, config.phaseLength)
+  }));
+};
+
+/**
+ * Distinct pages among the last `window` references of a process
+ */
+const workingSetOf = (history, window) => new Set(history.slice(-window));
+
+/**
+ * Frames a process needs: its working set plus the page of its next reference.
+ * The next page counts even before any reference completes, so processes
+ * that keep losing their frames still show up as demand.
+ */
+const demandOf = (state, window) => new Set([...workingSetOf(state.history, window), state.references[state.pc]]).size;
+
+/**
+ * Runs the shared-frame simulation
+ *
+ * @param {Array} processes - Processes of the form { id, references }
+ * @param {Object} config - Simulation settings
+ * @param {number} config.frameCount - Frames shared by all processes
+ * @param {number} config.faultTime - Ticks the paging device needs per fault
+ * @param {string} config.scope - global or local replacement
+ * @param {string} config.control - none, workingSet or pff
+ * @param {number} config.delta - Working-set window Δ in references
+ * @param {number} config.pffWindow - References used to measure the fault rate
+ * @param {number} config.pffUpper - Fault rate above which a process needs more frames
+ * @param {number} config.pffLower - Fault rate below which a process gives up a frame
+ * @returns {Object} CPU utilisation, faults, working-set sizes over time and controller decisions
+ */
+export const simulateMultiprogramming = (processes, config) => {
+  const { frameCount, faultTime, scope, control, delta, pffWindow, pffUpper, pffLower } = config;
+
+  const states = processes.map(process => ({
+    id: process.id,
+    references: process.references,
+    pc: 0,
+    status: 'ready',
+    // Resident pages mapped to the tick they were last used
+    pages: new Map(),
+    history: [],
+    // 1 for a fault and 0 for a hit, per completed reference
+    outcomes: [],
+    lastFaulted: false,
+    // Index of the last PFF window measured, so each window is measured once
+    measuredWindow: 0,
+    // Tick of the last suspension and the frames held just before it
+    suspendedAt: null,
+    suspendedFrames: 0,
+    faults: 0,
+    finishedAt: null
+  }));
+
+  const decisions = [];
+  const workingSetSizes = states.map(() => []);
+  const diskQueue = [];
+  let disk = null;
+  let busyTicks = 0;
+  let nextToRun = 0;
+  let tick = 0;
+
+  const resident = () => states.reduce((sum, state) => sum + state.pages.size, 0);
+  const activeStates = () => states.filter(state => state.status !== 'suspended' && state.status !== 'done');
+
+  const releaseLRU = (state) => {
+    let victim = null;
+    state.pages.forEach((lastUsed, page) => {
+      if (victim === null || lastUsed < state.pages.get(victim)) victim = page;
+    });
+    if (victim !== null) state.pages.delete(victim);
+  };
+
+  // A page reserved for a blocked process is only taken when nothing else is resident
+  const isPending = (state, page) => state.status === 'blocked' && page === state.references[state.pc];
+
+  const releaseGlobalLRU = () => {
+    let owner = null;
+    let victim = null;
+    [false, true].forEach(includePending => {
+      if (owner !== null) return;
+      states.forEach(state => {
+        state.pages.forEach((lastUsed, page) => {
+          if (!includePending && isPending(state, page)) return;
+          if (victim === null || lastUsed < owner.pages.get(victim)) {
+            owner = state;
+            victim = page;
+          }
+        });
+      });
+    });
+    if (owner !== null) owner.pages.delete(victim);
+  };
+
+  const suspend = (state, reason) => {
+    state.status = 'suspended';
+    state.suspendedAt = tick;
+    state.suspendedFrames = state.pages.size;
+    state.pages.clear();
+    const queued = diskQueue.indexOf(state);
+    if (queued !== -1) diskQueue.splice(queued, 1);
+    if (disk && disk.state === state) disk = null;
+    decisions.push({ time: tick, action: 'suspend', processId: state.id, reason });
+  };
+
+  const resume = (state, reason) => {
+    state.status = 'ready';
+    decisions.push({ time: tick, action: 'resume', processId: state.id, reason });
+  };
+
+  // Make room for one page of a faulting process
+  const makeRoom = (state) => {
+    if (resident() < frameCount) return;
+    const share = Math.max(1, Math.floor(frameCount / activeStates().length));
+    if (scope === 'local' && state.pages.size >= share) {
+      releaseLRU(state);
+    } else {
+      releaseGlobalLRU();
+    }
+  };
+
+  while (states.some(state => state.status !== 'done') && tick < MAX_TICKS) {
+    // The paging device finishes a load and starts the next one
+    if (disk && tick >= disk.finishAt) {
+      disk.state.status = 'ready';
+      disk = null;
+    }
+    if (!disk && diskQueue.length > 0) {
+      disk = { state: diskQueue.shift(), finishAt: tick + faultTime };
+    }
+
+    // Run one reference of the next ready process
+    const ready = states
+      .map((_, offset) => states[(nextToRun + offset) % states.length])
+      .find(state => state.status === 'ready');
+
+    if (ready) {
+      busyTicks++;
+      nextToRun = (states.indexOf(ready) + 1) % states.length;
+      const page = ready.references[ready.pc];
+
+      if (ready.pages.has(page)) {
+        ready.pages.set(page, tick);
+        ready.history.push(page);
+        ready.outcomes.push(ready.lastFaulted ? 1 : 0);
+        ready.lastFaulted = false;
+        ready.pc++;
+        if (ready.pc === ready.references.length) {
+          ready.status = 'done';
+          ready.finishedAt = tick;
+          ready.pages.clear();
+        }
+      } else {
+        // Page fault: reserve a frame now and wait for the paging device
+        ready.faults++;
+        ready.lastFaulted = true;
+        makeRoom(ready);
+        ready.pages.set(page, tick);
+        ready.status = 'blocked';
+        diskQueue.push(ready);
+      }
+    }
+
+    // Load control
+    if (control === 'workingSet') {
+      // Release pages that have left the working set
+      activeStates().forEach(state => {
+        const workingSet = workingSetOf(state.history, delta);
+        state.pages.forEach((_, page) => {
+          if (!workingSet.has(page) && page !== state.references[state.pc]) state.pages.delete(page);
+        });
+      });
+
+      const demand = activeStates().reduce((sum, state) => sum + demandOf(state, delta), 0);
+      if (demand > frameCount && activeStates().length > 1) {
+        const victim = activeStates()[activeStates().length - 1];
+        suspend(victim, `Working sets need ${demand} frames, only ${frameCount} exist`);
+      } else {
+        const waiting = states.find(state => state.status === 'suspended');
+        if (waiting) {
+          const needed = demandOf(waiting, delta);
+          if (demand + needed <= frameCount) {
+            resume(waiting, `Working sets need ${demand} frames, ${needed} more fit`);
+          }
+        }
+      }
+    } else if (control === 'pff') {
+      activeStates().forEach(state => {
+        const recent = state.outcomes.slice(-pffWindow);
+        if (recent.length < pffWindow || state.status !== 'ready') return;
+        // Measure each window once, however many ticks pass before the next reference
+        const window = Math.floor(state.outcomes.length / pffWindow);
+        if (window === state.measuredWindow) return;
+        state.measuredWindow = window;
+        const rate = recent.reduce((sum, outcome) => sum + outcome, 0) / recent.length;
+
+        if (rate < pffLower && state.pages.size > 1) {
+          releaseLRU(state);
+        } else if (rate > pffUpper && resident() >= frameCount && activeStates().length > 1) {
+          const victim = activeStates().filter(other => other !== state).pop();
+          suspend(victim, `P${state.id} fault rate ${rate.toFixed(2)} > ${pffUpper} and no free frame`);
+        }
+      });
+
+      // Resume a suspended process once there is room for an average share and
+      // more than it held when suspended, so the frames its own suspension
+      // freed are not enough to bring it straight back
+      const waiting = states.find(state => state.status === 'suspended' && state.suspendedAt < tick);
+      const share = Math.floor(frameCount / (activeStates().length + 1));
+      const free = frameCount - resident();
+      if (waiting && free >= Math.max(1, share) && free > waiting.suspendedFrames) {
+        resume(waiting, `${free} free frames, it held ${waiting.suspendedFrames}`);
+      }
+    }
+
+    // Record the working-set size of every process
+    states.forEach((state, index) => {
+      workingSetSizes[index].push(state.status === 'done' ? 0 : workingSetOf(state.history, delta).size);
+    });
+
+    tick++;
+  }
+
+  const totalFaults = states.reduce((sum, state) => sum + state.faults, 0);
+  const totalReferences = states.reduce((sum, state) => sum + state.references.length, 0);
+
+  return {
+    config,
+    ticks: tick,
+    busyTicks,
+    cpuUtilisation: tick > 0 ? busyTicks / tick : 0,
+    totalFaults,
+    faultRate: totalReferences > 0 ? totalFaults / totalReferences : 0,
+    processes: states.map(state => ({
+      id: state.id,
+      references: state.references.length,
+      faults: state.faults,
+      finishedAt: state.finishedAt
+    })),
+    workingSetSizes,
+    decisions,
+    completed: states.every(state => state.status === 'done')
+  };
+};
+
+/**
+ * Runs the simulation with 1, 2, ... n processes to show how CPU utilisation
+ * changes with the degree of multiprogramming, with and without load control
+ */
+export const sweepMultiprogramming = (processes, config) => {
+  const degrees = processes.map((_, index) => index + 1);
+
+  return {
+    degrees,
+    uncontrolled: degrees.map(degree =>
+      simulateMultiprogramming(processes.slice(0, degree), { ...config, control: 'none' }).cpuUtilisation
+    ),
+    controlled: degrees.map(degree =>
+      simulateMultiprogramming(processes.slice(0, degree), config).cpuUtilisation
+    )
+  };
+};
@@ -0,0 +1,228 @@
+import React from 'react';
+import { Paper, Typography, Box, Grid, Chip, Divider, Alert } from '@mui/material';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { LOAD_CONTROLS, REPLACEMENT_SCOPES } from './WorkingSetSimulation';
+
+// Register ChartJS components
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+// Colours used to tell processes apart
+const PROCESS_COLORS = ['#1976d2', '#388e3c', '#f57c00', '#7b1fa2', '#c2185b', '#0097a7', '#5d4037', '#455a64'];
+
+// Working-set sizes are sampled so long runs stay readable
+const MAX_CHART_POINTS = 400;
+
+const WorkingSetVisualization = ({ results }) => {
+  if (!results) return null;
+
+  const { run, sweep } = results;
+  const { config } = run;
+
+  const utilisationChartData = {
+    labels: sweep.degrees,
+    datasets: [
+      {
+        label: 'No Load Control',
+        data: sweep.uncontrolled.map(value => value * 100),
+        borderColor: 'rgba(255, 99, 132, 1)',
+        backgroundColor: 'rgba(255, 99, 132, 0.6)',
+      },
+      ...(config.control !== 'none' ? [{
+        label: LOAD_CONTROLS[config.control],
+        data: sweep.controlled.map(value => value * 100),
+        borderColor: 'rgba(54, 162, 235, 1)',
+        backgroundColor: 'rgba(54, 162, 235, 0.6)',
+      }] : []),
+    ],
+  };
+
+  const utilisationChartOptions = {
+    responsive: true,
+    plugins: {
+      legend: {
+        position: 'top',
+      },
+      title: {
+        display: true,
+        text: 'CPU Utilisation vs Degree of Multiprogramming',
+      },
+    },
+    scales: {
+      x: {
+        title: {
+          display: true,
+          text: 'Processes',
+        },
+      },
+      y: {
+        beginAtZero: true,
+        max: 100,
+        title: {
+          display: true,
+          text: 'CPU Utilisation (%)',
+        },
+      },
+    },
+  };
+
+  const sampleStep = Math.max(1, Math.ceil(run.ticks / MAX_CHART_POINTS));
+  const sampledTicks = Array(Math.ceil(run.ticks / sampleStep)).fill().map((_, index) => index * sampleStep);
+
+  const workingSetChartData = {
+    labels: sampledTicks,
+    datasets: run.processes.map((process, index) => ({
+      label: `P${process.id}`,
+      data: sampledTicks.map(tick => run.workingSetSizes[index][tick]),
+      borderColor: PROCESS_COLORS[index % PROCESS_COLORS.length],
+      backgroundColor: PROCESS_COLORS[index % PROCESS_COLORS.length],
+      pointRadius: 0,
+      borderWidth: 1.5,
+    })),
+  };
+
+  const workingSetChartOptions = {
+    responsive: true,
+    plugins: {
+      legend: {
+        position: 'top',
+      },
+      title: {
+        display: true,
+        text: `Working-Set Size over Time (Δ = ${config.delta})`,
+      },
+    },
+    scales: {
+      x: {
+        title: {
+          display: true,
+          text: 'Tick',
+        },
+      },
+      y: {
+        beginAtZero: true,
+        ticks: {
+          precision: 0,
+        },
+        title: {
+          display: true,
+          text: 'Pages',
+        },
+      },
+    },
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Typography variant="h5" gutterBottom>
+        Simulation Results ({REPLACEMENT_SCOPES[config.scope]} replacement, {LOAD_CONTROLS[config.control]} load control)
+      </Typography>
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 3 }}>
+        <Chip label={`CPU Utilisation: ${(run.cpuUtilisation * 100).toFixed(1)}%`} color="primary" />
+        <Chip label={`Ticks: ${run.ticks}`} variant="outlined" />
+        <Chip label={`Page Faults: ${run.totalFaults}`} color="error" variant="outlined" />
+        <Chip label={`Fault Rate: ${(run.faultRate * 100).toFixed(1)}%`} variant="outlined" />
+        <Chip label={`Controller Decisions: ${run.decisions.length}`} variant="outlined" />
+      </Box>
+
+      {!run.completed && (
+        <Alert severity="warning" sx={{ mb: 3 }}>
+          The simulation stopped after {run.ticks} ticks before every process finished.
+        </Alert>
+      )}
+
+      <Grid container spacing={3} sx={{ mb: 4 }}>
+        <Grid item xs={12} md={6}>
+          <Line data={utilisationChartData} options={utilisationChartOptions} />
+        </Grid>
+        <Grid item xs={12} md={6}>
+          <Line data={workingSetChartData} options={workingSetChartOptions} />
+        </Grid>
+      </Grid>
+
+      <Box sx={{ mb: 4, overflowX: 'auto' }}>
+        <Typography variant="h6" gutterBottom>Processes</Typography>
+        <table style={{ borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={{ padding: '8px', textAlign: 'left' }}>Process</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>References</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Page Faults</th>
+              <th style={{ padding: '8px', textAlign: 'center' }}>Finished at Tick</th>
+            </tr>
+          </thead>
+          <tbody>
+            {run.processes.map(process => (
+              <tr key={`process-${process.id}`}>
+                <td style={{ padding: '8px', border: '1px solid #ddd' }}>P{process.id}</td>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{process.references}</td>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{process.faults}</td>
+                <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>
+                  {process.finishedAt !== null ? process.finishedAt : 'Not finished'}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </Box>
+
+      <Divider sx={{ my: 3 }} />
+
+      <Box>
+        <Typography variant="h6" gutterBottom>Controller Decisions</Typography>
+        {run.decisions.length === 0 ? (
+          <Typography>No process was suspended or resumed.</Typography>
+        ) : (
+          <Box sx={{ maxHeight: 300, overflowY: 'auto' }}>
+            <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+              <thead>
+                <tr>
+                  <th style={{ padding: '8px', textAlign: 'center' }}>Tick</th>
+                  <th style={{ padding: '8px', textAlign: 'center' }}>Decision</th>
+                  <th style={{ padding: '8px', textAlign: 'center' }}>Process</th>
+                  <th style={{ padding: '8px', textAlign: 'left' }}>Reason</th>
+                </tr>
+              </thead>
+              <tbody>
+                {run.decisions.map((decision, index) => (
+                  <tr key={`decision-${index}`}>
+                    <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>{decision.time}</td>
+                    <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>
+                      <Chip
+                        size="small"
+                        label={decision.action === 'suspend' ? 'Suspend' : 'Resume'}
+                        color={decision.action === 'suspend' ? 'error' : 'success'}
+                      />
+                    </td>
+                    <td style={{ padding: '8px', textAlign: 'center', border: '1px solid #ddd' }}>P{decision.processId}</td>
+                    <td style={{ padding: '8px', border: '1px solid #ddd' }}>{decision.reason}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </Box>
+        )}
+      </Box>
+    </Paper>
+  );
+};
+
+export default WorkingSetVisualization;
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { TextField, Button, Grid, Typography, Paper, Box, MenuItem } from '@mui/material';
+import { TLB_POLICIES, parseAddressTrace } from './TLBSimulator';
+
+const TLBInput = ({ onSubmit }) => {
+  const [config, setConfig] = useState({
+    pageSize: '4096',
+    tlbSize: '4',
+    tlbTime: '20',
+    memoryTime: '100',
+    levels: '1',
+    seed: '1'
+  });
+  const [policy, setPolicy] = useState('lru');
+  const [trace, setTrace] = useState('0 100 4096 8192 200 4300 12288 0x5000 16 8200 20480 0 4100');
+
+  const updateConfig = (field, value) => {
+    setConfig({ ...config, [field]: value });
+  };
+
+  const handleSubmit = () => {
+    // Validate inputs
+    const addresses = parseAddressTrace(trace);
+    const values = Object.fromEntries(
+      Object.entries(config).map(([field, value]) => [field, parseInt(value)])
+    );
+
+    if (!addresses || !values.pageSize || !values.tlbSize || !values.levels ||
+        values.pageSize < 1 || values.tlbSize < 1 || values.levels < 1 ||
+        isNaN(values.tlbTime) || isNaN(values.memoryTime) || values.tlbTime < 0 || values.memoryTime < 0) {
+      alert('Please enter the page size, TLB size, access times, page-table levels and an address trace');
+      return;
+    }
+
+    onSubmit({
+      config: { ...values, seed: values.seed || 0, policy },
+      addresses
+    });
+  };
+
+  return (
+    <Paper elevation={3} sx={{ p: 3, mb: 3 }}>
+      <Typography variant="h5" gutterBottom>TLB Input</Typography>
+
+      <Grid container spacing={2} sx={{ mb: 3 }}>
+        <Grid item xs={6} sm={4}>
+          <TextField
+            fullWidth
+            label="Page Size"
+            type="number"
+            value={config.pageSize}
+            onChange={(e) => updateConfig('pageSize', e.target.value)}
+            InputProps={{ inputProps: { min: 1 } }}
+          />
+        </Grid>
+        <Grid item xs={6} sm={4}>
+          <TextField
+            fullWidth
+            label="TLB Entries"
+            type="number"
+            value={config.tlbSize}
+            onChange={(e) => updateConfig('tlbSize', e.target.value)}
+            InputProps={{ inputProps: { min: 1 } }}
+          />
+        </Grid>
+        <Grid item xs={6} sm={4}>
+          <TextField
+            select
+            fullWidth
+            label="TLB Replacement"
+            value={policy}
+            onChange={(e) => setPolicy(e.target.value)}
+          >
+            {Object.entries(TLB_POLICIES).map(([key, name]) => (
+              <MenuItem key={key} value={key}>{name}</MenuItem>
+            ))}
+          </TextField>
+        </Grid>
+        <Grid item xs={6} sm={3}>
+          <TextField
+            fullWidth
+            label="TLB Lookup Time (ns)"
+            type="number"
+            value={config.tlbTime}
+            onChange={(e) => updateConfig('tlbTime', e.target.value)}
+            InputProps={{ inputProps: { min: 0 } }}
+          />
+        </Grid>
+        <Grid item xs={6} sm={3}>
+          <TextField
+            fullWidth
+            label="Memory Access Time (ns)"
+            type="number"
+            value={config.memoryTime}
+            onChange={(e) => updateConfig('memoryTime', e.target.value)}
+            InputProps={{ inputProps: { min: 0 } }}
+          />
+        </Grid>
+        <Grid item xs={6} sm={3}>
+          <TextField
+            fullWidth
+            label="Page-Table Levels"
+            type="number"
+            value={config.levels}
+            onChange={(e) => updateConfig('levels', e.target.value)}
+            InputProps={{ inputProps: { min: 1 } }}
+          />
+        </Grid>
+        <Grid item xs={6} sm={3}>
+          <TextField
+            fullWidth
+            label="Seed (Random policy)"
+            type="number"
+            value={config.seed}
+            onChange={(e) => updateConfig('seed', e.target.value)}
+            disabled={policy !== 'random'}
+          />
+        </Grid>
+      </Grid>
+
+      <Box sx={{ mb: 2 }}>
+        <TextField
+          fullWidth
+          multiline
+          minRows={2}
+          label="Address Trace"
+          helperText="Logical addresses separated by spaces or commas, decimal or hexadecimal (0x...)"
+          value={trace}
+          onChange={(e) => setTrace(e.target.value)}
+        />
+      </Box>
+
+      <Button
+        variant="contained"
+        color="success"
+        onClick={handleSubmit}
+        fullWidth
+        sx={{ mt: 2 }}
+      >
+        Run TLB Simulation
+      </Button>
+    </Paper>
+  );
+};
+
+export default TLBInput;
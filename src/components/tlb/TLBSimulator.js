@@ -0,0 +1,142 @@
+/**
+ * TLB and Effective Access Time Simulation
+ *
+ * This file models a translation lookaside buffer (TLB) in front of a simple
+ * page table. Every logical address in the trace is split into a page number
+ * and an offset; the TLB is searched first and only a miss walks the page
+ * table in memory.
+ *
+ * Access time of one reference, with TLB lookup time t, memory access time m
+ * and a page table of L levels:
+ * - TLB hit:  t + m
+ * - TLB miss: t + L·m (page-table walk) + m
+ *
+ * Effective access time: EAT = h(t + m) + (1 - h)(t + (L + 1)m)
+ */
+
+import { createSeededRandom, randomInt } from '../common/SeededRandom';
+
+/**
+ * Supported TLB replacement policies
+ */
+export const TLB_POLICIES = {
+  fifo: 'FIFO',
+  lru: 'LRU',
+  random: 'Random'
+};
+
+/**
+ * Parses an address trace such as "0 4096 0x1A3F, 8200"
+ * Returns null if any entry is not a non-negative decimal or hexadecimal integer
+ */
+export const parseAddressTrace = (text) => {
+  const entries = text.split(/[\s,]+/).filter(entry => entry !== '');
+  if (entries.length === 0 || entries.some(entry => !/^(\d+|0[xX][0-9a-fA-F]+)$/.test(entry))) return null;
+  return entries.map(entry => Number(entry));
+};
+
+/**
+ * Effective access time for a given hit ratio
+ *
+ * @param {number} hitRatio - Fraction of references that hit in the TLB
+ * @param {number} tlbTime - TLB lookup time
+ * @param {number} memoryTime - Memory access time
+ * @param {number} levels - Page-table levels walked on a miss
+ * @returns {number} Effective access time
+ */
+export const effectiveAccessTime = (hitRatio, tlbTime, memoryTime, levels = 1) => {
+  return hitRatio * (tlbTime + memoryTime) + (1 - hitRatio) * (tlbTime + (levels + 1) * memoryTime);
+};
+
+/**
+ * Runs an address trace through the TLB
+ *
+ * Frames are handed out in order of first reference, so the page table
+ * always holds the page and no page faults occur.
+ *
+ * @param {Object} config - Simulation settings
+ * @param {number} config.pageSize - Page size in bytes
+ * @param {number} config.tlbSize - Number of TLB entries
+ * @param {string} config.policy - One of fifo, lru, random
+ * @param {number} config.tlbTime - TLB lookup time
+ * @param {number} config.memoryTime - Memory access time
+ * @param {number} config.levels - Page-table levels
+ * @param {number} config.seed - Seed for the random policy
+ * @param {Array} addresses - Logical addresses
+ * @returns {Object} Per-access outcomes, hit ratio and effective access time
+ */
+export const runTLBSimulation = (config, addresses) => {
+  const { pageSize, tlbSize, policy, tlbTime, memoryTime, levels = 1, seed = 1 } = config;
+  const random = createSeededRandom(seed);
+
+  // TLB slots hold { page, frame, loadedAt, lastUsed } or null
+  const tlb = Array(tlbSize).fill(null);
+  const pageTable = {};
+  let nextFrame = 0;
+
+  const accesses = addresses.map((address, time) => {
+    const page = Math.floor(address / pageSize);
+    const offset = address % pageSize;
+    const slot = tlb.findIndex(entry => entry !== null && entry.page === page);
+    const hit = slot !== -1;
+    let usedSlot = slot;
+    let evicted = null;
+
+    if (hit) {
+      tlb[slot].lastUsed = time;
+    } else {
+      // Walk the page table, giving the page a frame on first use
+      if (pageTable[page] === undefined) {
+        pageTable[page] = nextFrame++;
+      }
+
+      usedSlot = tlb.indexOf(null);
+      if (usedSlot === -1) {
+        if (policy === 'lru') {
+          usedSlot = tlb.reduce((victim, entry, index) => (entry.lastUsed < tlb[victim].lastUsed ? index : victim), 0);
+        } else if (policy === 'random') {
+          usedSlot = randomInt(random, 0, tlbSize - 1);
+        } else {
+          usedSlot = tlb.reduce((victim, entry, index) => (entry.loadedAt < tlb[victim].loadedAt ? index : victim), 0);
+        }
+        evicted = tlb[usedSlot].page;
+      }
+      tlb[usedSlot] = { page, frame: pageTable[page], loadedAt: time, lastUsed: time };
+    }
+
+    const frame = pageTable[page];
+    const walkAccesses = hit ? 0 : levels;
+
+    return {
+      address,
+      page,
+      offset,
+      frame,
+      physicalAddress: frame * pageSize + offset,
+      hit,
+      slot: usedSlot,
+      evicted,
+      walkAccesses,
+      time: tlbTime + walkAccesses * memoryTime + memoryTime,
+      tlb: tlb.map(entry => (entry ? { page: entry.page, frame: entry.frame } : null))
+    };
+  });
+
+  const hits = accesses.filter(access => access.hit).length;
+  const hitRatio = accesses.length > 0 ? hits / accesses.length : 0;
+  const totalTime = accesses.reduce((sum, access) => sum + access.time, 0);
+
+  return {
+    config: { ...config, levels },
+    accesses,
+    pageTable,
+    hits,
+    misses: accesses.length - hits,
+    hitRatio,
+    pageTableWalks: accesses.length - hits,
+    totalTime,
+    effectiveAccessTime: effectiveAccessTime(hitRatio, tlbTime, memoryTime, levels),
+    hitTime: tlbTime + memoryTime,
+    missTime: tlbTime + (levels + 1) * memoryTime
+  };
+};
@@ -0,0 +1,181 @@
+import React from 'react';
+import { Paper, Typography, Box, Chip, Divider } from '@mui/material';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { TLB_POLICIES, effectiveAccessTime } from './TLBSimulator';
+
+// Register ChartJS components
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+const cellStyle = {
+  padding: '6px',
+  textAlign: 'center',
+  border: '1px solid #ddd'
+};
+
+const TLBVisualization = ({ results }) => {
+  if (!results) return null;
+
+  const { config, accesses, hits, misses, hitRatio, pageTableWalks, totalTime } = results;
+  const { tlbTime, memoryTime, levels } = config;
+
+  // Effective access time across the whole hit-ratio range, for comparison with this trace
+  const ratios = Array(11).fill().map((_, index) => index / 10);
+  const eatChartData = {
+    datasets: [
+      {
+        label: 'Effective Access Time',
+        data: ratios.map(ratio => ({ x: ratio * 100, y: effectiveAccessTime(ratio, tlbTime, memoryTime, levels) })),
+        borderColor: 'rgba(54, 162, 235, 1)',
+        backgroundColor: 'rgba(54, 162, 235, 0.6)',
+      },
+      {
+        label: 'This Trace',
+        data: [{ x: hitRatio * 100, y: results.effectiveAccessTime }],
+        borderColor: 'rgba(255, 99, 132, 1)',
+        backgroundColor: 'rgba(255, 99, 132, 1)',
+        pointRadius: 8,
+      },
+    ],
+  };
+
+  const chartOptions = {
+    responsive: true,
+    plugins: {
+      legend: {
+        position: 'top',
+      },
+      title: {
+        display: true,
+        text: 'Effective Access Time vs TLB Hit Ratio',
+      },
+    },
+    scales: {
+      x: {
+        type: 'linear',
+        min: 0,
+        max: 100,
+        title: {
+          display: true,
+          text: 'Hit Ratio (%)',
+        },
+      },
+      y: {
+        beginAtZero: true,
+        title: {
+          display: true,
+          text: 'Time (ns)',
+        },
+      },
+    },
+  };
+
+  const percent = (hitRatio * 100).toFixed(1);
+  const missPercent = (100 - hitRatio * 100).toFixed(1);
+
+  return (
+    <Paper elevation={3} sx={{ p: 3 }}>
+      <Typography variant="h5" gutterBottom>TLB Results ({TLB_POLICIES[config.policy]})</Typography>
+
+      <Box sx={{ display: 'flex', flexWrap: 'wrap', gap: 1, mb: 3 }}>
+        <Chip label={`Hits: ${hits}`} color="success" variant="outlined" />
+        <Chip label={`Misses: ${misses}`} color="error" variant="outlined" />
+        <Chip label={`Hit Ratio: ${percent}%`} color="primary" />
+        <Chip label={`Page-Table Walks: ${pageTableWalks} (${pageTableWalks * levels} memory accesses)`} variant="outlined" />
+        <Chip label={`Total Time: ${totalTime} ns`} variant="outlined" />
+      </Box>
+
+      <Box sx={{ mb: 4 }}>
+        <Typography variant="h6" gutterBottom>Effective Access Time</Typography>
+        <Typography>
+          Hit: t + m = {tlbTime} + {memoryTime} = {results.hitTime} ns
+        </Typography>
+        <Typography>
+          Miss: t + {levels > 1 ? `${levels}·m` : 'm'} (walk) + m = {tlbTime} + {levels * memoryTime} + {memoryTime} = {results.missTime} ns
+        </Typography>
+        <Typography sx={{ mt: 1, fontWeight: 'bold' }}>
+          EAT = {percent}% × {results.hitTime} + {missPercent}% × {results.missTime} = {results.effectiveAccessTime.toFixed(2)} ns
+        </Typography>
+      </Box>
+
+      <Box sx={{ mb: 4 }}>
+        <Line data={eatChartData} options={chartOptions} height={80} />
+      </Box>
+
+      <Divider sx={{ my: 3 }} />
+
+      <Box sx={{ overflowX: 'auto' }}>
+        <Typography variant="h6" gutterBottom>Access Trace</Typography>
+        <table style={{ borderCollapse: 'collapse' }}>
+          <thead>
+            <tr>
+              <th style={cellStyle}>#</th>
+              <th style={cellStyle}>Address</th>
+              <th style={cellStyle}>Page</th>
+              <th style={cellStyle}>Offset</th>
+              <th style={cellStyle}>TLB</th>
+              <th style={cellStyle}>Walk</th>
+              <th style={cellStyle}>Frame</th>
+              <th style={cellStyle}>Physical</th>
+              <th style={cellStyle}>Time</th>
+              {Array(config.tlbSize).fill().map((_, slot) => (
+                <th key={`slot-${slot}`} style={cellStyle}>Slot {slot}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {accesses.map((access, index) => (
+              <tr key={`access-${index}`}>
+                <td style={cellStyle}>{index + 1}</td>
+                <td style={cellStyle}>{access.address}</td>
+                <td style={cellStyle}>{access.page}</td>
+                <td style={cellStyle}>{access.offset}</td>
+                <td style={{ ...cellStyle, color: access.hit ? '#2e7d32' : '#d32f2f', fontWeight: 'bold' }}>
+                  {access.hit ? 'Hit' : 'Miss'}
+                </td>
+                <td style={cellStyle}>{access.walkAccesses > 0 ? `${access.walkAccesses} access${access.walkAccesses > 1 ? 'es' : ''}` : '-'}</td>
+                <td style={cellStyle}>{access.frame}</td>
+                <td style={cellStyle}>{access.physicalAddress}</td>
+                <td style={cellStyle}>{access.time}</td>
+                {access.tlb.map((entry, slot) => (
+                  <td
+                    key={`entry-${index}-${slot}`}
+                    title={slot === access.slot && access.evicted !== null ? `Replaced page ${access.evicted}` : undefined}
+                    style={{
+                      ...cellStyle,
+                      backgroundColor: slot === access.slot ? (access.hit ? '#c8e6c9' : '#ffcdd2') : 'transparent'
+                    }}
+                  >
+                    {entry ? `${entry.page}→${entry.frame}` : ''}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        <Typography variant="body2" color="text.secondary" sx={{ mt: 1 }}>
+          TLB slots show page → frame. The slot used by each access is green on a hit and red on a miss.
+        </Typography>
+      </Box>
+    </Paper>
+  );
+};
+
+export default TLBVisualization;